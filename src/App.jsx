@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { 
   ThemeProvider, 
   createTheme, 
@@ -10,10 +10,51 @@ import {
   Container,
   Box,
   CircularProgress,
+  ToggleButton,
+  ToggleButtonGroup,
+  Snackbar,
 } from '@mui/material';
-import { Refresh as RefreshIcon } from '@mui/icons-material';
+import { Refresh as RefreshIcon, Speed as SpeedIcon, UploadFile as UploadFileIcon } from '@mui/icons-material';
 import { DataTable } from './components/DataTable';
-import { loadOrGenerateData, clearStoredData, generateUsers } from './utils/dataGenerator';
+import { ViewSelector } from './components/ViewSelector';
+import { ImportDialog } from './components/ImportDialog';
+import { ClockMenu } from './components/ClockMenu';
+import { BenchmarkDialog } from './components/BenchmarkDialog';
+import { BenchmarkBar } from './components/BenchmarkBar';
+import { HistoryControls } from './components/HistoryControls';
+import { GeneratorDialog } from './components/GeneratorDialog';
+import { SyncConflictDialog } from './components/SyncConflictDialog';
+import { useUndoHistory } from './hooks/useUndoHistory';
+import { useUrlState } from './hooks/useUrlState';
+import { useTabChannel } from './hooks/useTabChannel';
+import { usersSchema } from './schemas/users';
+import { createDefaultGeneratorConfig, generateUsers } from './utils/dataGenerator';
+import { addEdits, applyEditLogDiff, diffEditLog, removeEdits } from './utils/editLog';
+import {
+  createIndexedDBBackend,
+  createLocalStorageBackend,
+  createRecordStore,
+  isIndexedDBAvailable,
+  saveRecordDiff,
+} from './utils/recordStorage';
+import {
+  updateRecords,
+  deleteRecords,
+  diffRecords,
+  isEmptyDiff,
+  mergeRecordDiff,
+  settleConflicts,
+} from './utils/recordSync';
+import { loadViews, saveViews, createView, watchViews } from './utils/views';
+import { loadFormulaColumns, saveFormulaColumns, watchFormulaColumns } from './utils/formulaColumns';
+import {
+  createClockFromSettings,
+  loadClockSettings,
+  saveClockSettings,
+  watchClockSettings,
+} from './utils/clock';
+import { createMemoryDataSource } from './utils/dataSource';
+import { createTableWorker, createWorkerDataSource } from './utils/tableWorker';
 
 // Create MUI theme with custom colors
 const theme = createTheme({
@@ -48,19 +89,148 @@ const theme = createTheme({
   },
 });
 
+// Records live in IndexedDB where the browser has it. Data saved by earlier
+// versions under the `tableData` localStorage key is moved there on first load.
+const recordStore = isIndexedDBAvailable()
+  ? createRecordStore({
+    backend: createIndexedDBBackend(),
+    schema: usersSchema,
+    legacyBackend: createLocalStorageBackend(),
+  })
+  : createRecordStore({ backend: createLocalStorageBackend(), schema: usersSchema });
+
+// The generator config of the saved records and their edit log are stored with them
+const GENERATOR_CONFIG_KEY = 'generatorConfig';
+const EDIT_LOG_KEY = 'editLog';
+
+// Other open tabs of the app are told about every change of the records
+// and their meta data (see tabSync.js)
+const TAB_CHANNEL = 'react-advanced-table';
+
 function App() {
   const [data, setData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  // Latest dataset, for changes made several times in one event (undo to a point)
+  const dataRef = useRef(data);
+  dataRef.current = data;
+  // Field changes by record ID, shown in row details (see editLog.js)
+  const [editLog, setEditLog] = useState({});
+  const editLogRef = useRef(editLog);
+  // Rows another tab changed differently at the same time, oldest first
+  // (see mergeRecordDiff in recordSync.js)
+  const [conflicts, setConflicts] = useState([]);
+  // Messages from other tabs that arrive while loading, applied once the
+  // data is loaded; null afterwards
+  const pendingTabMessages = useRef([]);
+
+  // Undo / redo of data edits and table layout changes
+  const history = useUndoHistory();
+  // Message with an undo action after a destructive change ({ label, entryId }),
+  // shown while that change is the last one
+  const [undoNotice, setUndoNotice] = useState(null);
+  const lastEntry = history.past[history.past.length - 1];
+
+  // Saved views: the default view (if any) is applied on load
+  const [viewStore, setViewStore] = useState(loadViews);
+  const [activeViewId, setActiveViewId] = useState(() => viewStore.defaultViewId);
+  // Bumped to remount the table when a view is applied
+  const [viewRevision, setViewRevision] = useState(0);
+  const currentViewState = useRef(null);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [formulaColumns, setFormulaColumns] = useState(loadFormulaColumns);
+  // Sort, filters, column order and scroll position are mirrored in the URL,
+  // so the table can be shared as a link (see urlState.js)
+  const defaultColumnOrder = useMemo(() => [
+    ...usersSchema.fields.map(field => field.id),
+    ...formulaColumns.map(definition => definition.id),
+  ], [formulaColumns]);
+  const { initialState: urlState, update: updateUrl, getRowLink } = useUrlState({ defaultColumnOrder });
+  // Time zone and frozen date for dynamic columns
+  const [clockSettings, setClockSettings] = useState(loadClockSettings);
+  const clock = useMemo(() => createClockFromSettings(clockSettings), [clockSettings]);
+  // Config the saved records were generated with; null for data saved before
+  // configs were, or imported into an empty table
+  const [generatorConfig, setGeneratorConfig] = useState(null);
+  const [isGeneratorOpen, setIsGeneratorOpen] = useState(false);
+
+  // Where rows are sorted and filtered: 'main' (this thread), 'worker' (the
+  // table worker) or 'server' (simulated backend with latency and the odd failure)
+  const [pipeline, setPipeline] = useState('main');
+  // Benchmark dataset generated in the worker, replacing the saved data
+  const [benchmark, setBenchmark] = useState(null);
+  const [isBenchmarkOpen, setIsBenchmarkOpen] = useState(false);
+  const [queryStats, setQueryStats] = useState(null);
+
+  // The table worker starts on first use
+  const workerRef = useRef(null);
+  const getWorker = () => {
+    if (!workerRef.current) workerRef.current = createTableWorker();
+    return workerRef.current;
+  };
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  // Dataset held by the worker ({ version, count }), null until loaded
+  const [workerDataset, setWorkerDataset] = useState(null);
+  const usesWorker = pipeline === 'worker' || Boolean(benchmark);
+
+  // Keep the worker's copy of the saved data current
+  useEffect(() => {
+    if (pipeline !== 'worker' || benchmark) return undefined;
+
+    let isCurrent = true;
+    getWorker().load(usersSchema.id, data)
+      .then(dataset => {
+        if (isCurrent) setWorkerDataset(dataset);
+      })
+      .catch(error => console.error('Error loading data into the worker:', error));
+    return () => {
+      isCurrent = false;
+    };
+  }, [pipeline, data, benchmark]);
+
+  const workerDataSource = useMemo(() => (
+    workerDataset && createWorkerDataSource({ worker: getWorker(), clock, onQuery: setQueryStats })
+  ), [workerDataset, clock]);
+  const serverDataSource = useMemo(() => (
+    pipeline === 'server'
+      ? createMemoryDataSource({ records: data, schema: usersSchema, clock, latency: 400, failureRate: 0.05 })
+      : null
+  ), [pipeline, data, clock]);
+  const dataSource = usesWorker ? workerDataSource : serverDataSource;
 
   useEffect(() => {
     // Load or generate data on mount
-    const loadData = () => {
+    const loadData = async () => {
       try {
-        const userData = loadOrGenerateData(500);
+        let userData = await recordStore.load();
+        let config = await recordStore.getMeta(GENERATOR_CONFIG_KEY);
+        if (userData.length > 0) {
+          console.log(`Loaded ${userData.length} records from ${recordStore.backendName}`);
+          const log = await recordStore.getMeta(EDIT_LOG_KEY) ?? {};
+          editLogRef.current = log;
+          setEditLog(log);
+        } else {
+          config = config ?? createDefaultGeneratorConfig(clock.today());
+          console.log(`Generating ${config.count} new records (seed ${config.seed})...`);
+          userData = generateUsers(config);
+          await recordStore.replace(userData);
+          await recordStore.putMeta(GENERATOR_CONFIG_KEY, config);
+        }
+        // Other tabs may have saved changes after the records were read.
+        // This tab has no edits of its own yet, so nothing can conflict.
+        const queued = pendingTabMessages.current;
+        pendingTabMessages.current = null;
+        queued.forEach(message => {
+          if (message.type === 'records') userData = mergeRecordDiff(userData, message.diff).records;
+          else loadSyncedMeta(message.key);
+        });
+        dataRef.current = userData;
         setData(userData);
+        setGeneratorConfig(config ?? null);
       } catch (error) {
         console.error('Error loading data:', error);
       } finally {
+        pendingTabMessages.current = null;
         setIsLoading(false);
       }
     };
@@ -68,13 +238,316 @@ function App() {
     loadData();
   }, []);
 
-  const handleRegenerateData = () => {
-    clearStoredData();
-    const newData = generateUsers(500);
-    localStorage.setItem('tableData', JSON.stringify(newData));
-    setData(newData);
+  // Changes made in other tabs are merged into the open table: fields this
+  // tab changed differently in the meantime become conflicts. They are
+  // already stored, so only the table is updated.
+  const handleTabMessage = (message) => {
+    if (pendingTabMessages.current) {
+      pendingTabMessages.current.push(message);
+      return;
+    }
+    if (message.type === 'records') {
+      const { records, conflicts: newConflicts } = mergeRecordDiff(dataRef.current, message.diff);
+      dataRef.current = records;
+      setData(records);
+      setConflicts(prev => [...settleConflicts(prev, message.diff), ...newConflicts]);
+    } else if (message.type === 'meta') {
+      loadSyncedMeta(message.key);
+    }
+  };
+
+  // Reload metadata another tab saved
+  const loadSyncedMeta = (key) => {
+    recordStore.getMeta(key)
+      .then(value => {
+        if (key === EDIT_LOG_KEY) {
+          editLogRef.current = value ?? {};
+          setEditLog(value ?? {});
+        } else if (key === GENERATOR_CONFIG_KEY) {
+          setGeneratorConfig(value ?? null);
+        }
+      })
+      .catch(error => console.error('Error loading synced data:', error));
+  };
+  const postToTabs = useTabChannel(TAB_CHANNEL, handleTabMessage);
+
+  // Saved views, formula columns and clock settings live in localStorage;
+  // follow the changes other tabs make to them
+  useEffect(() => {
+    const unwatchers = [
+      watchViews(setViewStore),
+      watchFormulaColumns(setFormulaColumns),
+      watchClockSettings(setClockSettings),
+    ];
+    return () => unwatchers.forEach(unwatch => unwatch());
+  }, []);
+
+  // Switch to another version of the dataset, persisting only the
+  // difference and passing it on to the other tabs
+  const commitData = (next) => {
+    const diff = diffRecords(dataRef.current, next);
+    if (!isEmptyDiff(diff)) {
+      saveRecordDiff(recordStore, diff);
+      postToTabs({ type: 'records', diff });
+    }
+    dataRef.current = next;
+    setData(next);
+  };
+
+  // Undo and redo replay the difference between two versions on top of the
+  // current data, so changes other tabs made since are kept
+  const restoreData = (from, to) => {
+    commitData(mergeRecordDiff(dataRef.current, diffRecords(from, to)).records);
+  };
+
+  // Apply a data change made by `change` (previous records in, next out) and
+  // record it in the history. The previous dataset is kept in memory, so even
+  // regenerating everything can be undone. `onUndo` and `onRedo` restore
+  // anything else the change affected.
+  const changeData = (label, change, { coalesceKey, notify = false, onUndo, onRedo } = {}) => {
+    const previous = dataRef.current;
+    const next = change(previous);
+    commitData(next);
+    const entryId = history.push({
+      label,
+      coalesceKey,
+      undo: () => {
+        restoreData(next, previous);
+        onUndo?.();
+      },
+      redo: () => {
+        restoreData(previous, next);
+        onRedo?.();
+      },
+    });
+    if (notify) setUndoNotice({ label, entryId });
+  };
+
+  const saveGeneratorConfig = (config) => {
+    setGeneratorConfig(config);
+    recordStore.putMeta(GENERATOR_CONFIG_KEY, config)
+      .then(() => postToTabs({ type: 'meta', key: GENERATOR_CONFIG_KEY }))
+      .catch(error => console.error('Error saving generator config:', error));
+  };
+
+  // Save the entries one version of the edit log adds and removes compared
+  // to another, on top of the current and the stored log, so entries other
+  // tabs wrote in the meantime are kept
+  const changeEditLog = (from, to) => {
+    const diff = diffEditLog(from, to);
+    const log = applyEditLogDiff(editLogRef.current, diff);
+    editLogRef.current = log;
+    setEditLog(log);
+    recordStore.updateMeta(EDIT_LOG_KEY, stored => applyEditLogDiff(stored ?? {}, diff))
+      .then(() => postToTabs({ type: 'meta', key: EDIT_LOG_KEY }))
+      .catch(error => console.error('Error saving edit log:', error));
+  };
+
+  // Replace the edit log along with a data change; returns the changeData
+  // options that bring back the matching log on undo and redo
+  const replaceEditLog = (nextLog) => {
+    const previousLog = editLogRef.current;
+    changeEditLog(previousLog, nextLog);
+    return {
+      onUndo: () => changeEditLog(nextLog, previousLog),
+      onRedo: () => changeEditLog(previousLog, nextLog),
+    };
+  };
+
+  // Replace the data with the records of a generator config
+  const handleRegenerateData = (config) => {
+    const previousConfig = generatorConfig;
+    const newData = generateUsers(config);
+    setIsGeneratorOpen(false);
+    const editLogOptions = replaceEditLog({});
+    saveGeneratorConfig(config);
+    changeData(`Regenerate data (seed ${config.seed})`, () => newData, {
+      notify: true,
+      onUndo: () => {
+        saveGeneratorConfig(previousConfig);
+        editLogOptions.onUndo();
+      },
+      onRedo: () => {
+        saveGeneratorConfig(config);
+        editLogOptions.onRedo();
+      },
+    });
+  };
+
+  // Persist an inline edit; computed fields are re-derived by the table.
+  // Quick successive edits of one row undo together.
+  const handleRowUpdate = (id, changes) => {
+    changeData(
+      `Edit ${Object.keys(changes).join(', ')}`,
+      prev => updateRecords(prev, [id], changes),
+      {
+        coalesceKey: `edit:${id}`,
+        ...replaceEditLog(addEdits(editLogRef.current, dataRef.current, [id], changes)),
+      }
+    );
+  };
+
+  // Bulk actions on selected rows
+  const handleRowsUpdate = (ids, changes) => {
+    changeData(
+      `Set ${Object.keys(changes).join(', ')} on ${ids.length} rows`,
+      prev => updateRecords(prev, ids, changes),
+      replaceEditLog(addEdits(editLogRef.current, dataRef.current, ids, changes))
+    );
+  };
+
+  const handleRowsDelete = (ids) => {
+    changeData(
+      `Delete ${ids.length} ${ids.length === 1 ? 'row' : 'rows'}`,
+      prev => deleteRecords(prev, ids),
+      { notify: true, ...replaceEditLog(removeEdits(editLogRef.current, ids)) }
+    );
+  };
+
+  // Persist the merged dataset once the import report has been confirmed;
+  // only new and changed records are written
+  const handleImport = (importedData) => {
+    changeData('Import', () => importedData, { notify: true });
+  };
+
+  // Settle the oldest conflict. Keeping this tab's values writes them again
+  // and tells the other tabs; taking the other tab's is an ordinary change.
+  const handleKeepMine = () => {
+    const [conflict, ...rest] = conflicts;
+    const fields = Object.entries(conflict.fields);
+    const diff = {
+      updated: [{
+        id: conflict.id,
+        changes: Object.fromEntries(fields.map(([field, { mine }]) => [field, mine])),
+        previous: Object.fromEntries(fields.map(([field, { theirs }]) => [field, theirs])),
+      }],
+      added: [],
+      removed: [],
+    };
+    saveRecordDiff(recordStore, diff);
+    postToTabs({ type: 'records', diff });
+    setConflicts(rest);
+  };
+
+  const handleUseTheirs = () => {
+    const [conflict, ...rest] = conflicts;
+    const theirs = Object.fromEntries(
+      Object.entries(conflict.fields).map(([field, { theirs: value }]) => [field, value])
+    );
+    commitData(updateRecords(dataRef.current, [conflict.id], theirs));
+    setConflicts(rest);
+  };
+
+  // Formula columns are shared by all views
+  const handleFormulaColumnsChange = (definitions) => {
+    saveFormulaColumns(definitions);
+    setFormulaColumns(definitions);
+  };
+
+  const handlePipelineChange = (next) => {
+    if (!next) return;
+    setPipeline(next);
+    if (next !== 'worker') setWorkerDataset(null);
+  };
+
+  // Benchmarks replace the table's rows with generated ones until closed.
+  // They use the current generator settings, so runs are repeatable.
+  const handleRunBenchmark = async (count, onProgress) => {
+    const config = { ...(generatorConfig ?? createDefaultGeneratorConfig(clock.today())), count };
+    const dataset = await getWorker().generate(usersSchema.id, config, { onProgress });
+    setQueryStats(null);
+    setBenchmark({ count: dataset.count, timings: dataset.timings });
+    setWorkerDataset(dataset);
+  };
+
+  const handleExitBenchmark = () => {
+    setBenchmark(null);
+    setWorkerDataset(null);
+    setQueryStats(null);
+  };
+
+  const handleClockSettingsChange = (settings) => {
+    saveClockSettings(settings);
+    setClockSettings(settings);
+  };
+
+  // Keep track of the table's live layout so it can be saved as a view
+  const handleViewStateChange = useCallback((state) => {
+    currentViewState.current = state;
+    updateUrl({ sorting: state.sorting, columnFilters: state.columnFilters, columnOrder: state.columnOrder });
+  }, [updateUrl]);
+
+  const handleScrollIndexChange = useCallback((scrollIndex) => {
+    updateUrl({ scrollIndex });
+  }, [updateUrl]);
+
+  const updateViewStore = (updater) => {
+    setViewStore(prev => {
+      const next = updater(prev);
+      saveViews(next);
+      return next;
+    });
+  };
+
+  const handleSelectView = (viewId) => {
+    setActiveViewId(viewId);
+    setViewRevision(revision => revision + 1);
+    // The linked row belongs to the state the page was opened with
+    updateUrl({ rowId: null });
+  };
+
+  const handleSaveView = (viewId) => {
+    updateViewStore(store => ({
+      ...store,
+      views: store.views.map(view => (
+        view.id === viewId
+          ? { ...view, state: currentViewState.current, updatedAt: new Date().toISOString() }
+          : view
+      )),
+    }));
+  };
+
+  const handleSaveViewAs = (name) => {
+    const view = createView(name, currentViewState.current);
+    updateViewStore(store => ({ ...store, views: [...store.views, view] }));
+    setActiveViewId(view.id);
+  };
+
+  const handleRenameView = (viewId, name) => {
+    updateViewStore(store => ({
+      ...store,
+      views: store.views.map(view => (view.id === viewId ? { ...view, name } : view)),
+    }));
+  };
+
+  const handleDeleteView = (viewId) => {
+    updateViewStore(store => ({
+      views: store.views.filter(view => view.id !== viewId),
+      defaultViewId: store.defaultViewId === viewId ? null : store.defaultViewId,
+    }));
+    // The table keeps its current layout; it is just no longer a saved view
+    setActiveViewId(null);
   };
 
+  const handleSetDefaultView = (viewId) => {
+    updateViewStore(store => ({ ...store, defaultViewId: viewId }));
+  };
+
+  const activeView = viewStore.views.find(view => view.id === activeViewId);
+
+  // A link's sort, filters and column order override the default view, on
+  // first load only; a link without any keeps the view as it is
+  const hasUrlView = urlState.sorting.length > 0 || urlState.columnFilters.length > 0 || urlState.columnOrder;
+  const isFirstTable = viewRevision === 0;
+  const initialView = isFirstTable && hasUrlView
+    ? {
+      ...activeView?.state,
+      sorting: urlState.sorting,
+      columnFilters: urlState.columnFilters,
+      ...(urlState.columnOrder && { columnOrder: urlState.columnOrder }),
+    }
+    : activeView?.state;
+
   if (isLoading) {
     return (
       <ThemeProvider theme={theme}>
@@ -127,10 +600,66 @@ function App() {
                 High-Performance Table with 500+ Records
               </Typography>
             </Box>
+            <ToggleButtonGroup
+              exclusive
+              size="small"
+              value={pipeline}
+              onChange={(event, next) => handlePipelineChange(next)}
+              aria-label="Row pipeline"
+              sx={{
+                mr: 2,
+                '& .MuiToggleButton-root': { color: 'rgba(255,255,255,0.8)', borderColor: 'rgba(255,255,255,0.5)' },
+                '& .MuiToggleButton-root.Mui-selected': { color: 'white', bgcolor: 'rgba(255,255,255,0.2)' },
+              }}
+            >
+              <ToggleButton value="main" title="Sort and filter on the main thread">Main thread</ToggleButton>
+              <ToggleButton value="worker" title="Sort and filter in a Web Worker">Worker</ToggleButton>
+              <ToggleButton value="server" title="Page through a simulated backend">Server</ToggleButton>
+            </ToggleButtonGroup>
+            <Button
+              startIcon={<SpeedIcon />}
+              onClick={() => setIsBenchmarkOpen(true)}
+              sx={{ color: 'white', fontWeight: 600, mr: 2 }}
+            >
+              Benchmark
+            </Button>
+            <HistoryControls history={history} />
+            <ClockMenu clock={clock} settings={clockSettings} onChange={handleClockSettingsChange} />
+            <Box sx={{ mr: 2 }}>
+              <ViewSelector
+                views={viewStore.views}
+                activeViewId={activeView ? activeViewId : null}
+                defaultViewId={viewStore.defaultViewId}
+                onSelect={handleSelectView}
+                onSave={handleSaveView}
+                onSaveAs={handleSaveViewAs}
+                onRename={handleRenameView}
+                onDelete={handleDeleteView}
+                onSetDefault={handleSetDefaultView}
+              />
+            </Box>
+            <Button
+              variant="contained"
+              startIcon={<UploadFileIcon />}
+              onClick={() => setIsImportOpen(true)}
+              sx={{
+                mr: 2,
+                bgcolor: 'white',
+                color: 'primary.main',
+                fontWeight: 600,
+                boxShadow: 3,
+                '&:hover': {
+                  bgcolor: 'rgba(255,255,255,0.95)',
+                  boxShadow: 6,
+                },
+              }}
+            >
+              Import
+            </Button>
             <Button
               variant="contained"
               startIcon={<RefreshIcon />}
-              onClick={handleRegenerateData}
+              onClick={() => setIsGeneratorOpen(true)}
               sx={{
                 bgcolor: 'white',
                 color: 'primary.main',
@@ -149,8 +678,84 @@ function App() {
 
         {/* Main Content */}
         <Container maxWidth="xl" sx={{ mt: 3, mb: 4 }}>
-          <DataTable rawData={data} />
+          {benchmark && (
+            <BenchmarkBar benchmark={benchmark} queryStats={queryStats} onExit={handleExitBenchmark} />
+          )}
+          {/* Benchmark rows are not saved, so they are read-only */}
+          <DataTable
+            key={viewRevision}
+            schema={usersSchema}
+            rawData={data}
+            dataSource={dataSource}
+            onRowUpdate={benchmark ? undefined : handleRowUpdate}
+            onRowsUpdate={benchmark ? undefined : handleRowsUpdate}
+            onRowsDelete={benchmark ? undefined : handleRowsDelete}
+            initialView={initialView}
+            onViewStateChange={handleViewStateChange}
+            initialScrollIndex={isFirstTable ? urlState.scrollIndex : null}
+            linkedRowId={isFirstTable ? urlState.rowId : null}
+            onScrollIndexChange={handleScrollIndexChange}
+            getRowLink={benchmark ? undefined : getRowLink}
+            formulaColumns={formulaColumns}
+            onFormulaColumnsChange={handleFormulaColumnsChange}
+            clock={clock}
+            history={history}
+            editLog={benchmark ? undefined : editLog}
+          />
         </Container>
+
+        <BenchmarkDialog
+          open={isBenchmarkOpen}
+          onClose={() => setIsBenchmarkOpen(false)}
+          onRun={handleRunBenchmark}
+        />
+
+        {isGeneratorOpen && (
+          <GeneratorDialog
+            config={generatorConfig ?? createDefaultGeneratorConfig(clock.today())}
+            onClose={() => setIsGeneratorOpen(false)}
+            onGenerate={handleRegenerateData}
+          />
+        )}
+
+        <ImportDialog
+          open={isImportOpen}
+          onClose={() => setIsImportOpen(false)}
+          schema={usersSchema}
+          existingData={data}
+          onImport={handleImport}
+          clock={clock}
+        />
+
+        {conflicts.length > 0 && (
+          <SyncConflictDialog
+            conflict={conflicts[0]}
+            count={conflicts.length}
+            schema={usersSchema}
+            record={data.find(record => record.id === conflicts[0].id)}
+            onKeepMine={handleKeepMine}
+            onUseTheirs={handleUseTheirs}
+          />
+        )}
+
+        <Snackbar
+          open={Boolean(undoNotice) && lastEntry?.id === undoNotice.entryId}
+          autoHideDuration={8000}
+          onClose={(event, reason) => reason !== 'clickaway' && setUndoNotice(null)}
+          message={undoNotice?.label}
+          action={(
+            <Button
+              color="secondary"
+              size="small"
+              onClick={() => {
+                history.undo();
+                setUndoNotice(null);
+              }}
+            >
+              Undo
+            </Button>
+          )}
+        />
       </Box>
     </ThemeProvider>
   );
@@ -0,0 +1,62 @@
+import { Box, Chip, Button, Typography } from '@mui/material';
+import { FilterList as FilterListIcon } from '@mui/icons-material';
+import { describeFilter } from '../utils/filters';
+
+/**
+ * Removable chips for every active column filter
+ * Rendered above the table together with the filtered row count
+ */
+export const ActiveFilterChips = ({ table }) => {
+  const columnFilters = table.getState().columnFilters;
+
+  if (columnFilters.length === 0) return null;
+
+  const filteredCount = table.getFilteredRowModel().rows.length;
+  const totalCount = table.getCoreRowModel().rows.length;
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 1,
+        mb: 2,
+        p: 1.5,
+        borderRadius: 2,
+        bgcolor: 'rgba(255,255,255,0.95)',
+      }}
+    >
+      <FilterListIcon sx={{ color: 'primary.main' }} />
+      {columnFilters.map(({ id, value }) => {
+        const column = table.getColumn(id);
+        if (!column) return null;
+
+        const variant = column.columnDef.meta?.filterVariant;
+        return (
+          <Chip
+            key={id}
+            size="small"
+            color="primary"
+            variant="outlined"
+            label={
+              <span>
+                <strong>{column.columnDef.header}</strong>: {describeFilter(variant, value)}
+              </span>
+            }
+            onDelete={() => column.setFilterValue(undefined)}
+          />
+        );
+      })}
+      <Button size="small" onClick={() => table.resetColumnFilters()}>
+        Clear all
+      </Button>
+      <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
+        {/* A data source only reports the number of matching rows */}
+        {table.options.manualFiltering
+          ? `${filteredCount} matching rows`
+          : `Showing ${filteredCount} of ${totalCount} rows`}
+      </Typography>
+    </Box>
+  );
+};
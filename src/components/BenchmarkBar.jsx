@@ -0,0 +1,51 @@
+import { Box, Button, Chip, Paper, Typography } from '@mui/material';
+import { Speed as SpeedIcon } from '@mui/icons-material';
+
+const formatDuration = (ms) => (ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+const QUERY_STEPS = [
+  { key: 'enrich', label: 'Enrich' },
+  { key: 'filter', label: 'Filter & search' },
+  { key: 'sort', label: 'Sort' },
+  { key: 'roundTrip', label: 'Round trip' },
+];
+
+/**
+ * Timings of the running benchmark, shown above the table
+ * The query timings update with every sort, filter or search.
+ * @param {{ count: number, timings: { generate: number } }} benchmark
+ * @param {{ total: number, timings: Object }|null} queryStats - Last query (see createWorkerDataSource)
+ * @param {Function} onExit - Returns to the saved data
+ */
+export const BenchmarkBar = ({ benchmark, queryStats, onExit }) => (
+  <Paper
+    elevation={3}
+    sx={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2, p: 1.5 }}
+  >
+    <SpeedIcon color="primary" />
+    <Typography variant="subtitle2">
+      Benchmark: {benchmark.count.toLocaleString()} rows
+    </Typography>
+    <Chip size="small" label={`Generate ${formatDuration(benchmark.timings.generate)}`} />
+    {queryStats ? (
+      <>
+        {QUERY_STEPS.map(({ key, label }) => (
+          <Chip
+            key={key}
+            size="small"
+            variant="outlined"
+            color={key === 'roundTrip' ? 'primary' : 'default'}
+            label={`${label} ${formatDuration(queryStats.timings[key])}`}
+          />
+        ))}
+        <Typography variant="caption" color="text.secondary">
+          {queryStats.total.toLocaleString()} matching rows
+        </Typography>
+      </>
+    ) : (
+      <Typography variant="caption" color="text.secondary">Querying…</Typography>
+    )}
+    <Box sx={{ flexGrow: 1 }} />
+    <Button size="small" onClick={onExit}>Exit benchmark</Button>
+  </Paper>
+);
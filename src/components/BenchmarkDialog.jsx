@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  LinearProgress,
+  Radio,
+  RadioGroup,
+  Typography,
+} from '@mui/material';
+import { Speed as SpeedIcon } from '@mui/icons-material';
+
+export const BENCHMARK_SIZES = [10000, 100000, 1000000];
+
+/**
+ * Benchmark setup: pick a dataset size and generate it in the table worker
+ * The generated rows replace the table's data until the benchmark is
+ * closed; they are never saved.
+ * @param {boolean} open
+ * @param {Function} onClose
+ * @param {(count: number, onProgress: Function) => Promise} onRun - Generates
+ *   the dataset, reporting `(done, total)` progress
+ */
+export const BenchmarkDialog = ({ open, onClose, onRun }) => {
+  const [count, setCount] = useState(BENCHMARK_SIZES[1]);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isRunning = progress !== null;
+
+  const handleRun = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      await onRun(count, (done, total) => setProgress((done / total) * 100));
+      onClose();
+    } catch (runError) {
+      console.error('Error running benchmark:', runError);
+      setError(runError.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={isRunning ? undefined : onClose} maxWidth="xs" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <SpeedIcon color="primary" />
+        Benchmark
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Generates users in a Web Worker and shows them through the worker pipeline: enrichment,
+          filtering and sorting stay off the main thread. Timings appear above the table.
+        </Typography>
+
+        <RadioGroup value={count} onChange={(e) => setCount(Number(e.target.value))}>
+          {BENCHMARK_SIZES.map(size => (
+            <FormControlLabel
+              key={size}
+              value={size}
+              control={<Radio size="small" />}
+              label={`${size.toLocaleString()} rows`}
+              disabled={isRunning}
+            />
+          ))}
+        </RadioGroup>
+
+        {isRunning && (
+          <Box sx={{ mt: 2 }}>
+            <LinearProgress variant="determinate" value={progress} />
+            <Typography variant="caption" color="text.secondary">
+              Generating… {Math.round(progress)}%
+            </Typography>
+          </Box>
+        )}
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={isRunning}>Cancel</Button>
+        <Button variant="contained" onClick={handleRun} disabled={isRunning}>
+          Run
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
@@ -0,0 +1,106 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Button,
+  FormControlLabel,
+  Popover,
+  Switch,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { AcUnit as FrozenIcon, Event as EventIcon } from '@mui/icons-material';
+import { getSupportedTimeZones, getSystemTimeZone, watchCalendarDay } from '../utils/clock';
+
+/**
+ * Clock settings for the App toolbar
+ * Shows the date dynamic columns (DSR, formulas using today()) are computed
+ * against, and lets users pick the time zone or freeze "today" for demos.
+ * @param {Object} clock - Current clock (see clock.js)
+ * @param {{ timeZone: string|null, frozenDate: string|null }} settings
+ * @param {Function} onChange - Receives the next settings
+ */
+export const ClockMenu = ({ clock, settings, onChange }) => {
+  const [anchor, setAnchor] = useState(null);
+  const [today, setToday] = useState(() => clock.today());
+  const timeZones = useMemo(getSupportedTimeZones, []);
+  const systemTimeZone = getSystemTimeZone();
+
+  useEffect(() => {
+    setToday(clock.today());
+    return watchCalendarDay(clock, setToday);
+  }, [clock]);
+
+  const isFrozen = Boolean(settings.frozenDate);
+
+  return (
+    <>
+      <Button
+        onClick={(e) => setAnchor(e.currentTarget)}
+        startIcon={isFrozen ? <FrozenIcon /> : <EventIcon />}
+        title={`Dynamic columns are computed for ${today} (${clock.timeZone})`}
+        sx={{ color: 'white', fontWeight: 600, mr: 2, whiteSpace: 'nowrap' }}
+      >
+        {isFrozen ? `Frozen: ${today}` : today}
+      </Button>
+
+      <Popover
+        open={Boolean(anchor)}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, width: 320, display: 'flex', flexDirection: 'column', gap: 2 }}>
+          <Typography variant="subtitle2">Date used for DSR and today()</Typography>
+
+          <Autocomplete
+            size="small"
+            options={timeZones}
+            value={settings.timeZone}
+            onChange={(event, timeZone) => onChange({ ...settings, timeZone })}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                label="Time zone"
+                placeholder={`Browser (${systemTimeZone})`}
+                InputLabelProps={{ shrink: true }}
+              />
+            )}
+          />
+
+          <Box>
+            <FormControlLabel
+              control={(
+                <Switch
+                  checked={isFrozen}
+                  onChange={(e) => onChange({ ...settings, frozenDate: e.target.checked ? today : null })}
+                />
+              )}
+              label="Freeze today"
+            />
+            <TextField
+              fullWidth
+              size="small"
+              type="date"
+              label="Frozen date"
+              value={settings.frozenDate ?? ''}
+              disabled={!isFrozen}
+              onChange={(e) => {
+                if (e.target.value) onChange({ ...settings, frozenDate: e.target.value });
+              }}
+              InputLabelProps={{ shrink: true }}
+              sx={{ mt: 1 }}
+            />
+          </Box>
+
+          <Typography variant="caption" color="text.secondary">
+            {isFrozen
+              ? 'Dynamic columns stay as they are on this date.'
+              : 'Dynamic columns refresh on their own at midnight.'}
+          </Typography>
+        </Box>
+      </Popover>
+    </>
+  );
+};
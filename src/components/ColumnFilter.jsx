@@ -0,0 +1,180 @@
+import { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { TEXT_OPERATORS } from '../utils/filters';
+
+/**
+ * Text filter: contains / starts with
+ */
+const TextFilter = ({ column }) => {
+  const filterValue = column.getFilterValue();
+  // Kept locally so the operator survives while the value is empty
+  const [operator, setOperator] = useState(filterValue?.operator || 'contains');
+  const value = filterValue?.value ?? '';
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      <TextField
+        select
+        size="small"
+        value={operator}
+        onChange={(e) => {
+          setOperator(e.target.value);
+          column.setFilterValue({ operator: e.target.value, value });
+        }}
+        sx={{ minWidth: 130 }}
+      >
+        {Object.entries(TEXT_OPERATORS).map(([key, label]) => (
+          <MenuItem key={key} value={key}>
+            {label}
+          </MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        autoFocus
+        size="small"
+        placeholder="Value..."
+        value={value}
+        onChange={(e) => column.setFilterValue({ operator, value: e.target.value })}
+      />
+    </Box>
+  );
+};
+
+/**
+ * Multi-select filter over the faceted (unique) values of a column
+ * Counts reflect the rows left by the other active filters
+ */
+const SelectFilter = ({ column }) => {
+  const [search, setSearch] = useState('');
+  const selected = column.getFilterValue() || [];
+  const facetedValues = column.getFacetedUniqueValues();
+
+  const options = useMemo(() => {
+    const query = search.toLowerCase();
+    return Array.from(facetedValues.entries())
+      .filter(([value]) => String(value).toLowerCase().includes(query))
+      .sort(([a], [b]) => String(a).localeCompare(String(b)));
+  }, [facetedValues, search]);
+
+  const toggleValue = (value) => {
+    column.setFilterValue(
+      selected.includes(value)
+        ? selected.filter(v => v !== value)
+        : [...selected, value]
+    );
+  };
+
+  return (
+    <Box>
+      <TextField
+        autoFocus
+        fullWidth
+        size="small"
+        placeholder={`Search ${options.length} values...`}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      <List dense sx={{ maxHeight: 280, overflow: 'auto', mt: 1 }}>
+        {options.map(([value, count]) => (
+          <ListItemButton key={value} onClick={() => toggleValue(value)} sx={{ py: 0 }}>
+            <ListItemIcon sx={{ minWidth: 32 }}>
+              <Checkbox edge="start" size="small" checked={selected.includes(value)} disableRipple />
+            </ListItemIcon>
+            <ListItemText primary={value} />
+            <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+              {count}
+            </Typography>
+          </ListItemButton>
+        ))}
+        {options.length === 0 && (
+          <Typography variant="body2" color="text.secondary" sx={{ p: 1 }}>
+            No matching values
+          </Typography>
+        )}
+      </List>
+    </Box>
+  );
+};
+
+/**
+ * Range filter with two bounds, used for dates and numbers
+ */
+const RangeFilter = ({ column, type }) => {
+  const [from = '', to = ''] = column.getFilterValue() || [];
+  const [min, max] = type === 'number' ? column.getFacetedMinMaxValues() || [] : [];
+
+  const parse = (value) => (type === 'number' && value !== '' ? Number(value) : value);
+
+  return (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      <TextField
+        size="small"
+        type={type}
+        label="From"
+        value={from}
+        placeholder={min !== undefined ? String(min) : undefined}
+        onChange={(e) => column.setFilterValue([parse(e.target.value), to])}
+        InputLabelProps={{ shrink: true }}
+      />
+      <TextField
+        size="small"
+        type={type}
+        label="To"
+        value={to}
+        placeholder={max !== undefined ? String(max) : undefined}
+        onChange={(e) => column.setFilterValue([from, parse(e.target.value)])}
+        InputLabelProps={{ shrink: true }}
+      />
+    </Box>
+  );
+};
+
+/**
+ * Filter UI for a single column
+ * The control is chosen from `meta.filterVariant` on the column definition
+ */
+export const ColumnFilter = ({ column }) => {
+  const variant = column.columnDef.meta?.filterVariant;
+
+  const renderControl = () => {
+    switch (variant) {
+      case 'select':
+        return <SelectFilter column={column} />;
+      case 'dateRange':
+        return <RangeFilter column={column} type="date" />;
+      case 'numberRange':
+        return <RangeFilter column={column} type="number" />;
+      default:
+        return <TextFilter column={column} />;
+    }
+  };
+
+  return (
+    <Box sx={{ p: 2, minWidth: 280 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1.5 }}>
+        Filter {column.columnDef.header}
+      </Typography>
+      {renderControl()}
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 1.5 }}>
+        <Button
+          size="small"
+          disabled={!column.getIsFiltered()}
+          onClick={() => column.setFilterValue(undefined)}
+        >
+          Clear
+        </Button>
+      </Box>
+    </Box>
+  );
+};
@@ -0,0 +1,57 @@
+import { useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Divider,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+} from '@mui/material';
+import { ViewColumn as ViewColumnIcon } from '@mui/icons-material';
+
+/**
+ * Menu to show or hide columns
+ * At least one column always stays visible
+ */
+export const ColumnVisibilityMenu = ({ table }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const columns = table.getAllLeafColumns().filter(column => column.getCanHide());
+  const visibleCount = table.getVisibleLeafColumns().length;
+  const hiddenCount = columns.filter(column => !column.getIsVisible()).length;
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<ViewColumnIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+      >
+        Columns{hiddenCount > 0 ? ` (${hiddenCount} hidden)` : ''}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {columns.map(column => {
+          const isVisible = column.getIsVisible();
+          return (
+            <MenuItem
+              key={column.id}
+              dense
+              disabled={isVisible && visibleCount === 1}
+              onClick={() => column.toggleVisibility(!isVisible)}
+            >
+              <ListItemIcon>
+                <Checkbox edge="start" size="small" checked={isVisible} disableRipple />
+              </ListItemIcon>
+              <ListItemText>{column.columnDef.header}</ListItemText>
+            </MenuItem>
+          );
+        })}
+        <Divider />
+        <MenuItem dense disabled={hiddenCount === 0} onClick={() => table.resetColumnVisibility(true)}>
+          <ListItemText inset>Show all</ListItemText>
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
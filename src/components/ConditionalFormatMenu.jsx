@@ -0,0 +1,317 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Divider,
+  IconButton,
+  MenuItem,
+  Popover,
+  Switch,
+  TextField,
+  ToggleButton,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  FormatColorFill,
+  FormatBold,
+  FormatItalic,
+  KeyboardArrowUp,
+  KeyboardArrowDown,
+  Close,
+} from '@mui/icons-material';
+import {
+  FORMAT_COLORS,
+  createFormatRule,
+  getRuleOperators,
+  getValueKind,
+} from '../utils/conditionalFormatting';
+
+const colorEntries = Object.entries(FORMAT_COLORS);
+
+// Small square of a rule colour in the colour selects
+const Swatch = ({ color }) => (
+  <Box
+    component="span"
+    sx={{
+      display: 'inline-block',
+      width: 12,
+      height: 12,
+      mr: 1,
+      borderRadius: 0.5,
+      verticalAlign: 'middle',
+      bgcolor: color,
+      border: '1px solid rgba(0, 0, 0, 0.2)',
+    }}
+  />
+);
+
+const selectSx = { minWidth: 0 };
+
+/**
+ * Conditional formatting panel: the rules in priority order
+ * Condition rules colour a cell or its whole row, or make it bold or
+ * italic, when the cell's value matches; colour scales shade numeric
+ * columns by value. Rules can be switched off, moved up or down or removed.
+ */
+export const ConditionalFormatMenu = ({ table, rules, onRulesChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const columns = table.getAllLeafColumns();
+  const numericColumns = columns.filter(column => getValueKind(column.columnDef.meta) === 'number');
+  const getMeta = (columnId) => table.getColumn(columnId)?.columnDef.meta;
+  const activeCount = rules.filter(rule => rule.enabled).length;
+
+  const updateRule = (id, changes) => {
+    onRulesChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  // Operators differ by column, so a new column may need another one
+  const changeColumn = (rule, columnId) => {
+    const operators = getRuleOperators(getMeta(columnId));
+    updateRule(rule.id, {
+      columnId,
+      ...(rule.type === 'condition' && !operators.some(({ id }) => id === rule.operator) && {
+        operator: operators[0].id,
+      }),
+    });
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...rules];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onRulesChange(next);
+  };
+
+  const addRule = (type, column) => {
+    onRulesChange([...rules, createFormatRule(type, column.id, column.columnDef.meta)]);
+  };
+
+  const renderCondition = (rule) => {
+    const meta = getMeta(rule.columnId);
+    const kind = getValueKind(meta);
+    const inputType = { number: 'number', date: 'date' }[kind] ?? 'text';
+    const valueProps = {
+      size: 'small',
+      type: rule.operator === 'in' ? 'text' : inputType,
+      InputLabelProps: inputType === 'date' ? { shrink: true } : undefined,
+      sx: { flex: 1, minWidth: 0 },
+    };
+
+    return (
+      <>
+        <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="Operator"
+            value={rule.operator}
+            onChange={(e) => updateRule(rule.id, { operator: e.target.value })}
+            sx={{ ...selectSx, width: 120 }}
+          >
+            {getRuleOperators(meta).map(operator => (
+              <MenuItem key={operator.id} value={operator.id}>{operator.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            {...valueProps}
+            label={rule.operator === 'in' ? 'Values, comma-separated' : 'Value'}
+            value={rule.value}
+            onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+          />
+          {rule.operator === 'between' && (
+            <TextField
+              {...valueProps}
+              label="And"
+              value={rule.valueTo}
+              onChange={(e) => updateRule(rule.id, { valueTo: e.target.value })}
+            />
+          )}
+        </Box>
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+          <TextField
+            select
+            size="small"
+            label="Apply to"
+            value={rule.target}
+            onChange={(e) => updateRule(rule.id, { target: e.target.value })}
+            sx={{ ...selectSx, width: 120 }}
+          >
+            <MenuItem value="cell">Cell</MenuItem>
+            <MenuItem value="row">Whole row</MenuItem>
+          </TextField>
+          <TextField
+            select
+            size="small"
+            label="Colour"
+            value={rule.color ?? ''}
+            onChange={(e) => updateRule(rule.id, { color: e.target.value || null })}
+            sx={{ ...selectSx, flex: 1 }}
+          >
+            <MenuItem value="">None</MenuItem>
+            {colorEntries.map(([id, color]) => (
+              <MenuItem key={id} value={id}>
+                <Swatch color={color.background} />
+                {color.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <ToggleButton
+            size="small"
+            value="bold"
+            selected={rule.bold}
+            onChange={() => updateRule(rule.id, { bold: !rule.bold })}
+            aria-label="Bold"
+          >
+            <FormatBold fontSize="small" />
+          </ToggleButton>
+          <ToggleButton
+            size="small"
+            value="italic"
+            selected={rule.italic}
+            onChange={() => updateRule(rule.id, { italic: !rule.italic })}
+            aria-label="Italic"
+          >
+            <FormatItalic fontSize="small" />
+          </ToggleButton>
+        </Box>
+      </>
+    );
+  };
+
+  const renderScale = (rule) => (
+    <Box sx={{ display: 'flex', gap: 1 }}>
+      {[['from', 'Lowest'], ['to', 'Highest']].map(([key, label]) => (
+        <TextField
+          key={key}
+          select
+          size="small"
+          label={label}
+          value={rule[key]}
+          onChange={(e) => updateRule(rule.id, { [key]: e.target.value })}
+          sx={{ ...selectSx, flex: 1 }}
+        >
+          {colorEntries.map(([id, color]) => (
+            <MenuItem key={id} value={id}>
+              <Swatch color={color.scale} />
+              {color.label}
+            </MenuItem>
+          ))}
+        </TextField>
+      ))}
+    </Box>
+  );
+
+  return (
+    <>
+      <Button size="small" startIcon={<FormatColorFill />} onClick={(e) => setAnchorEl(e.currentTarget)}>
+        Formatting{activeCount > 0 ? ` (${activeCount})` : ''}
+      </Button>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2, width: 480 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Conditional formatting
+          </Typography>
+          {rules.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              No rules. Rules higher in the list win when several style the same cell.
+            </Typography>
+          )}
+          {rules.map((rule, index) => {
+            const columnChoices = rule.type === 'scale' ? numericColumns : columns;
+            return (
+              <Box
+                key={rule.id}
+                sx={{
+                  p: 1.5,
+                  mb: 1,
+                  border: '1px solid',
+                  borderColor: 'grey.300',
+                  borderRadius: 1,
+                  opacity: rule.enabled ? 1 : 0.6,
+                }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1 }}>
+                  <Typography variant="caption" color="text.secondary" sx={{ width: 16 }}>
+                    {index + 1}
+                  </Typography>
+                  <TextField
+                    select
+                    size="small"
+                    label={rule.type === 'scale' ? 'Colour scale on' : 'When'}
+                    value={rule.columnId}
+                    onChange={(e) => changeColumn(rule, e.target.value)}
+                    sx={{ ...selectSx, flex: 1 }}
+                  >
+                    {columnChoices.map(column => (
+                      <MenuItem key={column.id} value={column.id}>{column.columnDef.header}</MenuItem>
+                    ))}
+                  </TextField>
+                  <Switch
+                    size="small"
+                    checked={rule.enabled}
+                    onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    slotProps={{ input: { 'aria-label': `Rule ${index + 1} on` } }}
+                  />
+                  <Tooltip title="Higher priority">
+                    <span>
+                      <IconButton size="small" disabled={index === 0} onClick={() => moveRule(index, -1)} aria-label="Higher priority">
+                        <KeyboardArrowUp fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Lower priority">
+                    <span>
+                      <IconButton
+                        size="small"
+                        disabled={index === rules.length - 1}
+                        onClick={() => moveRule(index, 1)}
+                        aria-label="Lower priority"
+                      >
+                        <KeyboardArrowDown fontSize="small" />
+                      </IconButton>
+                    </span>
+                  </Tooltip>
+                  <Tooltip title="Remove">
+                    <IconButton
+                      size="small"
+                      onClick={() => onRulesChange(rules.filter(other => other.id !== rule.id))}
+                      aria-label={`Remove rule ${index + 1}`}
+                    >
+                      <Close fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+                {rule.type === 'scale' ? renderScale(rule) : renderCondition(rule)}
+              </Box>
+            );
+          })}
+
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button size="small" variant="outlined" onClick={() => addRule('condition', columns[0])}>
+              Add rule
+            </Button>
+            <Button
+              size="small"
+              variant="outlined"
+              disabled={numericColumns.length === 0}
+              onClick={() => addRule('scale', numericColumns[0])}
+            >
+              Add colour scale
+            </Button>
+          </Box>
+
+          <Divider sx={{ my: 1.5 }} />
+          <Button size="small" disabled={rules.length === 0} onClick={() => onRulesChange([])}>
+            Clear rules
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
@@ -1,8 +1,14 @@
-import { useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   useReactTable,
   getCoreRowModel,
   getSortedRowModel,
+  getFilteredRowModel,
+  getFacetedRowModel,
+  getFacetedUniqueValues,
+  getFacetedMinMaxValues,
+  getGroupedRowModel,
+  getExpandedRowModel,
   flexRender,
 } from '@tanstack/react-table';
 import { useVirtualizer } from '@tanstack/react-virtual';
@@ -12,11 +18,11 @@ import {
   MouseSensor,
   TouchSensor,
   closestCenter,
+  pointerWithin,
   useSensor,
   useSensors,
 } from '@dnd-kit/core';
 import {
-  arrayMove,
   SortableContext,
   horizontalListSortingStrategy,
 } from '@dnd-kit/sortable';
@@ -24,167 +30,583 @@ import {
   Paper,
   Table,
   TableBody,
+  TableCell,
   TableContainer,
   TableHead,
   TableRow,
   Box,
   Typography,
   Chip,
+  Checkbox,
+  IconButton,
+  Button,
+  Alert,
+  LinearProgress,
+  Skeleton,
 } from '@mui/material';
+import { ChevronRight, ExpandMore, Functions } from '@mui/icons-material';
 import { DraggableColumnHeader } from './DraggableColumnHeader';
+import { ActiveFilterChips } from './ActiveFilterChips';
+import { GlobalSearch } from './GlobalSearch';
+import { EditableCell } from './EditableCell';
+import { ColumnVisibilityMenu } from './ColumnVisibilityMenu';
+import { ExportMenu } from './ExportMenu';
+import { SelectionToolbar } from './SelectionToolbar';
+import { GroupByBar } from './GroupByBar';
+import { FormulaColumnDialog } from './FormulaColumnDialog';
+import { KeyboardShortcutsButton } from './KeyboardShortcutsButton';
+import { SortMenu } from './SortMenu';
+import { ConditionalFormatMenu } from './ConditionalFormatMenu';
+import { RowDetailPanel } from './RowDetailPanel';
+import { DEFAULT_COLUMN_TYPES } from './columnTypes';
+import { useDataSourceRows } from '../hooks/useDataSourceRows';
 import { enrichDataWithComputedFields } from '../utils/computed';
+import { systemClock, watchCalendarDay } from '../utils/clock';
+import { filterFnsByVariant } from '../utils/filters';
+import { createRowMatcher } from '../utils/search';
+import { compileFormulaColumns, formatFormulaValue } from '../utils/formulaColumns';
+import {
+  ROW_GUTTER_WIDTH,
+  getPinZone,
+  getPinnedStyles,
+  getVisualColumnOrder,
+  moveColumn,
+  pinColumns,
+} from '../utils/pinning';
+import {
+  createGroupedColumnDefs,
+  getColumnGroup,
+  getColumnMove,
+  getPinnedTogether,
+  keepColumnGroupsTogether,
+} from '../utils/columnGroups';
+import { createFormatter } from '../utils/conditionalFormatting';
+import { computeAutoFitWidth } from '../utils/autoFit';
+import { loadColumnSizing, saveColumnSizing } from '../utils/layoutStorage';
+import { sanitizeViewState } from '../utils/views';
+import { findGridCell, getNextCellPosition } from '../utils/gridNavigation';
+import { createSortingFns } from '../utils/sorting';
+import { createColumnDef, normalizeSchema, resolveField } from '../utils/schema';
+import {
+  GROUP_BAR_ID,
+  aggregationFns,
+  applyGroupingModes,
+  hasGroupAggregate,
+  isGroupChipId,
+  moveGrouping,
+  splitGroupRowCells,
+} from '../utils/grouping';
+
+/**
+ * Column definition for a user formula column
+ * The column type (and so the filter, export type and group aggregate)
+ * follows the formula's result type.
+ * @param {Object} definition - Formula definition ({ id, name, expression })
+ * @param {Object} result - Compile result ({ type, isDynamic, error })
+ * @param {Object} columnTypes - Column type registry
+ */
+const createFormulaColumn = (definition, result, columnTypes) => {
+  const type = result.error ? 'any' : result.type;
+
+  return createColumnDef(resolveField({
+    id: definition.id,
+    header: definition.name,
+    type: { number: 'number', date: 'date' }[type] || 'text',
+    size: 180,
+    minSize: 100,
+    maxSize: 480,
+    isComputed: true,
+    isDynamic: result.isDynamic,
+    description: result.error
+      ? `Formula error: ${result.error.message}`
+      : `Formula: ${definition.expression}`,
+    formula: definition,
+    formatText: formatFormulaValue,
+    ...(result.error && {
+      cell: () => (
+        <Typography variant="body2" color="error" title={result.error.message}>
+          #ERROR
+        </Typography>
+      ),
+    }),
+  }, columnTypes));
+};
+
+// Grouping state of tables backed by a data source; a stable array, as a
+// new one on every render would regroup (and re-render) endlessly
+const NO_GROUPING = [];
+
+// Row height used by the virtualizer until rows are measured
+const ESTIMATED_ROW_HEIGHT = 53;
+// Extra height of a row with its details open, until measured
+const ESTIMATED_DETAIL_HEIGHT = 320;
+
+// Grid column ID of the selection gutter, column 0 of keyboard navigation
+const GUTTER_COLUMN_ID = '';
+
+// Sticky selection gutter cell at the start of every body row
+const gutterCellStyle = {
+  width: ROW_GUTTER_WIDTH,
+  padding: '0 4px',
+  position: 'sticky',
+  left: 0,
+  zIndex: 1,
+  backgroundColor: 'white',
+  borderBottom: '1px solid rgba(224, 224, 224, 1)',
+  whiteSpace: 'nowrap',
+};
+
+/**
+ * Body cell styles, including sticky offsets for pinned columns
+ * @param {Object} column - TanStack column
+ */
+const getCellStyle = (column) => ({
+  padding: '12px 16px',
+  width: column.getSize(),
+  maxWidth: column.getSize(),
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap',
+  borderBottom: '1px solid rgba(224, 224, 224, 1)',
+  ...(column.getIsPinned() && {
+    ...getPinnedStyles(column),
+    zIndex: 1,
+    backgroundColor: 'white',
+  }),
+});
+
+/**
+ * Collision detection shared by header and group chip drags
+ * Headers reorder among themselves unless the pointer is over the group-by
+ * bar; group chips only reorder among themselves.
+ */
+const detectCollisions = (args) => {
+  const isGroupTarget = (container) => container.id === GROUP_BAR_ID || isGroupChipId(container.id);
+  const groupTargets = args.droppableContainers.filter(isGroupTarget);
+
+  if (isGroupChipId(args.active.id)) {
+    return closestCenter({ ...args, droppableContainers: groupTargets.filter(c => c.id !== GROUP_BAR_ID) });
+  }
+
+  const overGroupBar = pointerWithin({ ...args, droppableContainers: groupTargets });
+  if (overGroupBar.length > 0) return overGroupBar;
+
+  return closestCenter({
+    ...args,
+    droppableContainers: args.droppableContainers.filter(container => !isGroupTarget(container)),
+  });
+};
+
+// Sorting strategy that leaves the other headers in place
+const keepHeadersInPlace = () => null;
+
+/**
+ * Header cells by header row
+ * Above a column with fewer group levels than others, TanStack fills the
+ * rows with placeholders; the column's header is drawn in the first of
+ * them instead, spanning the rows down. `columnIndex` is the 0-based grid
+ * column of each cell, after the row gutter.
+ * @param {Array} headerGroups - TanStack header groups, top row first
+ * @returns {Array<{ headerGroup: Object, cells: Array<{ header, rowSpan, columnIndex }> }>}
+ */
+const getHeaderRows = (headerGroups) => {
+  const drawn = new Set();
+  return headerGroups.map(headerGroup => {
+    let columnIndex = 1;
+    const cells = headerGroup.headers.flatMap(header => {
+      const cell = { header, rowSpan: 1, columnIndex };
+      columnIndex += header.colSpan;
+      if (drawn.has(header)) return [];
+      while (cell.header.isPlaceholder) {
+        cell.header = cell.header.subHeaders[0];
+        cell.rowSpan += 1;
+        drawn.add(cell.header);
+      }
+      return [cell];
+    });
+    return { headerGroup, cells };
+  });
+};
 
 /**
  * High-performance data table component with:
  * - Virtual scrolling for handling large datasets
- * - Drag-and-drop column reordering
- * - Sortable columns
- * - Computed fields (Full Name, DSR)
+ * - Drag-and-drop column reordering, column groups, pinning and resizing
+ * - Multi-column sorting, typed column filters and typo-tolerant search
+ * - Inline and bulk editing, row selection and row detail panels
+ * - Saved views, export, formula columns and conditional formatting
+ * - Keyboard navigation (ARIA grid) and drag-to-group rows
  * - Material-UI styling
+ *
+ * Columns come from `schema` (see schema.js); `columnTypes` adds column
+ * types or overrides the built-in ones. Rows come from `rawData`, or page by
+ * page from a `dataSource` (see dataSource.js). Edits are reported through
+ * `onRowUpdate`, `onRowsUpdate` and `onRowsDelete`, and formula column
+ * changes through `onFormulaColumnsChange`.
+ *
+ * Layout and query state start from `initialView` and changes are reported
+ * through `onViewStateChange`; remount the table (e.g. with a `key`) to
+ * switch views. `initialScrollIndex`, `linkedRowId`, `onScrollIndexChange`
+ * and `getRowLink` serve shared links (see urlState.js). Layout changes are
+ * recorded in `history` (from useUndoHistory) when given. `clock` dates
+ * dynamic columns, `locale` is the default text order and `editLog` (see
+ * editLog.js) feeds the row panels' change history.
  */
-export const DataTable = ({ rawData }) => {
-  // Initialize columnOrder with all column IDs for drag-and-drop to work
-  const [columnOrder, setColumnOrder] = useState([
-    'id',
-    'firstName',
-    'lastName',
-    'fullName',
-    'email',
-    'city',
-    'registeredDate',
-    'dsr',
-  ]);
-  const [sorting, setSorting] = useState([]);
+export const DataTable = ({
+  schema,
+  columnTypes,
+  rawData,
+  dataSource = null,
+  onRowUpdate,
+  onRowsUpdate,
+  onRowsDelete,
+  initialView,
+  onViewStateChange,
+  initialScrollIndex = null,
+  linkedRowId = null,
+  onScrollIndexChange,
+  getRowLink,
+  formulaColumns = [],
+  onFormulaColumnsChange,
+  clock = systemClock,
+  history = null,
+  locale,
+  editLog = {},
+}) => {
+  // Schema fields resolved against the column types, which supply each
+  // column's renderer, sorting, filter and editor; pass stable `schema` and
+  // `columnTypes` objects so this only runs when they change
+  const types = useMemo(() => ({ ...DEFAULT_COLUMN_TYPES, ...columnTypes }), [columnTypes]);
+  const tableSchema = useMemo(() => normalizeSchema(schema, types), [schema, types]);
+
+  // Formulas compile into computed fields (for enrichment) and columns
+  const compiledFormulas = useMemo(
+    () => compileFormulaColumns(formulaColumns, tableSchema),
+    [formulaColumns, tableSchema]
+  );
+  const allColumns = useMemo(() => [
+    ...tableSchema.columns,
+    ...formulaColumns.map(definition => (
+      createFormulaColumn(definition, compiledFormulas.results[definition.id], types)
+    )),
+  ], [tableSchema, formulaColumns, compiledFormulas, types]);
+
+  const isGroupable = (columnId) => allColumns.some(column => (
+    column.accessorKey === columnId && column.enableGrouping !== false
+  ));
+
+  // Saved views may reference columns that no longer exist, or split the
+  // columns of a group
+  const [view] = useState(() => {
+    const sanitized = sanitizeViewState(initialView, allColumns.map(column => column.accessorKey));
+    return { ...sanitized, ...keepColumnGroupsTogether(sanitized, tableSchema.columnGroups) };
+  });
 
-  // Enrich data with computed fields (Full Name and DSR)
-  // This happens at the component level, not in storage
+  // columnOrder always holds all column IDs for drag-and-drop to work
+  const [columnOrder, setColumnOrder] = useState(view.columnOrder);
+  const [columnPinning, setColumnPinning] = useState(view.columnPinning);
+  const [columnSizing, setColumnSizing] = useState(() => (
+    initialView?.columnSizing ? view.columnSizing : loadColumnSizing()
+  ));
+  const [columnVisibility, setColumnVisibility] = useState(view.columnVisibility);
+  const [sorting, setSorting] = useState(() => (
+    view.sorting.filter(({ id }) => allColumns.find(c => c.accessorKey === id)?.enableSorting !== false)
+  ));
+  const [columnFilters, setColumnFilters] = useState(() => (
+    // Drop stored filter values the column's filter cannot handle
+    view.columnFilters.filter(({ id, value }) => {
+      const column = allColumns.find(c => c.accessorKey === id);
+      const filterFn = filterFnsByVariant[column?.meta?.filterVariant];
+      return filterFn && !filterFn.autoRemove(value);
+    })
+  ));
+  const [globalFilter, setGlobalFilter] = useState('');
+  const [onlyMatches, setOnlyMatches] = useState(true);
+  const [activeMatch, setActiveMatch] = useState(0);
+  const [grouping, setGrouping] = useState(() => (
+    view.grouping.filter(isGroupable)
+  ));
+  const [groupingModes, setGroupingModes] = useState(view.groupingModes);
+  const [formatRules, setFormatRules] = useState(view.formatRules);
+  // Locale of the text order picked in the sort menu for this view; null
+  // for `locale`
+  const [sortLocale, setSortLocale] = useState(view.locale);
+  const textLocale = sortLocale ?? locale;
+  const [expanded, setExpanded] = useState({});
+  // Rows with their detail panel open, by row ID
+  const [openDetails, setOpenDetails] = useState({});
+  // Selection is keyed by row ID, so it survives sorting, filtering and
+  // column changes
+  const [rowSelection, setRowSelection] = useState({});
+  // Formula dialog: null when closed, `{ definition: null }` to add a column
+  const [formulaDialog, setFormulaDialog] = useState(null);
+  // Row ID of the last checkbox clicked without shift, start of shift-click ranges
+  const selectionAnchor = useRef(null);
+  // Active cell of the keyboard grid (see gridNavigation.js): arrow keys
+  // move it, Enter edits or activates it, Space selects its row and
+  // Ctrl+Shift+arrows sort or move its column. It is a row index in display
+  // order and a column ID, so the cell follows its column when columns move
+  const [activeCell, setActiveCell] = useState({ rowIndex: 0, columnId: null });
+  // Cell being edited inline ({ rowId, columnId }), one at a time
+  const [editingCell, setEditingCell] = useState(null);
+  // Set when the keyboard moves the active cell; it is focused once rendered
+  const shouldFocusActiveCell = useRef(false);
+  const gridRef = useRef(null);
+
+  // Column moves, pinning and sorting are recorded in `history` (see
+  // useUndoHistory). Its entries act on this table's state, so they are
+  // dropped when the table unmounts, e.g. to apply another view.
+  const historyScope = useRef({});
+  const discardHistory = history?.discard;
+  useEffect(() => () => discardHistory?.(historyScope.current), [discardHistory]);
+
+  const getHeader = (columnId) => (
+    allColumns.find(column => column.accessorKey === columnId)?.header
+      ?? getColumnGroup(tableSchema.columnGroups, columnId)?.header
+      ?? columnId
+  );
+
+  const recordLayoutChange = (label, apply, previous, next, coalesceKey) => {
+    history?.push({
+      label,
+      coalesceKey,
+      scope: historyScope.current,
+      undo: () => apply(previous),
+      redo: () => apply(next),
+    });
+  };
+
+  const applyColumnLayout = (layout) => {
+    setColumnOrder(layout.columnOrder);
+    setColumnPinning(layout.columnPinning);
+  };
+
+  const changeColumnLayout = (label, next, coalesceKey) => {
+    applyColumnLayout(next);
+    recordLayoutChange(label, applyColumnLayout, { columnOrder, columnPinning }, next, coalesceKey);
+  };
+
+  // Pinning from the header menu; the columns of a group are pinned together
+  const handleColumnPinningChange = (updater) => {
+    const next = typeof updater === 'function' ? updater(columnPinning) : updater;
+    const columnId = columnOrder.find(id => getPinZone(columnPinning, id) !== getPinZone(next, id));
+    if (!columnId) {
+      setColumnPinning(next);
+      return;
+    }
+    const zone = getPinZone(next, columnId);
+    const { group, columnIds } = getPinnedTogether(tableSchema.columnGroups, columnId);
+    const name = group ? group.header : getHeader(columnId);
+    const label = zone === 'center' ? `Unpin ${name}` : `Pin ${name} ${zone}`;
+    changeColumnLayout(label, {
+      columnOrder,
+      columnPinning: group
+        ? pinColumns(columnPinning, getVisualColumnOrder(columnOrder, columnPinning).filter(id => columnIds.includes(id)), zone)
+        : next,
+    });
+  };
+
+  // Clicking a header repeatedly cycles its sort; quick clicks undo together
+  const handleSortingChange = (updater) => {
+    const next = typeof updater === 'function' ? updater(sorting) : updater;
+    const label = next.length === 0
+      ? 'Clear sorting'
+      : `Sort by ${next.map(({ id, desc }) => `${getHeader(id)} ${desc ? '↓' : '↑'}`).join(', ')}`;
+    setSorting(next);
+    recordLayoutChange(label, setSorting, sorting, next, 'sorting');
+  };
+
+  const handleSortLocaleChange = (next) => {
+    setSortLocale(next);
+    recordLayoutChange('Change text order', setSortLocale, sortLocale, next, 'sortLocale');
+  };
+
+  // Row matcher for the global search. It caches a result per row and
+  // searches the visible cells, so it is rebuilt when the query or the
+  // visible columns change.
+  const visibleColumnIds = allColumns
+    .map(column => column.accessorKey)
+    .filter(id => columnVisibility[id] !== false)
+    .join(',');
+  const matcher = useMemo(() => createRowMatcher(globalFilter), [globalFilter, visibleColumnIds]);
+
+  // Rows of the data source, if any, loaded page by page as they scroll
+  // into view. Only schema fields are known to it, so formula columns cannot
+  // be sorted or filtered, and rows are not grouped. The search looks in the
+  // visible columns, as it does locally.
+  const isRemote = Boolean(dataSource);
+  const remoteQuery = useMemo(() => {
+    const isSchemaField = id => tableSchema.columnIds.includes(id);
+    const search = onlyMatches ? globalFilter : '';
+    return {
+      sorting: sorting.filter(({ id }) => isSchemaField(id)),
+      filters: columnFilters
+        .filter(({ id }) => isSchemaField(id))
+        .map(({ id, value }) => ({
+          id,
+          variant: tableSchema.fields.find(field => field.id === id).filterVariant,
+          value,
+        })),
+      search,
+      searchColumns: search ? tableSchema.columnIds.filter(id => columnVisibility[id] !== false) : undefined,
+      locale: textLocale,
+    };
+  }, [tableSchema, sorting, columnFilters, globalFilter, onlyMatches, columnVisibility, textLocale]);
+  const remote = useDataSourceRows({
+    dataSource,
+    query: remoteQuery,
+    rowIdField: tableSchema.rowId,
+  });
+
+  // Enrich data with computed fields (schema computed fields and formulas)
+  // This happens at the component level, not in storage. The cache keeps
+  // unchanged rows, so an edit only re-derives the fields that depend on
+  // the edited values.
+  // A new day (or clock) re-derives only the dynamic fields.
+  const enrichmentCache = useRef(new Map());
+  const [today, setToday] = useState(() => clock.today());
+  useEffect(() => {
+    setToday(clock.today());
+    return watchCalendarDay(clock, setToday);
+  }, [clock]);
   const enrichedData = useMemo(() => {
-    return enrichDataWithComputedFields(rawData);
-  }, [rawData]);
-
-  // Column definitions with sorting and display configuration
-  const columns = useMemo(
-    () => [
-      {
-        accessorKey: 'id',
-        header: 'ID',
-        size: 120,
-        cell: info => (
-          <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.85rem' }}>
-            {info.getValue().slice(0, 8)}...
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'firstName',
-        header: 'First Name',
-        size: 150,
-        cell: info => (
-          <Typography variant="body2" fontWeight={500}>
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'lastName',
-        header: 'Last Name',
-        size: 150,
-        cell: info => (
-          <Typography variant="body2" fontWeight={500}>
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'fullName',
-        header: 'Full Name',
-        size: 200,
-        enableSorting: true,
-        meta: {
-          isComputed: true,
-          description: 'Computed from firstName + lastName'
-        },
-        cell: info => (
-          <Typography variant="body2" fontWeight={600} color="primary.main">
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'email',
-        header: 'Email',
-        size: 250,
-        cell: info => (
-          <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.85rem' }}>
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'city',
-        header: 'City',
-        size: 150,
-        cell: info => (
-          <Typography variant="body2">
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'registeredDate',
-        header: 'Registered Date',
-        size: 150,
-        cell: info => (
-          <Typography variant="body2" sx={{ fontFamily: 'monospace', fontSize: '0.85rem' }}>
-            {info.getValue()}
-          </Typography>
-        ),
-      },
-      {
-        accessorKey: 'dsr',
-        header: 'DSR',
-        size: 120,
-        enableSorting: true,
-        meta: {
-          isComputed: true,
-          isDynamic: true,
-          description: 'Days Since Registration - computed dynamically'
-        },
-        cell: info => {
-          const days = info.getValue();
-          return (
-            <Chip
-              label={`${days} ${days === 1 ? 'day' : 'days'}`}
-              size="small"
-              sx={{
-                background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
-                color: 'white',
-                fontWeight: 600,
-                fontSize: '0.75rem',
-              }}
-            />
-          );
-        }
-      },
-    ],
-    []
+    const enrich = records => (
+      enrichDataWithComputedFields(records, enrichmentCache.current, compiledFormulas.fields, clock)
+    );
+    return enrich(isRemote ? remote.records : rawData);
+  }, [isRemote, rawData, remote.records, compiledFormulas, clock, today]);
+
+  // Conditional formats (see conditionalFormatting.js), worked out per row
+  // as it renders from the enriched values; colour scales span the (loaded)
+  // records. Types with `formatsCell` (the DSR chip) style their own content.
+  const formatter = useMemo(
+    () => createFormatter(formatRules, allColumns, enrichedData),
+    [formatRules, allColumns, enrichedData]
   );
 
+  // Column definitions with the selected grouping modes (month / year, ...),
+  // nested under their column groups
+  // The data source cannot sort or filter by formula columns
+  const tableColumns = useMemo(() => {
+    const columns = applyGroupingModes(allColumns, groupingModes).map(column => (
+      isRemote && column.meta?.formula ? { ...column, enableSorting: false, enableColumnFilter: false } : column
+    ));
+    return createGroupedColumnDefs(columns, tableSchema.columnGroups);
+  }, [allColumns, groupingModes, isRemote, tableSchema]);
+
+  // Sorting runs after the table is created, so the (stable) table can tell
+  // the sorting functions a column's direction
+  const sortingFns = useMemo(() => createSortingFns(
+    textLocale,
+    columnId => table.getColumn(columnId)?.getIsSorted() === 'desc'
+  ), [textLocale]);
+
+  // TanStack caches grouping values and the sorted order, so a changed
+  // grouping mode or locale needs fresh rows: hand the table a new array of
+  // the same records
+  const tableData = useMemo(() => [...enrichedData], [enrichedData, tableColumns, sortingFns]);
+
   // Initialize table with TanStack Table
   const table = useReactTable({
-    data: enrichedData,
-    columns,
+    data: tableData,
+    columns: tableColumns,
     state: {
       columnOrder,
+      columnPinning,
+      columnSizing,
+      columnVisibility,
       sorting,
+      columnFilters,
+      // The matcher rather than the query, so a rebuilt matcher refilters
+      globalFilter: onlyMatches && globalFilter ? matcher : '',
+      grouping: isRemote ? NO_GROUPING : grouping,
+      expanded,
+      rowSelection,
+    },
+    meta: {
+      schemaId: tableSchema.id,
+      clock,
+      searchTokens: matcher.tokens,
+      getCellFormat: (row, columnId) => formatter.getCellFormat(row.original, columnId),
+      updateData: (rowId, columnId, value) => onRowUpdate?.(rowId, { [columnId]: value }),
+      editFormulaColumn: onFormulaColumnsChange && ((columnId) => {
+        setFormulaDialog({ definition: formulaColumns.find(definition => definition.id === columnId) });
+      }),
+      autoFitColumn: (column) => {
+        const leafRows = table.getRowModel().rows.filter(row => !row.getIsGrouped());
+        const width = computeAutoFitWidth(column, leafRows, tableContainerRef.current);
+        setColumnSizing(prev => ({ ...prev, [column.id]: width }));
+      },
     },
+    getRowId: (row) => row[tableSchema.rowId],
+    filterFns: filterFnsByVariant,
+    sortingFns,
+    aggregationFns,
+    globalFilterFn: (row) => matcher.matchesRow(row),
     onColumnOrderChange: setColumnOrder,
-    onSortingChange: setSorting,
+    onColumnPinningChange: handleColumnPinningChange,
+    onColumnSizingChange: setColumnSizing,
+    onColumnVisibilityChange: setColumnVisibility,
+    columnResizeMode: 'onChange',
+    onSortingChange: handleSortingChange,
+    onColumnFiltersChange: setColumnFilters,
+    onGlobalFilterChange: setGlobalFilter,
+    onRowSelectionChange: setRowSelection,
+    onGroupingChange: setGrouping,
+    onExpandedChange: setExpanded,
+    // Grouped columns stay where the user put them
+    groupedColumnMode: false,
+    // Keep groups open across edits
+    autoResetExpanded: false,
+    enableRowSelection: (row) => !row.getIsGrouped(),
+    // The data source returns rows already sorted and filtered
+    manualSorting: isRemote,
+    manualFiltering: isRemote,
+    enableGrouping: !isRemote,
     getCoreRowModel: getCoreRowModel(),
     getSortedRowModel: getSortedRowModel(),
+    getFilteredRowModel: getFilteredRowModel(),
+    getGroupedRowModel: getGroupedRowModel(),
+    getExpandedRowModel: getExpandedRowModel(),
+    getFacetedRowModel: getFacetedRowModel(),
+    getFacetedUniqueValues: getFacetedUniqueValues(),
+    getFacetedMinMaxValues: getFacetedMinMaxValues(),
     debugTable: false,
   });
 
+  // Persist column widths across reloads
+  useEffect(() => {
+    saveColumnSizing(columnSizing);
+  }, [columnSizing]);
+
+  // Report layout and query state so it can be saved as a named view
+  useEffect(() => {
+    onViewStateChange?.({
+      columnOrder,
+      columnPinning,
+      columnSizing,
+      columnVisibility,
+      sorting,
+      columnFilters,
+      grouping,
+      groupingModes,
+      formatRules,
+      locale: sortLocale,
+    });
+  }, [
+    columnOrder,
+    columnPinning,
+    columnSizing,
+    columnVisibility,
+    sorting,
+    columnFilters,
+    grouping,
+    groupingModes,
+    formatRules,
+    sortLocale,
+    onViewStateChange,
+  ]);
+
   // Set up drag-and-drop sensors
   const sensors = useSensors(
     useSensor(MouseSensor, {}),
@@ -192,140 +614,827 @@ export const DataTable = ({ rawData }) => {
     useSensor(KeyboardSensor, {})
   );
 
-  // Handle column reordering via drag-and-drop
+  // Header being dragged and the one it is over, for the drop indicator.
+  // A column only moves within its column group and a group moves as a
+  // whole; a drop that would split a group is refused, which the header
+  // under the pointer shows.
+  const [columnDrag, setColumnDrag] = useState(null);
+  const getMove = (activeId, overId) => (
+    getColumnMove({ columnOrder, columnPinning }, tableSchema.columnGroups, activeId, overId)
+  );
+  const columnMove = columnDrag && getMove(columnDrag.activeId, columnDrag.overId);
+
+  const getDropIndicator = (itemId) => {
+    if (!columnMove) return null;
+    if (!columnMove.isValid) return itemId === columnDrag.overId ? 'invalid' : null;
+    return itemId === columnMove.targetId ? columnMove.side : null;
+  };
+  // Other headers make room for the dragged one only when it would land
+  // next to the header it is over
+  const headerSortingStrategy = columnMove && (!columnMove.isValid || columnMove.targetId !== columnDrag.overId)
+    ? keepHeadersInPlace
+    : horizontalListSortingStrategy;
+
+  const handleDragOver = ({ active, over }) => {
+    setColumnDrag(over ? { activeId: active.id, overId: over.id } : null);
+  };
+
+  // Handle column reordering and grouping via drag-and-drop
+  // Dropping onto a column in another pinning zone moves the column there;
+  // dropping onto the group-by bar groups rows by the column. Grouped
+  // columns and groups only move among their siblings (see columnGroups.js).
   const handleDragEnd = (event) => {
     const { active, over } = event;
-    
-    if (active && over && active.id !== over.id) {
-      setColumnOrder((prev) => {
-        const oldIndex = prev.indexOf(active.id);
-        const newIndex = prev.indexOf(over.id);
-        return arrayMove(prev, oldIndex, newIndex);
+    setColumnDrag(null);
+
+    if (!active || !over || active.id === over.id) return;
+
+    const nextGrouping = moveGrouping(grouping, active.id, over.id);
+    if (nextGrouping) {
+      if (nextGrouping.every(isGroupable)) {
+        setGrouping(nextGrouping);
+      }
+    } else if (!isGroupChipId(active.id)) {
+      const move = getMove(active.id, over.id);
+      if (move?.isValid) {
+        changeColumnLayout(
+          `Move ${getHeader(active.id)}`,
+          moveColumn(columnOrder, columnPinning, move.activeIds, move.targetIds)
+        );
+      }
+    }
+  };
+
+  // Toggle a row's checkbox; with shift held, apply the clicked row's new
+  // state to every row between the anchor and the clicked row, in the
+  // current (sorted and filtered) order
+  const handleRowCheckboxClick = (event, row, index) => {
+    const selected = !row.getIsSelected();
+    const anchorIndex = rows.findIndex(r => r.id === selectionAnchor.current);
+
+    if (event.shiftKey && anchorIndex !== -1) {
+      const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+      setRowSelection(prev => {
+        const next = { ...prev };
+        // Group rows in the range are skipped, not their visible data rows
+        rows.slice(start, end + 1).filter(r => r.getCanSelect()).forEach(r => {
+          if (selected) next[r.id] = true;
+          else delete next[r.id];
+        });
+        return next;
       });
+    } else {
+      row.toggleSelected(selected);
+      selectionAnchor.current = row.id;
     }
   };
 
+  // Apply new formula definitions, dropping state of removed columns and
+  // filters that may no longer fit an edited formula's result type
+  const updateFormulaColumns = (definitions, editedId) => {
+    const columnIds = [...tableSchema.columnIds, ...definitions.map(definition => definition.id)];
+    const next = sanitizeViewState({
+      columnOrder,
+      columnPinning,
+      columnSizing,
+      columnVisibility,
+      sorting,
+      columnFilters: columnFilters.filter(filter => filter.id !== editedId),
+      grouping,
+      groupingModes,
+    }, columnIds);
+
+    setColumnOrder(next.columnOrder);
+    setColumnPinning(next.columnPinning);
+    setColumnSizing(next.columnSizing);
+    setColumnVisibility(next.columnVisibility);
+    setSorting(next.sorting);
+    setColumnFilters(next.columnFilters);
+    setGrouping(next.grouping);
+    setGroupingModes(next.groupingModes);
+    onFormulaColumnsChange(definitions);
+    setFormulaDialog(null);
+  };
+
+  const handleFormulaSave = (definition) => {
+    const editedId = formulaDialog.definition?.id;
+    updateFormulaColumns(
+      editedId
+        ? formulaColumns.map(existing => (existing.id === editedId ? definition : existing))
+        : [...formulaColumns, definition],
+      editedId
+    );
+  };
+
+  const handleRowsDelete = (ids) => {
+    onRowsDelete(ids);
+    setRowSelection(prev => {
+      const next = { ...prev };
+      ids.forEach(id => delete next[id]);
+      return next;
+    });
+  };
+
   // Virtual scrolling setup for performance
   const tableContainerRef = useMemo(() => ({ current: null }), []);
   
   const rows = table.getRowModel().rows;
-  
+
+  // With a data source, virtual indices span the whole result but only the
+  // loaded rows are in the table; the others render as placeholders
+  const getRowAt = (index) => {
+    if (!isRemote) return rows[index];
+    const record = remote.getRecord(index);
+    return record && table.getRow(record[tableSchema.rowId]);
+  };
+  const toVirtualIndex = (rowIndex) => (isRemote ? remote.getIndex(rows[rowIndex].id) : rowIndex);
+
+  const toggleDetails = (rowId) => {
+    setOpenDetails(prev => {
+      const next = { ...prev };
+      if (next[rowId]) delete next[rowId];
+      else next[rowId] = true;
+      return next;
+    });
+  };
+
+  // Measured heights are kept by row ID, so they follow their rows when the
+  // order changes; the virtualizer recomputes its layout when this function
+  // changes, so it is only recreated with the rows
+  const { getRecord } = remote;
+  const getItemKey = useCallback((index) => {
+    if (!isRemote) return rows[index]?.id ?? index;
+    return getRecord(index)?.[tableSchema.rowId] ?? index;
+  }, [isRemote, rows, getRecord, tableSchema]);
+
   const rowVirtualizer = useVirtualizer({
-    count: rows.length,
+    count: isRemote ? remote.total : rows.length,
     getScrollElement: () => tableContainerRef.current,
-    estimateSize: () => 53,
+    estimateSize: (index) => (
+      ESTIMATED_ROW_HEIGHT + (openDetails[getItemKey(index)] ? ESTIMATED_DETAIL_HEIGHT : 0)
+    ),
+    getItemKey,
     overscan: 10,
   });
 
+  // Jump back to the top whenever the filtered set changes
+  useEffect(() => {
+    rowVirtualizer.scrollToOffset(0);
+  }, [columnFilters, rowVirtualizer]);
+
+  // Indices (in the current row model) of rows matching the global search
+  const matchIndices = useMemo(() => {
+    if (matcher.tokens.length === 0) return [];
+    return rows.reduce((indices, row, index) => {
+      if (!row.getIsGrouped() && matcher.matchesRow(row)) indices.push(index);
+      return indices;
+    }, []);
+  }, [rows, matcher]);
+
+  const activeMatchRowId = rows[matchIndices[activeMatch]]?.id;
+
+  const goToMatch = useCallback((index) => {
+    if (matchIndices.length === 0) return;
+    const wrapped = (index + matchIndices.length) % matchIndices.length;
+    setActiveMatch(wrapped);
+    rowVirtualizer.scrollToIndex(toVirtualIndex(matchIndices[wrapped]), { align: 'center' });
+  }, [matchIndices, rowVirtualizer]);
+
+  // Start from the first match whenever the query or search mode changes
+  useEffect(() => {
+    setActiveMatch(0);
+    if (matchIndices.length > 0) {
+      rowVirtualizer.scrollToIndex(toVirtualIndex(matchIndices[0]), { align: 'start' });
+    }
+  }, [matcher, onlyMatches]);
+
   const virtualRows = rowVirtualizer.getVirtualItems();
   const totalSize = rowVirtualizer.getTotalSize();
 
+  // Load the pages of the rows on screen (and the overscan)
+  const firstVisibleIndex = virtualRows[0]?.index;
+  const lastVisibleIndex = virtualRows[virtualRows.length - 1]?.index;
+  const { loadRange } = remote;
+  useEffect(() => {
+    if (isRemote && firstVisibleIndex !== undefined) {
+      loadRange(firstVisibleIndex, lastVisibleIndex);
+    }
+  }, [isRemote, firstVisibleIndex, lastVisibleIndex, loadRange]);
+
+  const firstPage = remote.getPageState(0);
+
   const paddingTop = virtualRows.length > 0 ? virtualRows?.[0]?.start || 0 : 0;
   const paddingBottom =
     virtualRows.length > 0
       ? totalSize - (virtualRows?.[virtualRows.length - 1]?.end || 0)
       : 0;
 
+  // Keyboard grid: the gutter is column 0, then the visible columns in
+  // display order (left pinned, center, right pinned)
+  const visibleColumns = [
+    ...table.getLeftVisibleLeafColumns(),
+    ...table.getCenterVisibleLeafColumns(),
+    ...table.getRightVisibleLeafColumns(),
+  ];
+  const gridColumnIds = [GUTTER_COLUMN_ID, ...visibleColumns.map(column => column.id)];
+  const headerRowCount = table.getHeaderGroups().length;
+  const rowCount = isRemote ? remote.total : rows.length;
+
+  // Report the first row on screen once scrolling settles, from the restored
+  // position on
+  const hasRestoredPosition = useRef(false);
+  const topRowIndex = rowVirtualizer.isScrolling ? null : rowVirtualizer.range?.startIndex;
+  useEffect(() => {
+    if (hasRestoredPosition.current && topRowIndex !== null && topRowIndex !== undefined) {
+      onScrollIndexChange?.(topRowIndex);
+    }
+  }, [topRowIndex, onScrollIndexChange]);
+
+  // Open at the position of a shared link once there are rows: the linked
+  // row if it is among them, else the row the link was scrolled to
+  useEffect(() => {
+    if (hasRestoredPosition.current || rowCount === 0) return;
+    hasRestoredPosition.current = true;
+    const linkedIndex = linkedRowId ? rows.findIndex(row => row.id === linkedRowId) : -1;
+    if (linkedIndex !== -1) {
+      const rowIndex = toVirtualIndex(linkedIndex);
+      setActiveCell(prev => ({ ...prev, rowIndex }));
+      rowVirtualizer.scrollToIndex(rowIndex, { align: 'center' });
+    } else if (initialScrollIndex > 0) {
+      rowVirtualizer.scrollToIndex(Math.min(initialScrollIndex, rowCount - 1), { align: 'start' });
+    }
+  }, [rowCount]);
+
+  // The active cell, kept inside the grid as rows and columns change
+  const activeColumnIndex = gridColumnIds.indexOf(activeCell.columnId);
+  const activePosition = {
+    rowIndex: Math.min(activeCell.rowIndex, Math.max(rowCount - 1, 0)),
+    columnIndex: activeColumnIndex === -1 ? Math.min(1, gridColumnIds.length - 1) : activeColumnIndex,
+  };
+
+  // The grid's single tab stop: the active cell, or the same column of the
+  // first rendered row while the active row is scrolled out of the window
+  const tabStopRowIndex = virtualRows.some(virtualRow => virtualRow.index === activePosition.rowIndex)
+    ? activePosition.rowIndex
+    : virtualRows[0]?.index;
+
+  const getGridCellProps = (rowIndex, columnIndex, span = 1) => ({
+    role: 'gridcell',
+    'aria-colindex': columnIndex + 1,
+    tabIndex: rowIndex === tabStopRowIndex
+      && activePosition.columnIndex >= columnIndex
+      && activePosition.columnIndex < columnIndex + span ? 0 : -1,
+  });
+
+  const moveActiveCell = ({ rowIndex, columnIndex }) => {
+    setActiveCell({ rowIndex, columnId: gridColumnIds[columnIndex] });
+    rowVirtualizer.scrollToIndex(rowIndex);
+    shouldFocusActiveCell.current = true;
+  };
+
+  // Focus the active cell once its row is rendered
+  useEffect(() => {
+    if (!shouldFocusActiveCell.current) return;
+    const cell = findGridCell(gridRef.current, activePosition, headerRowCount);
+    if (cell) {
+      shouldFocusActiveCell.current = false;
+      cell.focus();
+    }
+  });
+
+  // Clicking or tabbing into a cell makes it the active cell. A cell spanning
+  // several columns keeps the active column if it is one of them.
+  const handleGridFocus = (event) => {
+    const cell = event.target.closest('[role="gridcell"]');
+    const rowElement = cell?.closest('[role="row"]');
+    // Detail panels are not part of the grid's rows
+    if (!rowElement?.hasAttribute('aria-rowindex')) return;
+
+    const rowIndex = Number(rowElement.getAttribute('aria-rowindex')) - headerRowCount - 1;
+    const columnIndex = Number(cell.getAttribute('aria-colindex')) - 1;
+    const keepsColumn = activePosition.columnIndex >= columnIndex
+      && activePosition.columnIndex < columnIndex + cell.colSpan;
+    setActiveCell({
+      rowIndex,
+      columnId: keepsColumn ? gridColumnIds[activePosition.columnIndex] : gridColumnIds[columnIndex],
+    });
+  };
+
+  const handleEditingChange = (rowId, columnId, isEditing, { restoreFocus = false } = {}) => {
+    if (isEditing) {
+      setEditingCell({ rowId, columnId });
+      return;
+    }
+    setEditingCell(prev => (prev?.rowId === rowId && prev.columnId === columnId ? null : prev));
+    if (restoreFocus) shouldFocusActiveCell.current = true;
+  };
+
+  // Index of a row for shift-click ranges, which run over the row model
+  const getSelectionIndex = (row, rowIndex) => (isRemote ? row.index : rowIndex);
+
+  // Enter / F2: edit the cell, or do what clicking it would
+  const activateCell = (event, { rowIndex, columnIndex }) => {
+    const row = getRowAt(rowIndex);
+    const columnId = gridColumnIds[columnIndex];
+    if (!row) {
+      if (remote.getPageState(rowIndex).status === 'error') remote.retryPage(rowIndex);
+    } else if (row.getIsGrouped()) {
+      row.toggleExpanded();
+    } else if (columnId === GUTTER_COLUMN_ID) {
+      handleRowCheckboxClick(event, row, getSelectionIndex(row, rowIndex));
+    } else if (onRowUpdate && table.getColumn(columnId).columnDef.meta?.editable) {
+      setEditingCell({ rowId: row.id, columnId });
+    }
+  };
+
+  // Space: select the row, like its checkbox (Shift extends the range)
+  const selectRowAt = (event, rowIndex) => {
+    const row = getRowAt(rowIndex);
+    if (!row) return;
+    if (row.getIsGrouped()) row.toggleSelected(!row.getIsAllSubRowsSelected());
+    else handleRowCheckboxClick(event, row, getSelectionIndex(row, rowIndex));
+  };
+
+  // Ctrl+Shift+arrows: sort the column, or move it past its neighbour (a
+  // whole group when the neighbour is in one); grouped columns stay in
+  // their group
+  const handleColumnShortcut = (key, columnIndex) => {
+    const columnId = gridColumnIds[columnIndex];
+    if (columnId === GUTTER_COLUMN_ID) return;
+    const column = table.getColumn(columnId);
+
+    if (key === 'ArrowUp' || key === 'ArrowDown') {
+      const desc = key === 'ArrowDown';
+      if (column.getIsSorted() === (desc ? 'desc' : 'asc')) column.clearSorting();
+      else if (column.getCanSort()) column.toggleSorting(desc);
+    } else {
+      const neighbourId = gridColumnIds[columnIndex + (key === 'ArrowLeft' ? -1 : 1)];
+      const move = neighbourId && getMove(columnId, neighbourId);
+      if (!move?.isValid) return;
+      changeColumnLayout(
+        `Move ${getHeader(columnId)}`,
+        moveColumn(columnOrder, columnPinning, move.activeIds, move.targetIds),
+        `move:${columnId}`
+      );
+    }
+    // The focused cell may re-render in another row or place
+    shouldFocusActiveCell.current = true;
+  };
+
+  const handleGridKeyDown = (event) => {
+    // Only keys pressed on a cell itself; editors and buttons handle their own
+    if (event.target.getAttribute('role') !== 'gridcell') return;
+
+    const isCtrl = event.ctrlKey || event.metaKey;
+    if (isCtrl && event.shiftKey && event.key.startsWith('Arrow')) {
+      handleColumnShortcut(event.key, activePosition.columnIndex);
+    } else if (isCtrl && event.key === 'Enter') {
+      const row = getRowAt(activePosition.rowIndex);
+      if (row && !row.getIsGrouped()) toggleDetails(row.id);
+    } else if (event.key === 'Enter' || event.key === 'F2') {
+      activateCell(event, activePosition);
+    } else if (event.key === ' ') {
+      selectRowAt(event, activePosition.rowIndex);
+    } else {
+      const pageSize = Math.max(Math.floor(tableContainerRef.current.clientHeight / ESTIMATED_ROW_HEIGHT) - 1, 1);
+      const next = getNextCellPosition(activePosition, event, {
+        rowCount,
+        columnCount: gridColumnIds.length,
+        pageSize,
+      });
+      if (!next || rowCount === 0) return;
+      moveActiveCell(next);
+    }
+    event.preventDefault();
+  };
+
+  // Rows of one virtual row: a placeholder, a group row, or a data row
+  // followed by its detail panel when open
+  const renderRow = (rowIndex) => {
+    const row = getRowAt(rowIndex);
+    const rowProps = { role: 'row', 'aria-rowindex': rowIndex + headerRowCount + 1 };
+
+    if (!row) {
+      const page = remote.getPageState(rowIndex);
+      return (
+        <TableRow key={`placeholder:${rowIndex}`} {...rowProps} aria-busy={page.status !== 'error'}>
+          <td {...getGridCellProps(rowIndex, 0)} style={gutterCellStyle} />
+          {page.status === 'error' ? (
+            <td
+              {...getGridCellProps(rowIndex, 1, visibleColumns.length)}
+              colSpan={visibleColumns.length}
+              style={{ padding: '6px 16px', borderBottom: '1px solid rgba(224, 224, 224, 1)' }}
+            >
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="body2" color="error" noWrap>
+                  Could not load this row: {page.error.message}
+                </Typography>
+                <Button size="small" tabIndex={-1} onClick={() => remote.retryPage(rowIndex)}>
+                  Retry
+                </Button>
+              </Box>
+            </td>
+          ) : visibleColumns.map((column, index) => (
+            <td key={column.id} {...getGridCellProps(rowIndex, index + 1)} style={getCellStyle(column)}>
+              <Skeleton variant="text" />
+            </td>
+          ))}
+        </TableRow>
+      );
+    }
+
+    if (row.getIsGrouped()) {
+      const { labelCells, cells } = splitGroupRowCells(row);
+      const labelColumn = labelCells[0].column;
+      const groupColumn = table.getColumn(row.groupingColumnId);
+      // Right pinned labels stick by their last column
+      const stickyColumn = labelColumn.getIsPinned() === 'right'
+        ? labelCells[labelCells.length - 1].column
+        : labelColumn;
+
+      return (
+        <TableRow key={row.id} {...rowProps} aria-expanded={row.getIsExpanded()} sx={{ bgcolor: 'grey.50' }}>
+          <td {...getGridCellProps(rowIndex, 0)} style={gutterCellStyle}>
+            <Checkbox
+              size="small"
+              checked={row.getIsAllSubRowsSelected()}
+              indeterminate={row.getIsSomeSelected()}
+              onChange={() => row.toggleSelected(!row.getIsAllSubRowsSelected())}
+              inputProps={{ 'aria-label': 'Select group', tabIndex: -1 }}
+            />
+          </td>
+          <td
+            {...getGridCellProps(rowIndex, 1, labelCells.length)}
+            colSpan={labelCells.length}
+            style={{
+              ...getCellStyle(stickyColumn),
+              width: undefined,
+              maxWidth: undefined,
+              padding: '6px 16px',
+            }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, pl: row.depth * 3, minWidth: 0 }}>
+              <IconButton
+                size="small"
+                tabIndex={-1}
+                onClick={row.getToggleExpandedHandler()}
+                aria-label={row.getIsExpanded() ? 'Collapse group' : 'Expand group'}
+              >
+                {row.getIsExpanded() ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+              </IconButton>
+              <Typography variant="body2" fontWeight={600} noWrap>
+                {groupColumn.columnDef.header}: {String(row.groupingValue)}
+              </Typography>
+              <Chip size="small" label={row.getLeafRows().length} />
+            </Box>
+          </td>
+          {cells.map((cell) => (
+            <td
+              key={cell.id}
+              {...getGridCellProps(rowIndex, gridColumnIds.indexOf(cell.column.id))}
+              data-column-id={cell.column.id}
+              style={getCellStyle(cell.column)}
+            >
+              {hasGroupAggregate(cell.column) && flexRender(
+                cell.column.columnDef.aggregatedCell,
+                cell.getContext()
+              )}
+            </td>
+          ))}
+        </TableRow>
+      );
+    }
+
+    const isActiveMatch = row.id === activeMatchRowId;
+    const isLinked = row.id === linkedRowId;
+    const isDetailOpen = Boolean(openDetails[row.id]);
+    const detailId = `${tableSchema.id}-details-${row.id}`;
+    const title = row.original[tableSchema.titleField] ?? row.id;
+    const rowFormat = formatter.getRowFormat(row.original);
+    return (
+      <>
+        <TableRow
+          key={row.id}
+          {...rowProps}
+          aria-selected={row.getIsSelected()}
+          hover
+          selected={row.getIsSelected()}
+          sx={{
+            ...(isLinked && {
+              outline: '2px solid',
+              outlineColor: 'secondary.main',
+              outlineOffset: -2,
+            }),
+            ...(isActiveMatch && {
+              outline: '2px solid',
+              outlineColor: 'warning.main',
+              outlineOffset: -2,
+            }),
+            // Every row has a row group of its own, so stripes go by index
+            ...(rowIndex % 2 === 0 && {
+              backgroundColor: 'rgba(0, 0, 0, 0.02)',
+            }),
+            '&:hover': {
+              backgroundColor: 'rgba(102, 126, 234, 0.08) !important',
+            },
+          }}
+        >
+          <td {...getGridCellProps(rowIndex, 0)} style={gutterCellStyle}>
+            <Checkbox
+              size="small"
+              checked={row.getIsSelected()}
+              onClick={(e) => handleRowCheckboxClick(e, row, getSelectionIndex(row, rowIndex))}
+              inputProps={{ 'aria-label': 'Select row', tabIndex: -1 }}
+            />
+            <IconButton
+              size="small"
+              tabIndex={-1}
+              onClick={() => toggleDetails(row.id)}
+              aria-label={isDetailOpen ? `Hide details of ${title}` : `Show details of ${title}`}
+              aria-expanded={isDetailOpen}
+              aria-controls={isDetailOpen ? detailId : undefined}
+            >
+              {isDetailOpen ? <ExpandMore fontSize="small" /> : <ChevronRight fontSize="small" />}
+            </IconButton>
+          </td>
+          {row.getVisibleCells().map((cell, index) => {
+            const content = flexRender(
+              cell.column.columnDef.cell,
+              cell.getContext()
+            );
+            const isEditable = onRowUpdate && cell.column.columnDef.meta?.editable;
+            // Cell formats override the row's
+            const format = cell.column.columnDef.meta?.formatsCell
+              ? rowFormat
+              : { ...rowFormat, ...formatter.getCellFormat(row.original, cell.column.id) };
+
+            return (
+              <td
+                key={cell.id}
+                {...getGridCellProps(rowIndex, index + 1)}
+                data-column-id={cell.column.id}
+                data-formatted={format && Object.keys(format).length > 0 ? '' : undefined}
+                style={{ ...getCellStyle(cell.column), ...format }}
+              >
+                {isEditable ? (
+                  <EditableCell
+                    cell={cell}
+                    isEditing={editingCell?.rowId === row.id && editingCell.columnId === cell.column.id}
+                    onEditingChange={(isEditing, options) => (
+                      handleEditingChange(row.id, cell.column.id, isEditing, options)
+                    )}
+                  >
+                    {content}
+                  </EditableCell>
+                ) : content}
+              </td>
+            );
+          })}
+        </TableRow>
+        {isDetailOpen && (
+          <TableRow role="row">
+            <td
+              role="gridcell"
+              aria-colindex={1}
+              colSpan={gridColumnIds.length}
+              style={{ padding: 0, borderBottom: '1px solid rgba(224, 224, 224, 1)', backgroundColor: '#fafbff' }}
+            >
+              {/* Stays in view while the table scrolls sideways */}
+              <Box
+                id={detailId}
+                role="region"
+                aria-label={`Details of ${title}`}
+                sx={{ position: 'sticky', left: 0, width: tableContainerRef.current?.clientWidth ?? '100%' }}
+              >
+                <RowDetailPanel
+                  row={row}
+                  table={table}
+                  edits={editLog[row.id]}
+                  today={today}
+                  getRowLink={getRowLink}
+                />
+              </Box>
+            </td>
+          </TableRow>
+        )}
+      </>
+    );
+  };
+
   return (
     <Box>
-      {/* Table Container with Virtual Scrolling */}
-      <TableContainer
-        component={Paper}
-        ref={tableContainerRef}
-        elevation={3}
-        sx={{
-          maxHeight: 'calc(100vh - 200px)',
-          minHeight: '600px',
-          background: 'rgba(255,255,255,0.98)',
-          backdropFilter: 'blur(10px)',
-          position: 'relative',
-        }}
+      {/* Global Search */}
+      <GlobalSearch
+        query={globalFilter}
+        onQueryChange={setGlobalFilter}
+        matchCount={matchIndices.length}
+        activeMatch={activeMatch}
+        onNext={() => goToMatch(activeMatch + 1)}
+        onPrevious={() => goToMatch(activeMatch - 1)}
+        onlyMatches={onlyMatches}
+        onOnlyMatchesChange={setOnlyMatches}
       >
-        <Table 
-          stickyHeader 
-          sx={{ 
-            minWidth: 1200,
-            '& .MuiTableHead-root': {
-              position: 'sticky',
-              top: 0,
-              zIndex: 100,
-            },
+        <ColumnVisibilityMenu table={table} />
+        <SortMenu table={table} locale={sortLocale} onLocaleChange={handleSortLocaleChange} />
+        <ConditionalFormatMenu table={table} rules={formatRules} onRulesChange={setFormatRules} />
+        <ExportMenu table={table} />
+        <KeyboardShortcutsButton />
+        {onFormulaColumnsChange && (
+          <Button size="small" startIcon={<Functions />} onClick={() => setFormulaDialog({ definition: null })}>
+            Add formula
+          </Button>
+        )}
+      </GlobalSearch>
+
+      {/* Bulk actions for the selected rows */}
+      <SelectionToolbar
+        table={table}
+        onUpdate={onRowsUpdate}
+        onDelete={onRowsDelete && handleRowsDelete}
+      />
+
+      {/* Active Filters */}
+      <ActiveFilterChips table={table} />
+
+      <DndContext
+        sensors={sensors}
+        collisionDetection={detectCollisions}
+        onDragOver={handleDragOver}
+        onDragEnd={handleDragEnd}
+        onDragCancel={() => setColumnDrag(null)}
+      >
+        {/* Group-by bar (drop column headers here) */}
+        {!isRemote && (
+          <GroupByBar
+            table={table}
+            groupingModes={groupingModes}
+            onGroupingModeChange={(columnId, mode) => (
+              setGroupingModes(prev => ({ ...prev, [columnId]: mode }))
+            )}
+          />
+        )}
+
+        {isRemote && !remote.hasLoaded && firstPage.status === 'error' && (
+          <Alert
+            severity="error"
+            sx={{ mb: 2 }}
+            action={<Button color="inherit" size="small" onClick={() => remote.retryPage(0)}>Retry</Button>}
+          >
+            Could not load rows: {firstPage.error.message}
+          </Alert>
+        )}
+        {isRemote && (
+          <LinearProgress sx={{ visibility: remote.isLoading ? 'visible' : 'hidden' }} />
+        )}
+
+        {/* Table Container with Virtual Scrolling */}
+        <TableContainer
+          component={Paper}
+          ref={tableContainerRef}
+          elevation={3}
+          sx={{
+            maxHeight: 'calc(100vh - 200px)',
+            minHeight: '600px',
+            background: 'rgba(255,255,255,0.98)',
+            backdropFilter: 'blur(10px)',
+            position: 'relative',
           }}
         >
-          <DndContext
-            sensors={sensors}
-            collisionDetection={closestCenter}
-            onDragEnd={handleDragEnd}
+          {/* Only the rows on screen are rendered, so aria-rowcount and
+              aria-rowindex describe the full row set */}
+          <Table 
+            stickyHeader 
+            ref={gridRef}
+            role="grid"
+            aria-label={tableSchema.id}
+            aria-rowcount={rowCount + headerRowCount}
+            aria-colcount={gridColumnIds.length}
+            aria-multiselectable
+            onKeyDown={handleGridKeyDown}
+            onFocus={handleGridFocus}
+            sx={{ 
+              // Fixed layout keeps rendered widths equal to column sizes,
+              // which the sticky offsets of pinned columns rely on
+              tableLayout: 'fixed',
+              width: table.getTotalSize() + ROW_GUTTER_WIDTH,
+              '& .MuiTableHead-root': {
+                position: 'sticky',
+                top: 0,
+                zIndex: 100,
+              },
+              // Conditional formats on a cell reach its text
+              '& td[data-formatted] .MuiTypography-root': {
+                color: 'inherit',
+                fontWeight: 'inherit',
+                fontStyle: 'inherit',
+              },
+              // The active cell shows once the keyboard moves it
+              '& [role="gridcell"]:focus': {
+                outline: 'none',
+              },
+              '& [role="gridcell"]:focus-visible': {
+                outline: '2px solid',
+                outlineColor: 'primary.main',
+                outlineOffset: -2,
+              },
+            }}
           >
+            {/* Column widths; group headers span several columns */}
+            <colgroup>
+              <col style={{ width: ROW_GUTTER_WIDTH }} />
+              {visibleColumns.map(column => (
+                <col key={column.id} style={{ width: column.getSize() }} />
+              ))}
+            </colgroup>
             <TableHead>
-              {table.getHeaderGroups().map((headerGroup) => (
-                <TableRow key={headerGroup.id}>
+              {getHeaderRows(table.getHeaderGroups()).map(({ headerGroup, cells }) => (
+                <TableRow key={headerGroup.id} aria-rowindex={headerGroup.depth + 1}>
+                  {headerGroup.depth === 0 && (
+                    <TableCell
+                      padding="checkbox"
+                      role="columnheader"
+                      aria-colindex={1}
+                      rowSpan={headerRowCount}
+                      sx={{
+                        width: ROW_GUTTER_WIDTH,
+                        position: 'sticky',
+                        top: 0,
+                        left: 0,
+                        zIndex: 102,
+                        bgcolor: 'white',
+                        verticalAlign: 'bottom',
+                        borderBottom: '2px solid',
+                        borderBottomColor: 'grey.300',
+                        boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+                      }}
+                    >
+                      <Checkbox
+                        size="small"
+                        checked={table.getIsAllRowsSelected()}
+                        indeterminate={table.getIsSomeRowsSelected()}
+                        onChange={table.getToggleAllRowsSelectedHandler()}
+                        inputProps={{ 'aria-label': 'Select all rows' }}
+                      />
+                    </TableCell>
+                  )}
                   <SortableContext
-                    items={columnOrder}
-                    strategy={horizontalListSortingStrategy}
+                    items={cells.map(({ header }) => header.column.id)}
+                    strategy={headerSortingStrategy}
                   >
-                    {headerGroup.headers.map((header) => (
+                    {cells.map(({ header, rowSpan, columnIndex }) => (
                       <DraggableColumnHeader
                         key={header.id}
                         header={header}
+                        columnIndex={columnIndex}
+                        rowSpan={rowSpan}
+                        dropIndicator={getDropIndicator(header.column.id)}
                       />
                     ))}
                   </SortableContext>
                 </TableRow>
               ))}
             </TableHead>
-            <TableBody>
-              {paddingTop > 0 && (
+            {paddingTop > 0 && (
+              <TableBody aria-hidden>
                 <TableRow>
                   <td style={{ height: `${paddingTop}px` }} />
                 </TableRow>
-              )}
-              {virtualRows.map((virtualRow) => {
-                const row = rows[virtualRow.index];
-                return (
-                  <TableRow
-                    key={row.id}
-                    hover
-                    sx={{
-                      '&:nth-of-type(odd)': {
-                        backgroundColor: 'rgba(0, 0, 0, 0.02)',
-                      },
-                      '&:hover': {
-                        backgroundColor: 'rgba(102, 126, 234, 0.08) !important',
-                      },
-                    }}
-                  >
-                    {row.getVisibleCells().map((cell) => (
-                      <td
-                        key={cell.id}
-                        style={{
-                          padding: '12px 16px',
-                          width: cell.column.getSize(),
-                          maxWidth: cell.column.getSize(),
-                          overflow: 'hidden',
-                          textOverflow: 'ellipsis',
-                          whiteSpace: 'nowrap',
-                          borderBottom: '1px solid rgba(224, 224, 224, 1)',
-                        }}
-                      >
-                        {flexRender(
-                          cell.column.columnDef.cell,
-                          cell.getContext()
-                        )}
-                      </td>
-                    ))}
-                  </TableRow>
-                );
-              })}
-              {paddingBottom > 0 && (
+              </TableBody>
+            )}
+            {virtualRows.map((virtualRow) => (
+              // One row group per virtual row, measured as a whole: the row
+              // and its detail panel
+              <TableBody
+                key={virtualRow.key}
+                ref={rowVirtualizer.measureElement}
+                data-index={virtualRow.index}
+              >
+                {renderRow(virtualRow.index)}
+              </TableBody>
+            ))}
+            {paddingBottom > 0 && (
+              <TableBody aria-hidden>
                 <TableRow>
                   <td style={{ height: `${paddingBottom}px` }} />
                 </TableRow>
-              )}
-            </TableBody>
-          </DndContext>
-        </Table>
-      </TableContainer>
+              </TableBody>
+            )}
+          </Table>
+        </TableContainer>
+      </DndContext>
+
+      {formulaDialog && (
+        <FormulaColumnDialog
+          definition={formulaDialog.definition}
+          definitions={formulaColumns}
+          schema={tableSchema}
+          sampleRecords={enrichedData.slice(0, 3)}
+          clock={clock}
+          onClose={() => setFormulaDialog(null)}
+          onSave={handleFormulaSave}
+          onDelete={(id) => updateFormulaColumns(formulaColumns.filter(definition => definition.id !== id))}
+        />
+      )}
     </Box>
   );
 };
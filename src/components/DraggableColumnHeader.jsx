@@ -1,19 +1,174 @@
+import { useState } from 'react';
 import { flexRender } from '@tanstack/react-table';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { TableCell, Box, Tooltip, Chip } from '@mui/material';
+import {
+  TableCell,
+  Box,
+  Tooltip,
+  Chip,
+  IconButton,
+  Popover,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+} from '@mui/material';
 import {
   DragIndicator,
   ArrowUpward,
   ArrowDownward,
   UnfoldMore,
+  FilterList,
+  PushPin,
+  PushPinOutlined,
+  FirstPage,
+  LastPage,
+  Close,
+  Functions,
+  KeyboardDoubleArrowLeft,
+  KeyboardDoubleArrowRight,
 } from '@mui/icons-material';
+import { ColumnFilter } from './ColumnFilter';
+import { getPinnedStyles } from '../utils/pinning';
+import { setColumnGroupCollapsed } from '../utils/columnGroups';
+
+// Where a dragged header would land: a bar on that side of this header, or
+// a dashed outline when it cannot be dropped here without splitting a group
+const getDropIndicatorSx = (dropIndicator) => {
+  if (dropIndicator === 'invalid') {
+    return {
+      bgcolor: 'rgba(211, 47, 47, 0.08)',
+      outline: '2px dashed',
+      outlineColor: 'error.main',
+      outlineOffset: -2,
+    };
+  }
+  if (!dropIndicator) return {};
+  return {
+    '&::before': {
+      content: '""',
+      position: 'absolute',
+      top: 0,
+      bottom: 0,
+      [dropIndicator === 'before' ? 'left' : 'right']: 0,
+      width: 3,
+      bgcolor: 'primary.main',
+      zIndex: 2,
+    },
+  };
+};
+
+const dragHandleSx = {
+  cursor: 'grab',
+  color: 'grey.400',
+  fontSize: 20,
+  transition: 'color 0.2s',
+  '&:hover': {
+    color: 'primary.main',
+  },
+  '&:active': {
+    cursor: 'grabbing',
+  },
+};
 
 /**
- * Draggable column header component with sorting functionality
- * Styled with Material-UI
+ * Header of a column group: drag it to move the whole group, collapse it
+ * to its summary column
+ */
+const ColumnGroupHeader = ({ header, columnIndex, dropIndicator }) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } =
+    useSortable({
+      id: header.column.id,
+    });
+
+  const { table } = header.getContext();
+  const title = header.column.columnDef.header;
+  const columns = header.column.getLeafColumns();
+  const { summary } = header.column.columnDef.meta;
+  const summaryId = columns.some(column => column.id === summary) ? summary : columns[0].id;
+  const canCollapse = columns.length > 1;
+  const isCollapsed = canCollapse && columns.every(column => column.getIsVisible() === (column.id === summaryId));
+
+  // Sticky offsets come from the visible columns under the header
+  const leafHeaders = header.getLeafHeaders().filter(leaf => leaf.subHeaders.length === 0);
+  const pinned = header.column.getIsPinned();
+
+  const handleToggleCollapsed = () => {
+    table.setColumnVisibility(prev => setColumnGroupCollapsed(
+      prev,
+      columns.map(column => column.id),
+      summaryId,
+      !isCollapsed
+    ));
+  };
+
+  return (
+    <TableCell
+      ref={setNodeRef}
+      colSpan={header.colSpan}
+      style={{
+        transform: CSS.Transform.toString(transform),
+        transition,
+        opacity: isDragging ? 0.5 : 1,
+        ...getPinnedStyles(leafHeaders[0].column, leafHeaders[leafHeaders.length - 1].column),
+      }}
+      role="columnheader"
+      aria-colindex={columnIndex + 1}
+      sx={{
+        bgcolor: isDragging ? 'grey.100' : 'white',
+        color: 'text.secondary',
+        fontWeight: 700,
+        fontSize: '0.75rem',
+        letterSpacing: '0.05em',
+        textTransform: 'uppercase',
+        padding: '6px 12px !important',
+        userSelect: 'none',
+        borderBottom: '1px solid',
+        borderBottomColor: 'grey.300',
+        borderLeft: '1px solid',
+        borderLeftColor: 'grey.200',
+        position: 'sticky',
+        top: 0,
+        zIndex: pinned ? 101 : 100,
+        ...getDropIndicatorSx(dropIndicator),
+      }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 1, minWidth: 0 }}>
+        <Tooltip title="Drag to move the group" arrow placement="top">
+          <DragIndicator {...attributes} {...listeners} sx={{ ...dragHandleSx, fontSize: 18 }} />
+        </Tooltip>
+        <Box component="span" sx={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {title}
+        </Box>
+        {canCollapse && (
+          <Tooltip
+            title={isCollapsed ? `Show all ${title} columns` : `Collapse to ${table.getColumn(summaryId).columnDef.header}`}
+            arrow
+            placement="top"
+          >
+            <IconButton
+              size="small"
+              aria-label={isCollapsed ? `Expand ${title}` : `Collapse ${title}`}
+              aria-expanded={!isCollapsed}
+              onClick={handleToggleCollapsed}
+              sx={{ color: isCollapsed ? 'primary.main' : 'grey.400', p: 0.25 }}
+            >
+              {isCollapsed
+                ? <KeyboardDoubleArrowRight sx={{ fontSize: 16 }} />
+                : <KeyboardDoubleArrowLeft sx={{ fontSize: 16 }} />}
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+    </TableCell>
+  );
+};
+
+/**
+ * Header of a single column
  */
-export const DraggableColumnHeader = ({ header }) => {
+const ColumnHeader = ({ header, columnIndex, rowSpan, dropIndicator }) => {
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } =
     useSortable({
       id: header.column.id,
@@ -24,16 +179,42 @@ export const DraggableColumnHeader = ({ header }) => {
     transition: transition,
     opacity: isDragging ? 0.5 : 1,
     width: header.getSize(),
+    ...getPinnedStyles(header.column),
   };
 
-  // Get sort direction for this column
+  // Get sort direction for this column, and its priority when several
+  // columns are sorted
   const sortDirection = header.column.getIsSorted();
   const canSort = header.column.getCanSort();
+  const isMultiSorted = header.getContext().table.getState().sorting.length > 1;
+  const sortPriority = sortDirection && isMultiSorted ? header.column.getSortIndex() + 1 : null;
 
   // Meta information about computed columns
   const isComputed = header.column.columnDef.meta?.isComputed;
   const isDynamic = header.column.columnDef.meta?.isDynamic;
   const description = header.column.columnDef.meta?.description;
+  const formula = header.column.columnDef.meta?.formula;
+  const editFormulaColumn = header.getContext().table.options.meta?.editFormulaColumn;
+
+  // Filter popover anchored to the filter button
+  const [filterAnchor, setFilterAnchor] = useState(null);
+  const canFilter = header.column.getCanFilter();
+  const isFiltered = header.column.getIsFiltered();
+
+  // Pin menu (sticky left / right)
+  const [pinAnchor, setPinAnchor] = useState(null);
+  const canPin = header.column.getCanPin();
+  const pinned = header.column.getIsPinned();
+
+  const handlePin = (position) => {
+    header.column.pin(position);
+    setPinAnchor(null);
+  };
+
+  // Column resizing
+  const canResize = header.column.getCanResize();
+  const isResizing = header.column.getIsResizing();
+  const autoFitColumn = header.getContext().table.options.meta?.autoFitColumn;
 
   // Sort icon based on current state
   const getSortIcon = () => {
@@ -51,6 +232,10 @@ export const DraggableColumnHeader = ({ header }) => {
     <TableCell
       ref={setNodeRef}
       style={style}
+      rowSpan={rowSpan}
+      role="columnheader"
+      aria-colindex={columnIndex + 1}
+      aria-sort={sortDirection ? { asc: 'ascending', desc: 'descending' }[sortDirection] : undefined}
       sx={{
         bgcolor: isDragging 
           ? 'grey.100'
@@ -65,7 +250,8 @@ export const DraggableColumnHeader = ({ header }) => {
         borderBottomColor: 'grey.300',
         position: 'sticky',
         top: 0,
-        zIndex: 100,
+        zIndex: pinned ? 101 : 100,
+        verticalAlign: 'bottom',
         transition: 'all 0.2s ease',
         boxShadow: isDragging ? 2 : '0 2px 4px rgba(0,0,0,0.1)',
         '&::after': {
@@ -77,6 +263,7 @@ export const DraggableColumnHeader = ({ header }) => {
           height: 2,
           bgcolor: 'grey.300',
         },
+        ...getDropIndicatorSx(dropIndicator),
       }}
     >
       <Box
@@ -84,31 +271,19 @@ export const DraggableColumnHeader = ({ header }) => {
           display: 'flex',
           alignItems: 'center',
           gap: 1.5,
+          minWidth: 0,
+          overflow: 'hidden',
         }}
       >
         {/* Drag Handle */}
         <Tooltip title="Drag to reorder" arrow placement="top">
-          <DragIndicator
-            {...attributes}
-            {...listeners}
-            sx={{
-              cursor: 'grab',
-              color: 'grey.400',
-              fontSize: 20,
-              transition: 'color 0.2s',
-              '&:hover': {
-                color: 'primary.main',
-              },
-              '&:active': {
-                cursor: 'grabbing',
-              },
-            }}
-          />
+          <DragIndicator {...attributes} {...listeners} sx={dragHandleSx} />
         </Tooltip>
 
         {/* Column Header Text */}
         <Box
           onClick={canSort ? header.column.getToggleSortingHandler() : undefined}
+          title={canSort ? 'Click to sort, shift-click to sort by several columns' : undefined}
           sx={{
             flex: 1,
             display: 'flex',
@@ -131,6 +306,25 @@ export const DraggableColumnHeader = ({ header }) => {
           {canSort && (
             <Box sx={{ display: 'flex', alignItems: 'center' }}>
               {getSortIcon()}
+              {sortPriority && (
+                <Box
+                  component="span"
+                  aria-label={`Sort priority ${sortPriority}`}
+                  sx={{
+                    ml: 0.25,
+                    minWidth: 16,
+                    height: 16,
+                    borderRadius: '8px',
+                    bgcolor: 'primary.main',
+                    color: 'white',
+                    fontSize: '0.65rem',
+                    lineHeight: '16px',
+                    textAlign: 'center',
+                  }}
+                >
+                  {sortPriority}
+                </Box>
+              )}
             </Box>
           )}
 
@@ -155,7 +349,119 @@ export const DraggableColumnHeader = ({ header }) => {
             </Tooltip>
           )}
         </Box>
+
+        {/* Edit Formula Button */}
+        {formula && editFormulaColumn && (
+          <Tooltip title="Edit formula" arrow placement="top">
+            <IconButton
+              size="small"
+              onClick={() => editFormulaColumn(header.column.id)}
+              sx={{ color: 'grey.400' }}
+            >
+              <Functions sx={{ fontSize: 16 }} />
+            </IconButton>
+          </Tooltip>
+        )}
+
+        {/* Filter Button */}
+        {canFilter && (
+          <Tooltip title={isFiltered ? 'Edit filter' : 'Filter'} arrow placement="top">
+            <IconButton
+              size="small"
+              onClick={(e) => setFilterAnchor(e.currentTarget)}
+              sx={{ color: isFiltered ? 'primary.main' : 'grey.400' }}
+            >
+              <FilterList sx={{ fontSize: 18 }} />
+            </IconButton>
+          </Tooltip>
+        )}
+
+        {/* Pin Button */}
+        {canPin && (
+          <Tooltip title={pinned ? `Pinned ${pinned}` : 'Pin column'} arrow placement="top">
+            <IconButton
+              size="small"
+              onClick={(e) => setPinAnchor(e.currentTarget)}
+              sx={{ color: pinned ? 'primary.main' : 'grey.400' }}
+            >
+              {pinned
+                ? <PushPin sx={{ fontSize: 16 }} />
+                : <PushPinOutlined sx={{ fontSize: 16 }} />}
+            </IconButton>
+          </Tooltip>
+        )}
       </Box>
+
+      <Menu
+        anchorEl={pinAnchor}
+        open={Boolean(pinAnchor)}
+        onClose={() => setPinAnchor(null)}
+      >
+        <MenuItem selected={pinned === 'left'} onClick={() => handlePin('left')}>
+          <ListItemIcon><FirstPage fontSize="small" /></ListItemIcon>
+          <ListItemText>Pin left</ListItemText>
+        </MenuItem>
+        <MenuItem selected={pinned === 'right'} onClick={() => handlePin('right')}>
+          <ListItemIcon><LastPage fontSize="small" /></ListItemIcon>
+          <ListItemText>Pin right</ListItemText>
+        </MenuItem>
+        <MenuItem disabled={!pinned} onClick={() => handlePin(false)}>
+          <ListItemIcon><Close fontSize="small" /></ListItemIcon>
+          <ListItemText>Unpin</ListItemText>
+        </MenuItem>
+      </Menu>
+
+      <Popover
+        open={Boolean(filterAnchor)}
+        anchorEl={filterAnchor}
+        onClose={() => setFilterAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <ColumnFilter column={header.column} />
+      </Popover>
+
+      {/* Resize Handle */}
+      {canResize && (
+        <Tooltip title="Drag to resize, double-click to fit" arrow placement="top">
+          <Box
+            onMouseDown={header.getResizeHandler()}
+            onTouchStart={header.getResizeHandler()}
+            onDoubleClick={() => autoFitColumn?.(header.column)}
+            onClick={(e) => e.stopPropagation()}
+            sx={{
+              position: 'absolute',
+              top: 0,
+              right: 0,
+              width: 6,
+              height: '100%',
+              cursor: 'col-resize',
+              userSelect: 'none',
+              touchAction: 'none',
+              zIndex: 1,
+              bgcolor: isResizing ? 'primary.main' : 'transparent',
+              transition: 'background-color 0.2s',
+              '&:hover': {
+                bgcolor: 'primary.light',
+              },
+            }}
+          />
+        </Tooltip>
+      )}
     </TableCell>
   );
 };
+
+/**
+ * Draggable column header component with sorting, filtering, pinning
+ * and resizing (drag the right edge, double-click it to auto-fit)
+ * Styled with Material-UI
+ * Group headers (see columnGroups.js) drag their whole group instead.
+ * `columnIndex` is the header's 0-based column in the table grid, `rowSpan`
+ * the header rows it covers and `dropIndicator` ('before', 'after' or
+ * 'invalid') shows where a dragged header would land.
+ */
+export const DraggableColumnHeader = ({ header, columnIndex, rowSpan = 1, dropIndicator = null }) => (
+  header.subHeaders.length > 0
+    ? <ColumnGroupHeader header={header} columnIndex={columnIndex} dropIndicator={dropIndicator} />
+    : <ColumnHeader header={header} columnIndex={columnIndex} rowSpan={rowSpan} dropIndicator={dropIndicator} />
+);
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { Box, TextField } from '@mui/material';
+
+/**
+ * Inline editor of a cell, mounted while the cell is being edited
+ * Enter or blur saves, Escape cancels. Invalid values show an inline error
+ * and are not saved.
+ */
+const CellEditor = ({ cell, onDone }) => {
+  const { column, row, getValue } = cell;
+  const { updateData, clock } = cell.getContext().table.options.meta ?? {};
+  const { editor = 'text', validate: validateValue = () => null, parse = value => value } = column.columnDef.meta ?? {};
+  const validate = value => validateValue(value, { clock });
+  const [draft, setDraft] = useState(() => String(getValue() ?? ''));
+  const [error, setError] = useState(null);
+
+  const save = (options) => {
+    const text = draft.trim();
+    const validationError = validate(text);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    const value = parse(text);
+    if (value !== getValue()) {
+      updateData(row.id, column.id, value);
+    }
+    onDone(options);
+  };
+
+  const handleKeyDown = (event) => {
+    // Keep table-level shortcuts from firing while typing
+    event.stopPropagation();
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      save({ restoreFocus: true });
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onDone({ restoreFocus: true });
+    }
+  };
+
+  return (
+    <TextField
+      autoFocus
+      fullWidth
+      size="small"
+      variant="standard"
+      type={editor}
+      value={draft}
+      error={Boolean(error)}
+      helperText={error}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        if (error) setError(validate(e.target.value.trim()));
+      }}
+      onKeyDown={handleKeyDown}
+      onBlur={() => (error ? onDone() : save())}
+      FormHelperTextProps={{ sx: { whiteSpace: 'normal', m: 0 } }}
+      inputProps={{ 'aria-label': `Edit ${column.columnDef.header}` }}
+    />
+  );
+};
+
+/**
+ * Wraps a cell so it can be edited inline
+ * Double-click (or press Enter on the active cell) to edit. The input type,
+ * validation and parsing come from the column's schema field.
+ * Editing state belongs to the table, which edits one cell at a time:
+ * `onEditingChange(true)` asks to start, and `onEditingChange(false, options)`
+ * reports the end, with `options.restoreFocus` when the keyboard ended it.
+ */
+export const EditableCell = ({ cell, isEditing, onEditingChange, children }) => {
+  if (!isEditing) {
+    return (
+      <Box onDoubleClick={() => onEditingChange(true)} sx={{ cursor: 'text', minHeight: 20 }} title="Double-click to edit">
+        {children}
+      </Box>
+    );
+  }
+
+  return <CellEditor cell={cell} onDone={(options) => onEditingChange(false, options)} />;
+};
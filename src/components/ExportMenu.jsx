@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import {
+  Button,
+  Checkbox,
+  Divider,
+  FormControlLabel,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Typography,
+} from '@mui/material';
+import { FileDownload as FileDownloadIcon } from '@mui/icons-material';
+import { EXPORT_FORMATS, exportTable, getOrderedLeafRows } from '../utils/export';
+
+/**
+ * Export menu for the current table view
+ * Files are generated in the browser: rows in the current order (after
+ * filtering and sorting) and visible columns in display order
+ */
+export const ExportMenu = ({ table }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [rawOnly, setRawOnly] = useState(false);
+
+  const rowCount = getOrderedLeafRows(table).length;
+
+  const handleExport = (format) => {
+    setAnchorEl(null);
+    exportTable(table, { format, rawOnly });
+  };
+
+  return (
+    <>
+      <Button
+        size="small"
+        startIcon={<FileDownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <Typography variant="caption" color="text.secondary" sx={{ px: 2, display: 'block' }}>
+          {rowCount} {rowCount === 1 ? 'row' : 'rows'} in current order
+        </Typography>
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <MenuItem key={format} dense disabled={rowCount === 0} onClick={() => handleExport(format)}>
+            <ListItemText>{label}</ListItemText>
+          </MenuItem>
+        ))}
+        <Divider />
+        <FormControlLabel
+          sx={{ px: 2, m: 0 }}
+          control={
+            <Checkbox
+              size="small"
+              checked={rawOnly}
+              onChange={(e) => setRawOnly(e.target.checked)}
+            />
+          }
+          label={<Typography variant="body2">Raw persisted fields only</Typography>}
+        />
+      </Menu>
+    </>
+  );
+};
@@ -0,0 +1,198 @@
+import { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { FORMULA_FUNCTIONS } from '../utils/formula';
+import { enrichDataWithComputedFields } from '../utils/computed';
+import {
+  compileFormulaColumns,
+  findDependentFormulas,
+  formatFormulaValue,
+  toFieldId,
+  validateFormulaId,
+} from '../utils/formulaColumns';
+
+/**
+ * Shows where in the expression a compile error was found
+ */
+const ErrorPointer = ({ expression, position }) => (
+  <Box
+    component="pre"
+    sx={{ m: 0, mt: 1, fontFamily: 'monospace', fontSize: '0.8rem', whiteSpace: 'pre', overflowX: 'auto' }}
+  >
+    {expression}
+    {'\n'}
+    {' '.repeat(position)}^
+  </Box>
+);
+
+/**
+ * Create or edit a formula column
+ * The formula is compiled as it is typed, with errors pointing at the
+ * problem and a preview on a few rows.
+ * @param {Object|null} definition - Formula being edited, or null for a new one
+ * @param {Array} definitions - All formula definitions
+ * @param {Object} schema - Normalized table schema (fields formulas can use)
+ * @param {Array} sampleRecords - Enriched records for the preview
+ * @param {Object} clock - Clock the table computes dynamic fields with
+ */
+export const FormulaColumnDialog = ({
+  definition,
+  definitions,
+  schema,
+  sampleRecords,
+  clock,
+  onClose,
+  onSave,
+  onDelete,
+}) => {
+  const isNew = !definition;
+  const [name, setName] = useState(definition?.name ?? '');
+  const [fieldId, setFieldId] = useState(definition?.id ?? '');
+  const [isFieldIdEdited, setIsFieldIdEdited] = useState(!isNew);
+  const [expression, setExpression] = useState(definition?.expression ?? '');
+
+  const id = isFieldIdEdited ? fieldId : toFieldId(name);
+  const others = definitions.filter(other => other.id !== definition?.id);
+  const idError = isNew ? validateFormulaId(id, others, schema.fieldTypes) : null;
+
+  const candidate = { id, name: name.trim(), expression };
+
+  // Compile together with the other formulas so references between them resolve
+  const { fields, results } = useMemo(() => (
+    compileFormulaColumns(isNew ? [...others, candidate] : definitions.map(other => (
+      other.id === definition.id ? candidate : other
+    )), schema)
+  ), [definitions, schema, id, name, expression]);
+
+  const result = results[id];
+  const formulaError = expression.trim() ? result?.error : null;
+
+  const preview = useMemo(() => {
+    if (!result || result.error) return [];
+    return enrichDataWithComputedFields(sampleRecords, undefined, fields, clock).map(record => record[id]);
+  }, [fields, result, sampleRecords, id, clock]);
+
+  const dependents = isNew ? [] : findDependentFormulas(definition.id, compileFormulaColumns(definitions, schema).results);
+  const canSave = !idError && name.trim() && expression.trim() && result && !result.error;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (canSave) onSave(candidate);
+  };
+
+  const insert = (text) => setExpression(current => `${current}${text}`);
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{isNew ? 'Add formula column' : `Edit ${definition.name}`}</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              autoFocus
+              fullWidth
+              margin="dense"
+              label="Column name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+            <TextField
+              fullWidth
+              margin="dense"
+              label="Field name"
+              value={id}
+              disabled={!isNew}
+              onChange={(e) => {
+                setIsFieldIdEdited(true);
+                setFieldId(e.target.value);
+              }}
+              error={Boolean(name || fieldId) && Boolean(idError)}
+              helperText={(name || fieldId) && idError ? idError : 'Used to reference this column in formulas'}
+              inputProps={{ style: { fontFamily: 'monospace' } }}
+            />
+          </Box>
+
+          <TextField
+            fullWidth
+            multiline
+            minRows={2}
+            margin="dense"
+            label="Formula"
+            placeholder='upper(lastName) + ", " + firstName'
+            value={expression}
+            onChange={(e) => setExpression(e.target.value)}
+            error={Boolean(formulaError)}
+            inputProps={{ style: { fontFamily: 'monospace' }, spellCheck: false }}
+          />
+
+          {formulaError && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {formulaError.message}
+              {formulaError.position !== undefined && (
+                <ErrorPointer expression={expression} position={formulaError.position} />
+              )}
+            </Alert>
+          )}
+
+          {result && !result.error && (
+            <Box sx={{ mt: 1 }}>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Chip size="small" label={result.isDynamic ? '⚡ Changes over time' : '🧮 Computed'} />
+                <Typography variant="caption" color="text.secondary">Result: {result.type}</Typography>
+              </Box>
+              {preview.map((value, index) => (
+                <Typography key={index} variant="body2" sx={{ fontFamily: 'monospace' }}>
+                  {sampleRecords[index][schema.titleField]} → {formatFormulaValue(value) || '(empty)'}
+                </Typography>
+              ))}
+            </Box>
+          )}
+
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2, mb: 0.5 }}>
+            Fields
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            {[...schema.columnIds, ...others.map(other => other.id)].map(field => (
+              <Chip key={field} size="small" variant="outlined" label={field} onClick={() => insert(field)} />
+            ))}
+          </Box>
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1, mb: 0.5 }}>
+            Functions
+          </Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+            {Object.keys(FORMULA_FUNCTIONS).map(fn => (
+              <Chip key={fn} size="small" variant="outlined" label={`${fn}()`} onClick={() => insert(`${fn}(`)} />
+            ))}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          {!isNew && (
+            <Button
+              color="error"
+              disabled={dependents.length > 0}
+              title={dependents.length > 0 ? `Used by ${dependents.join(', ')}` : undefined}
+              onClick={() => onDelete(definition.id)}
+              sx={{ mr: 'auto' }}
+            >
+              {dependents.length > 0 ? `Used by ${dependents.join(', ')}` : 'Delete column'}
+            </Button>
+          )}
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!canSave}>
+            {isNew ? 'Add column' : 'Save'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
@@ -0,0 +1,201 @@
+import { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  InputAdornment,
+  MenuItem,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Casino as CasinoIcon, Refresh as RefreshIcon } from '@mui/icons-material';
+import {
+  GENERATOR_LOCALES,
+  MAX_GENERATED_ROWS,
+  MESSY_DATA_OPTIONS,
+  generateUsers,
+  validateGeneratorConfig,
+} from '../utils/dataGenerator';
+
+const PREVIEW_ROWS = 3;
+
+// Number fields are edited as text and parsed on the way out
+const toConfig = (draft) => ({
+  seed: draft.seed.trim() === '' ? NaN : Number(draft.seed),
+  count: draft.count.trim() === '' ? NaN : Number(draft.count),
+  locale: draft.locale,
+  from: draft.from,
+  to: draft.to,
+  messy: Object.fromEntries(MESSY_DATA_OPTIONS.map(({ id }) => [
+    id,
+    draft.messy[id].trim() === '' ? 0 : Number(draft.messy[id]),
+  ])),
+});
+
+const toDraft = (config) => ({
+  ...config,
+  seed: String(config.seed),
+  count: String(config.count),
+  messy: Object.fromEntries(MESSY_DATA_OPTIONS.map(({ id }) => [id, String(config.messy?.[id] ?? 0)])),
+});
+
+/**
+ * Generator panel: regenerates the dataset from a seeded config
+ * The same config always produces the same records, which the preview
+ * shows the first few of.
+ * @param {Object} config - Config of the current dataset (or the defaults)
+ * @param {Function} onClose
+ * @param {(config: Object) => void} onGenerate - Replaces the data with the
+ *   records of a valid config
+ */
+export const GeneratorDialog = ({ config, onClose, onGenerate }) => {
+  const [draft, setDraft] = useState(() => toDraft(config));
+
+  const candidate = toConfig(draft);
+  const errors = validateGeneratorConfig(candidate);
+  const isValid = Object.keys(errors).length === 0;
+
+  // The candidate is rebuilt on every render; regenerate only when it changes
+  const candidateKey = JSON.stringify(candidate);
+  const preview = useMemo(() => (
+    isValid ? generateUsers({ ...candidate, count: Math.min(candidate.count, PREVIEW_ROWS) }) : []
+  ), [isValid, candidateKey]);
+
+  const setField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const setRate = (id, value) => setDraft(prev => ({ ...prev, messy: { ...prev.messy, [id]: value } }));
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <RefreshIcon color="primary" />
+        Regenerate Data
+      </DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          The same seed and settings always produce the same records. The settings are saved with
+          the data, so the current dataset can be reproduced later.
+        </Typography>
+
+        <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+          <TextField
+            label="Seed"
+            size="small"
+            type="number"
+            value={draft.seed}
+            onChange={(e) => setField('seed', e.target.value)}
+            error={Boolean(errors.seed)}
+            helperText={errors.seed}
+            InputProps={{
+              endAdornment: (
+                <InputAdornment position="end">
+                  <Tooltip title="Random seed">
+                    <IconButton
+                      size="small"
+                      edge="end"
+                      aria-label="Random seed"
+                      onClick={() => setField('seed', String(Math.floor(Math.random() * 1000000)))}
+                    >
+                      <CasinoIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </InputAdornment>
+              ),
+            }}
+          />
+          <TextField
+            label="Rows"
+            size="small"
+            type="number"
+            value={draft.count}
+            onChange={(e) => setField('count', e.target.value)}
+            inputProps={{ min: 1, max: MAX_GENERATED_ROWS }}
+            error={Boolean(errors.count)}
+            helperText={errors.count}
+          />
+          <TextField
+            select
+            label="Locale"
+            size="small"
+            value={draft.locale}
+            onChange={(e) => setField('locale', e.target.value)}
+            error={Boolean(errors.locale)}
+            helperText={errors.locale}
+            sx={{ gridColumn: '1 / -1' }}
+          >
+            {GENERATOR_LOCALES.map(({ code, label }) => (
+              <MenuItem key={code} value={code}>{label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label="Registered from"
+            size="small"
+            type="date"
+            value={draft.from}
+            onChange={(e) => setField('from', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            error={Boolean(errors.from)}
+            helperText={errors.from}
+          />
+          <TextField
+            label="Registered to"
+            size="small"
+            type="date"
+            value={draft.to}
+            onChange={(e) => setField('to', e.target.value)}
+            InputLabelProps={{ shrink: true }}
+            error={Boolean(errors.to)}
+            helperText={errors.to}
+          />
+        </Box>
+
+        <Typography variant="subtitle2" sx={{ mt: 3, mb: 1 }}>
+          Messy data
+        </Typography>
+        <Typography variant="caption" color="text.secondary" component="p" sx={{ mb: 1.5 }}>
+          Share of the records with each problem, to try validation, sorting and search on
+          imperfect data.
+        </Typography>
+        <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: 2 }}>
+          {MESSY_DATA_OPTIONS.map(({ id, label }) => (
+            <TextField
+              key={id}
+              label={label}
+              size="small"
+              type="number"
+              value={draft.messy[id]}
+              onChange={(e) => setRate(id, e.target.value)}
+              inputProps={{ min: 0, max: 100 }}
+              InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+              error={Boolean(errors[id])}
+              helperText={errors[id]}
+            />
+          ))}
+        </Box>
+
+        {preview.length > 0 && (
+          <Box sx={{ mt: 3 }}>
+            <Typography variant="subtitle2" gutterBottom>
+              First rows
+            </Typography>
+            {preview.map(record => (
+              <Typography key={record.id} variant="body2" noWrap sx={{ fontFamily: 'monospace', fontSize: '0.8rem' }}>
+                {record.firstName} {record.lastName} · {record.email} · {record.city} · {record.registeredDate}
+              </Typography>
+            ))}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button variant="contained" disabled={!isValid} onClick={() => onGenerate(candidate)}>
+          Generate {isValid ? candidate.count.toLocaleString() : ''} rows
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  TextField,
+  InputAdornment,
+  IconButton,
+  Tooltip,
+  Typography,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import {
+  Search as SearchIcon,
+  Clear as ClearIcon,
+  KeyboardArrowUp,
+  KeyboardArrowDown,
+} from '@mui/icons-material';
+
+const SEARCH_DEBOUNCE_MS = 150;
+
+/**
+ * Global search box with match navigation
+ * The query is debounced before it reaches the table; Enter / Shift+Enter
+ * move to the next / previous matching row. Children are rendered at the
+ * end of the bar as extra table actions.
+ */
+export const GlobalSearch = ({
+  query,
+  onQueryChange,
+  matchCount,
+  activeMatch,
+  onNext,
+  onPrevious,
+  onlyMatches,
+  onOnlyMatchesChange,
+  children,
+}) => {
+  const [inputValue, setInputValue] = useState(query);
+  const lastEmitted = useRef(query);
+
+  const emit = (value) => {
+    lastEmitted.current = value;
+    onQueryChange(value);
+  };
+
+  // Keep the input in sync when the query is changed from outside
+  useEffect(() => {
+    if (query !== lastEmitted.current) {
+      lastEmitted.current = query;
+      setInputValue(query);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    if (inputValue === lastEmitted.current) return undefined;
+    const timeout = setTimeout(() => emit(inputValue), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [inputValue]);
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      if (event.shiftKey) onPrevious();
+      else onNext();
+    } else if (event.key === 'Escape') {
+      setInputValue('');
+      emit('');
+    }
+  };
+
+  const hasQuery = query.trim().length > 0;
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 2,
+        mb: 2,
+        p: 1.5,
+        borderRadius: 2,
+        bgcolor: 'rgba(255,255,255,0.95)',
+      }}
+    >
+      <TextField
+        size="small"
+        placeholder="Search people (typos welcome)..."
+        value={inputValue}
+        onChange={(e) => setInputValue(e.target.value)}
+        onKeyDown={handleKeyDown}
+        sx={{ flex: 1, minWidth: 260, maxWidth: 480 }}
+        InputProps={{
+          startAdornment: (
+            <InputAdornment position="start">
+              <SearchIcon sx={{ color: 'grey.500' }} />
+            </InputAdornment>
+          ),
+          endAdornment: inputValue && (
+            <InputAdornment position="end">
+              <IconButton
+                size="small"
+                onClick={() => {
+                  setInputValue('');
+                  emit('');
+                }}
+              >
+                <ClearIcon fontSize="small" />
+              </IconButton>
+            </InputAdornment>
+          ),
+        }}
+      />
+
+      {hasQuery && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ minWidth: 72 }}>
+            {matchCount === 0
+              ? 'No matches'
+              : `${activeMatch + 1} / ${matchCount}`}
+          </Typography>
+          <Tooltip title="Previous match (Shift+Enter)" arrow>
+            <span>
+              <IconButton size="small" onClick={onPrevious} disabled={matchCount === 0}>
+                <KeyboardArrowUp />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Tooltip title="Next match (Enter)" arrow>
+            <span>
+              <IconButton size="small" onClick={onNext} disabled={matchCount === 0}>
+                <KeyboardArrowDown />
+              </IconButton>
+            </span>
+          </Tooltip>
+        </Box>
+      )}
+
+      <FormControlLabel
+        control={
+          <Switch
+            size="small"
+            checked={onlyMatches}
+            onChange={(e) => onOnlyMatchesChange(e.target.checked)}
+          />
+        }
+        label={<Typography variant="body2">Only matching rows</Typography>}
+        sx={{ ml: 'auto' }}
+      />
+
+      {children}
+    </Box>
+  );
+};
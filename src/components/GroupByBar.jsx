@@ -0,0 +1,150 @@
+import { useState } from 'react';
+import { useDroppable } from '@dnd-kit/core';
+import {
+  SortableContext,
+  horizontalListSortingStrategy,
+  useSortable,
+} from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+import {
+  Box,
+  Button,
+  Chip,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Typography,
+} from '@mui/material';
+import {
+  ChevronRight,
+  DragIndicator,
+  UnfoldLess,
+  UnfoldMore,
+  Workspaces,
+} from '@mui/icons-material';
+import { GROUP_BAR_ID, getGroupingModeKey, toGroupChipId } from '../utils/grouping';
+
+/**
+ * One grouping level; drag the handle to reorder, click to change the
+ * grouping mode
+ */
+const GroupChip = ({ column, modeKey, onModeChange, onRemove }) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } =
+    useSortable({ id: toGroupChipId(column.id) });
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const modes = column.columnDef.meta?.groupingModes;
+  const modeLabel = modeKey ? ` · ${modes[modeKey].label}` : '';
+
+  return (
+    <>
+      <Chip
+        ref={setNodeRef}
+        size="small"
+        color="primary"
+        icon={(
+          <DragIndicator
+            {...attributes}
+            {...listeners}
+            onClick={(e) => e.stopPropagation()}
+            sx={{ cursor: 'grab' }}
+          />
+        )}
+        label={`${column.columnDef.header}${modeLabel}`}
+        onClick={modes ? (e) => setAnchorEl(e.currentTarget) : undefined}
+        onDelete={onRemove}
+        style={{
+          transform: CSS.Transform.toString(transform),
+          transition,
+          opacity: isDragging ? 0.5 : 1,
+        }}
+        sx={{ fontWeight: 600 }}
+      />
+      {modes && (
+        <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+          {Object.entries(modes).map(([key, { label }]) => (
+            <MenuItem
+              key={key}
+              dense
+              selected={key === modeKey}
+              onClick={() => {
+                onModeChange(key);
+                setAnchorEl(null);
+              }}
+            >
+              <ListItemText>{label}</ListItemText>
+            </MenuItem>
+          ))}
+        </Menu>
+      )}
+    </>
+  );
+};
+
+/**
+ * Drop zone for grouping rows: drag a column header here to group by it
+ * Must be rendered inside the table's DndContext
+ */
+export const GroupByBar = ({ table, groupingModes, onGroupingModeChange }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: GROUP_BAR_ID });
+  const grouping = table.getState().grouping;
+
+  return (
+    <Box
+      ref={setNodeRef}
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 1,
+        mb: 2,
+        px: 2,
+        py: 1,
+        minHeight: 48,
+        borderRadius: 2,
+        border: '2px dashed',
+        borderColor: isOver ? 'primary.main' : 'grey.300',
+        bgcolor: isOver ? 'rgba(102, 126, 234, 0.08)' : 'white',
+        transition: 'all 0.2s ease',
+      }}
+    >
+      <Workspaces sx={{ fontSize: 20, color: 'grey.500' }} />
+      {grouping.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          Drag a column header here to group rows
+        </Typography>
+      ) : (
+        <SortableContext items={grouping.map(toGroupChipId)} strategy={horizontalListSortingStrategy}>
+          {grouping.map((columnId, index) => {
+            const column = table.getColumn(columnId);
+            return (
+              <Box key={columnId} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                {index > 0 && <ChevronRight sx={{ fontSize: 18, color: 'grey.400' }} />}
+                <GroupChip
+                  column={column}
+                  modeKey={getGroupingModeKey(column.columnDef, groupingModes)}
+                  onModeChange={(key) => onGroupingModeChange(columnId, key)}
+                  onRemove={() => column.toggleGrouping()}
+                />
+              </Box>
+            );
+          })}
+        </SortableContext>
+      )}
+      {grouping.length > 0 && (
+        <>
+          <Box sx={{ flexGrow: 1 }} />
+          <Button size="small" startIcon={<UnfoldMore />} onClick={() => table.toggleAllRowsExpanded(true)}>
+            Expand all
+          </Button>
+          <Button size="small" startIcon={<UnfoldLess />} onClick={() => table.toggleAllRowsExpanded(false)}>
+            Collapse all
+          </Button>
+          <Button size="small" onClick={() => table.resetGrouping(true)}>
+            Ungroup
+          </Button>
+        </>
+      )}
+    </Box>
+  );
+};
@@ -0,0 +1,38 @@
+import { Box } from '@mui/material';
+import { findMatchRanges } from '../utils/search';
+
+/**
+ * Renders text with the parts matched by the global search highlighted
+ * @param {string} text - Text to render
+ * @param {string[]} tokens - Search tokens (from tokenizeQuery)
+ */
+export const HighlightedText = ({ text, tokens }) => {
+  const value = text === undefined || text === null ? '' : String(text);
+  const ranges = findMatchRanges(value, tokens);
+
+  if (ranges.length === 0) return value;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(value.slice(cursor, start));
+    parts.push(
+      <Box
+        key={start}
+        component="mark"
+        sx={{
+          bgcolor: 'rgba(255, 213, 79, 0.6)',
+          color: 'inherit',
+          borderRadius: 0.5,
+          px: 0.25,
+        }}
+      >
+        {value.slice(start, end)}
+      </Box>
+    );
+    cursor = end;
+  });
+  if (cursor < value.length) parts.push(value.slice(cursor));
+
+  return parts;
+};
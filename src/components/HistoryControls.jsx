@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import {
+  Box,
+  Divider,
+  IconButton,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Undo as UndoIcon, Redo as RedoIcon, History as HistoryIcon } from '@mui/icons-material';
+
+// Fields where Ctrl+Z belongs to the text being typed
+const isTextInput = (element) => (
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName)
+);
+
+const formatTime = (time) => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * Undo / redo buttons and history panel for the app bar
+ * Also handles Ctrl+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo) anywhere on
+ * the page except in text fields. Picking an entry in the panel undoes or
+ * redoes every step up to it.
+ * @param {Object} props
+ * @param {Object} props.history - History from useUndoHistory
+ */
+export const HistoryControls = ({ history }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const { past, future, canUndo, canRedo, undo, redo, goTo } = history;
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextInput(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        redo();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const buttonSx = { color: 'white', '&.Mui-disabled': { color: 'rgba(255,255,255,0.4)' } };
+  const lastDone = past[past.length - 1];
+  const nextRedo = future[0];
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', mr: 2 }}>
+      <Tooltip title={lastDone ? `Undo ${lastDone.label} (Ctrl+Z)` : 'Nothing to undo'}>
+        <span>
+          <IconButton aria-label="Undo" disabled={!canUndo} onClick={undo} sx={buttonSx}>
+            <UndoIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title={nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo'}>
+        <span>
+          <IconButton aria-label="Redo" disabled={!canRedo} onClick={redo} sx={buttonSx}>
+            <RedoIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title="History">
+        <span>
+          <IconButton
+            aria-label="History"
+            disabled={!canUndo && !canRedo}
+            onClick={(e) => setAnchorEl(e.currentTarget)}
+            sx={buttonSx}
+          >
+            <HistoryIcon />
+          </IconButton>
+        </span>
+      </Tooltip>
+
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+        PaperProps={{ sx: { maxHeight: 420, minWidth: 280 } }}
+      >
+        {/* Newest first: undone steps above the current state */}
+        {[...future].reverse().map((entry, index) => (
+          <MenuItem
+            key={entry.id}
+            dense
+            onClick={() => goTo(past.length + future.length - index)}
+            sx={{ color: 'text.disabled' }}
+          >
+            <ListItemText primary={entry.label} secondary={`Undone · ${formatTime(entry.time)}`} />
+          </MenuItem>
+        ))}
+        {future.length > 0 && <Divider />}
+        {[...past].reverse().map((entry, index) => (
+          <MenuItem
+            key={entry.id}
+            dense
+            selected={index === 0}
+            onClick={() => goTo(past.length - index)}
+          >
+            <ListItemText primary={entry.label} secondary={formatTime(entry.time)} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem dense disabled={!canUndo} onClick={() => goTo(0)}>
+          <ListItemText>
+            <Typography variant="body2" color="text.secondary">Undo everything</Typography>
+          </ListItemText>
+        </MenuItem>
+      </Menu>
+    </Box>
+  );
+};
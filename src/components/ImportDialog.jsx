@@ -0,0 +1,261 @@
+import { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControl,
+  FormControlLabel,
+  FormLabel,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  Step,
+  StepLabel,
+  Stepper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { UploadFile as UploadFileIcon } from '@mui/icons-material';
+import {
+  IMPORT_MODES,
+  getImportFields,
+  parseImportFile,
+  guessMapping,
+  validateImportRecords,
+  mergeImport,
+} from '../utils/importer';
+import { normalizeSchema } from '../utils/schema';
+import { DEFAULT_COLUMN_TYPES } from './columnTypes';
+
+const STEPS = ['Choose file', 'Map columns', 'Review'];
+// Keep the report responsive for large files
+const REPORT_ROW_LIMIT = 100;
+
+/**
+ * Report section listing rows of one outcome
+ */
+const ReportSection = ({ title, color, entries, renderDetail }) => {
+  if (entries.length === 0) return null;
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        {title} <Chip size="small" color={color} label={entries.length} sx={{ ml: 1 }} />
+      </Typography>
+      <Box sx={{ maxHeight: 220, overflow: 'auto', border: 1, borderColor: 'grey.200', borderRadius: 1 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell sx={{ width: 70 }}>Row</TableCell>
+              <TableCell>Details</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.slice(0, REPORT_ROW_LIMIT).map(entry => (
+              <TableRow key={entry.rowNumber}>
+                <TableCell>{entry.rowNumber}</TableCell>
+                <TableCell>{renderDetail(entry)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Box>
+      {entries.length > REPORT_ROW_LIMIT && (
+        <Typography variant="caption" color="text.secondary">
+          Showing the first {REPORT_ROW_LIMIT} of {entries.length}
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+/**
+ * Import flow: choose a CSV/JSON file, map its columns to the schema's fields,
+ * pick a merge mode and review the report before the data is persisted
+ */
+export const ImportDialog = ({ open, onClose, schema, existingData, onImport, clock }) => {
+  const { fields, rowId } = useMemo(() => {
+    const normalized = normalizeSchema(schema, DEFAULT_COLUMN_TYPES);
+    return { fields: getImportFields(normalized), rowId: normalized.rowId };
+  }, [schema]);
+  const [step, setStep] = useState(0);
+  const [file, setFile] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [mode, setMode] = useState('upsert');
+
+  const reset = () => {
+    setStep(0);
+    setFile(null);
+    setParseError(null);
+    setMapping({});
+    setMode('upsert');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (event) => {
+    const selected = event.target.files?.[0];
+    event.target.value = '';
+    if (!selected) return;
+
+    try {
+      const parsed = parseImportFile(selected.name, await selected.text());
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessMapping(parsed.headers, fields));
+      setParseError(null);
+      setStep(1);
+    } catch (error) {
+      setParseError(`Could not read ${selected.name}: ${error.message}`);
+    }
+  };
+
+  const unmappedRequired = fields.filter(field => field.id !== rowId && !mapping[field.id]);
+
+  // Validate and merge only when reviewing
+  const report = useMemo(() => {
+    if (step !== 2 || !file) return null;
+    const { valid, rejected } = validateImportRecords(file.records, mapping, { fields, rowId, clock });
+    const merged = mergeImport(existingData, valid, mode);
+    return {
+      ...merged,
+      rejected: [...rejected, ...merged.rejected].sort((a, b) => a.rowNumber - b.rowNumber),
+    };
+  }, [step, file, mapping, mode, existingData, fields, rowId, clock]);
+
+  const handleConfirm = () => {
+    onImport(report.data);
+    handleClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import users</DialogTitle>
+      <DialogContent dividers>
+        <Stepper activeStep={step} sx={{ mb: 3 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {step === 0 && (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <Button variant="contained" component="label" startIcon={<UploadFileIcon />}>
+              Choose CSV or JSON file
+              <input hidden type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} />
+            </Button>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              CSV files need a header row. JSON files should contain an array of objects.
+            </Typography>
+            {parseError && <Alert severity="error" sx={{ mt: 2, textAlign: 'left' }}>{parseError}</Alert>}
+          </Box>
+        )}
+
+        {step === 1 && file && (
+          <Box>
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              <strong>{file.name}</strong> — {file.records.length} rows, {file.headers.length} columns
+            </Typography>
+            <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(240px, 1fr))', gap: 2 }}>
+              {fields.map(({ id, header }) => (
+                <TextField
+                  key={id}
+                  select
+                  size="small"
+                  label={id === rowId ? `${header} (optional)` : header}
+                  value={mapping[id] || ''}
+                  onChange={(e) => setMapping(prev => ({ ...prev, [id]: e.target.value }))}
+                  helperText={
+                    mapping[id]
+                      ? `e.g. "${String(file.records[0]?.[mapping[id]] ?? '')}"`
+                      : id === rowId ? 'UUIDs are generated for rows without an ID' : 'Required'
+                  }
+                  error={id !== rowId && !mapping[id]}
+                >
+                  <MenuItem value="">
+                    <em>Not mapped</em>
+                  </MenuItem>
+                  {file.headers.map(header => (
+                    <MenuItem key={header} value={header}>{header}</MenuItem>
+                  ))}
+                </TextField>
+              ))}
+            </Box>
+
+            <FormControl sx={{ mt: 3 }}>
+              <FormLabel>Import mode</FormLabel>
+              <RadioGroup row value={mode} onChange={(e) => setMode(e.target.value)}>
+                {Object.entries(IMPORT_MODES).map(([value, label]) => (
+                  <FormControlLabel key={value} value={value} control={<Radio size="small" />} label={label} />
+                ))}
+              </RadioGroup>
+            </FormControl>
+          </Box>
+        )}
+
+        {step === 2 && report && (
+          <Box>
+            <Alert severity={report.rejected.length > 0 ? 'warning' : 'success'}>
+              {report.accepted.length} accepted, {report.updated.length} updated,{' '}
+              {report.rejected.length} rejected. The dataset will contain {report.data.length} rows.
+              {mode === 'replace' && ' Existing rows will be replaced.'}
+            </Alert>
+            <ReportSection
+              title="Rejected"
+              color="error"
+              entries={report.rejected}
+              renderDetail={(entry) => entry.reasons.join('; ')}
+            />
+            <ReportSection
+              title="Updated"
+              color="info"
+              entries={report.updated}
+              renderDetail={({ record }) => `${record.firstName} ${record.lastName} (${record.id})`}
+            />
+            <ReportSection
+              title="Accepted"
+              color="success"
+              entries={report.accepted}
+              renderDetail={({ record, generatedId }) => (
+                `${record.firstName} ${record.lastName}${generatedId ? ' — ID generated' : ''}`
+              )}
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        {step > 0 && <Button onClick={() => setStep(step - 1)}>Back</Button>}
+        {step === 1 && (
+          <Button variant="contained" disabled={unmappedRequired.length > 0} onClick={() => setStep(2)}>
+            Review
+          </Button>
+        )}
+        {step === 2 && (
+          <Button
+            variant="contained"
+            disabled={!report || report.accepted.length + report.updated.length === 0}
+            onClick={handleConfirm}
+          >
+            Import {report ? report.accepted.length + report.updated.length : 0} rows
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
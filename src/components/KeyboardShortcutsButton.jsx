@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import {
+  Box,
+  IconButton,
+  Popover,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Keyboard as KeyboardIcon } from '@mui/icons-material';
+import { GRID_SHORTCUTS } from '../utils/gridNavigation';
+
+/**
+ * Button listing the keyboard shortcuts of the table body
+ */
+export const KeyboardShortcutsButton = () => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  return (
+    <>
+      <Tooltip title="Keyboard shortcuts">
+        <IconButton size="small" aria-label="Keyboard shortcuts" onClick={(e) => setAnchorEl(e.currentTarget)}>
+          <KeyboardIcon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, maxWidth: 420 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Click a cell, then:
+          </Typography>
+          <Box
+            component="dl"
+            sx={{ display: 'grid', gridTemplateColumns: 'auto 1fr', columnGap: 2, rowGap: 0.5, m: 0 }}
+          >
+            {GRID_SHORTCUTS.map(({ keys, action }) => (
+              <Box key={keys} sx={{ display: 'contents' }}>
+                <Typography component="dt" variant="body2" fontWeight={600} noWrap>{keys}</Typography>
+                <Typography component="dd" variant="body2" color="text.secondary" sx={{ m: 0 }}>{action}</Typography>
+              </Box>
+            ))}
+          </Box>
+        </Box>
+      </Popover>
+    </>
+  );
+};
@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { Box, Button, Chip, Typography } from '@mui/material';
+import { Link as LinkIcon } from '@mui/icons-material';
+import { toDayNumber } from '../utils/clock';
+
+const dateFormatter = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// IDs are shortened in cells; here they are shown in full
+const formatValue = (column, value) => (
+  column.columnDef.meta?.type === 'uuid'
+    ? String(value ?? '')
+    : (column.columnDef.meta?.formatText ?? String)(value)
+);
+
+const isEmptyValue = value => value === null || value === undefined || String(value).trim() === '';
+
+const formatDayDistance = (days) => {
+  if (days === 0) return 'today';
+  const count = `${Math.abs(days)} ${Math.abs(days) === 1 ? 'day' : 'days'}`;
+  return days > 0 ? `${count} ago` : `in ${count}`;
+};
+
+/**
+ * Events of a row in date order: its date fields, its edits and today
+ */
+const getTimeline = (row, dateColumns, edits, today, getHeader) => {
+  const events = [
+    ...dateColumns
+      .filter(column => toDayNumber(row.getValue(column.id)) !== null)
+      .map(column => ({ date: row.getValue(column.id), label: column.columnDef.header })),
+    ...edits.map(edit => ({
+      date: edit.time.slice(0, 10),
+      label: `Edited ${Object.keys(edit.changes).map(getHeader).join(', ')}`,
+    })),
+  ].sort((a, b) => toDayNumber(a.date) - toDayNumber(b.date));
+
+  // Today goes after the events of the day, before any later ones
+  const todayIndex = events.findIndex(event => event.date > today);
+  const todayEvent = { date: today, label: 'Today', isToday: true };
+  if (todayIndex === -1) events.push(todayEvent);
+  else events.splice(todayIndex, 0, todayEvent);
+
+  return events.map(event => ({ ...event, days: toDayNumber(today) - toDayNumber(event.date) }));
+};
+
+const SectionTitle = ({ children }) => (
+  <Typography variant="overline" color="text.secondary" component="h3" sx={{ lineHeight: 2 }}>
+    {children}
+  </Typography>
+);
+
+/**
+ * Detail panel of an expanded row
+ * Shows every field of the row, including hidden columns and record fields
+ * that are not columns, a timeline of its date fields and edits, and its
+ * edit history.
+ * @param {Object} row - TanStack row
+ * @param {Object} table - TanStack table
+ * @param {Array} edits - The row's entries of the edit log (see editLog.js)
+ * @param {string} today - YYYY-MM-DD
+ * @param {(rowId: string) => string} [getRowLink] - Link to the row, copied
+ *   from the panel (see urlState.js)
+ */
+export const RowDetailPanel = ({ row, table, edits = [], today, getRowLink }) => {
+  const [copyStatus, setCopyStatus] = useState(null);
+  const columns = table.getAllLeafColumns();
+  const columnIds = new Set(columns.map(column => column.id));
+  const otherFields = Object.keys(row.original).filter(key => !columnIds.has(key));
+  const getHeader = (columnId) => table.getColumn(columnId)?.columnDef.header ?? columnId;
+
+  const dateColumns = columns.filter(column => column.columnDef.meta?.type === 'date');
+  const timeline = getTimeline(row, dateColumns, edits, today, getHeader);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getRowLink(row.id));
+      setCopyStatus('Copied');
+    } catch {
+      setCopyStatus('Copy failed');
+    }
+  };
+
+  const renderValue = (text) => (
+    isEmptyValue(text)
+      ? <Typography variant="body2" color="text.disabled">—</Typography>
+      : <Typography variant="body2" dir="auto" sx={{ wordBreak: 'break-word' }}>{text}</Typography>
+  );
+
+  return (
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: { xs: '1fr', md: '2fr 1fr 1.5fr' },
+        gap: 3,
+        p: 2,
+        pl: 3,
+        whiteSpace: 'normal',
+      }}
+    >
+      <Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+          <SectionTitle>Fields</SectionTitle>
+          {getRowLink && (
+            <Button
+              size="small"
+              startIcon={<LinkIcon />}
+              onClick={handleCopyLink}
+              onMouseLeave={() => setCopyStatus(null)}
+            >
+              {copyStatus || 'Copy link'}
+            </Button>
+          )}
+        </Box>
+        <Box
+          component="dl"
+          sx={{ display: 'grid', gridTemplateColumns: 'minmax(120px, auto) 1fr', columnGap: 2, rowGap: 0.75, m: 0 }}
+        >
+          {columns.map(column => (
+            <Box key={column.id} sx={{ display: 'contents' }}>
+              <Typography component="dt" variant="body2" fontWeight={600} color="text.secondary">
+                {column.columnDef.header}
+                {!column.getIsVisible() && (
+                  <Chip size="small" label="hidden" variant="outlined" sx={{ ml: 1, height: 18, fontSize: '0.65rem' }} />
+                )}
+              </Typography>
+              <Box component="dd" sx={{ m: 0, minWidth: 0 }}>
+                {renderValue(formatValue(column, row.getValue(column.id)))}
+              </Box>
+            </Box>
+          ))}
+          {otherFields.map(key => (
+            <Box key={key} sx={{ display: 'contents' }}>
+              <Typography component="dt" variant="body2" fontWeight={600} color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+                {key}
+              </Typography>
+              <Box component="dd" sx={{ m: 0, minWidth: 0 }}>
+                {renderValue(typeof row.original[key] === 'object' ? JSON.stringify(row.original[key]) : row.original[key])}
+              </Box>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+
+      <Box>
+        <SectionTitle>Timeline</SectionTitle>
+        <Box component="ol" sx={{ listStyle: 'none', m: 0, p: 0 }}>
+          {timeline.map((event, index) => (
+            <Box
+              component="li"
+              key={`${event.label}:${index}`}
+              sx={{
+                position: 'relative',
+                pl: 2.5,
+                pb: index === timeline.length - 1 ? 0 : 1.5,
+                // Line between the dots
+                '&::before': index < timeline.length - 1 ? {
+                  content: '""',
+                  position: 'absolute',
+                  left: 4,
+                  top: 12,
+                  bottom: 0,
+                  borderLeft: '2px solid',
+                  borderColor: 'grey.300',
+                } : undefined,
+                '&::after': {
+                  content: '""',
+                  position: 'absolute',
+                  left: 0,
+                  top: 5,
+                  width: 10,
+                  height: 10,
+                  borderRadius: '50%',
+                  bgcolor: event.isToday ? 'secondary.main' : 'primary.main',
+                },
+              }}
+            >
+              <Typography variant="body2" fontWeight={event.isToday ? 600 : 400}>
+                {event.label}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {event.date}{event.isToday ? '' : ` · ${formatDayDistance(event.days)}`}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+
+      <Box>
+        <SectionTitle>Edit history</SectionTitle>
+        {edits.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No edits yet.
+          </Typography>
+        ) : (
+          <Box component="ol" sx={{ m: 0, pl: 0, listStyle: 'none' }}>
+            {[...edits].reverse().map((edit, index) => (
+              <Box component="li" key={`${edit.time}:${index}`} sx={{ mb: 1 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {dateFormatter.format(new Date(edit.time))}
+                </Typography>
+                {Object.entries(edit.changes).map(([field, { from, to }]) => (
+                  <Typography key={field} variant="body2" dir="auto" sx={{ wordBreak: 'break-word' }}>
+                    <strong>{getHeader(field)}</strong>: {isEmptyValue(from) ? '—' : String(from)} → {isEmptyValue(to) ? '—' : String(to)}
+                  </Typography>
+                ))}
+              </Box>
+            ))}
+          </Box>
+        )}
+      </Box>
+    </Box>
+  );
+};
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import {
+  Autocomplete,
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogContentText,
+  DialogTitle,
+  ListItemText,
+  Menu,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Close as CloseIcon,
+  ContentCopy as ContentCopyIcon,
+  Delete as DeleteIcon,
+  FileDownload as FileDownloadIcon,
+  Edit as EditIcon,
+} from '@mui/icons-material';
+import {
+  EXPORT_FORMATS,
+  copyRowsToClipboard,
+  exportTable,
+  getExportName,
+  getOrderedLeafRows,
+} from '../utils/export';
+
+/**
+ * Bulk actions for the selected rows
+ * Shown above the table while at least one row is selected. Rows stay
+ * selected when they are hidden by filters, so actions apply to them too.
+ * Columns whose schema field sets `bulkEdit` get a "Set ..." action.
+ */
+export const SelectionToolbar = ({ table, onDelete, onUpdate }) => {
+  const [exportAnchorEl, setExportAnchorEl] = useState(null);
+  const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+  // Column being bulk edited, or null
+  const [bulkColumn, setBulkColumn] = useState(null);
+  const [bulkValue, setBulkValue] = useState('');
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  // Visible selected rows in their current order, then those hidden by filters
+  const visibleRows = getOrderedLeafRows(table).filter(row => row.getIsSelected());
+  const visibleIds = new Set(visibleRows.map(row => row.id));
+  const hiddenRows = table.getCoreRowModel().rows.filter(row => (
+    row.getIsSelected() && !visibleIds.has(row.id)
+  ));
+  const selectedRows = [...visibleRows, ...hiddenRows];
+  const hiddenCount = hiddenRows.length;
+
+  const bulkColumns = table.getAllLeafColumns().filter(column => column.columnDef.meta?.bulkEdit);
+  const bulkMeta = bulkColumn?.columnDef.meta;
+
+  const bulkOptions = bulkColumn
+    ? bulkMeta.options ?? Array.from(bulkColumn.getFacetedUniqueValues().keys()).map(String).sort()
+    : [];
+
+  const bulkError = bulkMeta?.validate(bulkValue.trim(), { clock: table.options.meta?.clock }) ?? null;
+
+  if (selectedRows.length === 0) return null;
+
+  const handleExport = (format) => {
+    setExportAnchorEl(null);
+    exportTable(table, { format, rows: selectedRows, filename: `${getExportName(table)}-selection` });
+  };
+
+  const handleCopy = async () => {
+    try {
+      await copyRowsToClipboard(table, selectedRows);
+      setCopyStatus('Copied');
+    } catch {
+      setCopyStatus('Copy failed');
+    }
+  };
+
+  const handleDelete = () => {
+    setIsDeleteOpen(false);
+    onDelete(selectedRows.map(row => row.id));
+  };
+
+  const closeBulkEdit = () => {
+    setBulkColumn(null);
+    setBulkValue('');
+  };
+
+  const handleBulkEdit = () => {
+    onUpdate(selectedRows.map(row => row.id), { [bulkColumn.id]: bulkMeta.parse(bulkValue.trim()) });
+    closeBulkEdit();
+  };
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: 1,
+        mb: 2,
+        px: 2,
+        py: 1,
+        borderRadius: 2,
+        bgcolor: 'primary.light',
+        color: 'white',
+      }}
+    >
+      <Typography variant="subtitle2" sx={{ mr: 1 }}>
+        {selectedRows.length} selected
+        {hiddenCount > 0 && ` (${hiddenCount} hidden by filters)`}
+      </Typography>
+      {onUpdate && bulkColumns.map(column => (
+        <Button
+          key={column.id}
+          size="small"
+          color="inherit"
+          startIcon={<EditIcon />}
+          onClick={() => setBulkColumn(column)}
+        >
+          Set {column.columnDef.header.toLowerCase()}
+        </Button>
+      ))}
+      <Button
+        size="small"
+        color="inherit"
+        startIcon={<FileDownloadIcon />}
+        onClick={(e) => setExportAnchorEl(e.currentTarget)}
+      >
+        Export
+      </Button>
+      <Button
+        size="small"
+        color="inherit"
+        startIcon={<ContentCopyIcon />}
+        onClick={handleCopy}
+        onMouseLeave={() => setCopyStatus(null)}
+      >
+        {copyStatus || 'Copy'}
+      </Button>
+      {onDelete && (
+        <Button size="small" color="inherit" startIcon={<DeleteIcon />} onClick={() => setIsDeleteOpen(true)}>
+          Delete
+        </Button>
+      )}
+      <Box sx={{ flexGrow: 1 }} />
+      <Button size="small" color="inherit" startIcon={<CloseIcon />} onClick={() => table.resetRowSelection()}>
+        Clear selection
+      </Button>
+
+      <Menu anchorEl={exportAnchorEl} open={Boolean(exportAnchorEl)} onClose={() => setExportAnchorEl(null)}>
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <MenuItem key={format} dense onClick={() => handleExport(format)}>
+            <ListItemText>{label}</ListItemText>
+          </MenuItem>
+        ))}
+      </Menu>
+
+      <Dialog open={isDeleteOpen} onClose={() => setIsDeleteOpen(false)}>
+        <DialogTitle>Delete {selectedRows.length} {selectedRows.length === 1 ? 'row' : 'rows'}?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            The selected rows will be removed from the stored dataset.
+            {hiddenCount > 0 && ` This includes ${hiddenCount} rows hidden by the current filters.`}
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setIsDeleteOpen(false)}>Cancel</Button>
+          <Button color="error" variant="contained" onClick={handleDelete}>Delete</Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(bulkColumn)} onClose={closeBulkEdit} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          Set {bulkColumn?.columnDef.header.toLowerCase()} for {selectedRows.length}
+          {' '}{selectedRows.length === 1 ? 'row' : 'rows'}
+        </DialogTitle>
+        <DialogContent>
+          <Autocomplete
+            freeSolo
+            options={bulkOptions}
+            inputValue={bulkValue}
+            onInputChange={(event, value) => setBulkValue(value)}
+            renderInput={(params) => (
+              <TextField
+                {...params}
+                autoFocus
+                label={bulkColumn?.columnDef.header}
+                margin="dense"
+                type={bulkMeta?.editor === 'date' ? 'date' : 'text'}
+                InputLabelProps={{ shrink: true }}
+                error={Boolean(bulkValue) && Boolean(bulkError)}
+                helperText={bulkValue ? bulkError : ' '}
+              />
+            )}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeBulkEdit}>Cancel</Button>
+          <Button variant="contained" disabled={Boolean(bulkError)} onClick={handleBulkEdit}>Apply</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
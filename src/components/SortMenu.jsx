@@ -0,0 +1,158 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Divider,
+  IconButton,
+  MenuItem,
+  Popover,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Sort as SortIcon,
+  ArrowUpward,
+  ArrowDownward,
+  KeyboardArrowUp,
+  KeyboardArrowDown,
+  Close,
+} from '@mui/icons-material';
+import { SORT_LOCALES } from '../utils/sorting';
+
+/**
+ * Sort panel: the sort keys in priority order
+ * Each key can flip its direction, move up or down or be removed, and
+ * sortable columns can be added as the lowest priority. Shift-clicking
+ * headers edits the same list.
+ * The language picked for the text order is `locale` (null for the table's
+ * default), changed through `onLocaleChange`.
+ */
+export const SortMenu = ({ table, locale = null, onLocaleChange }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const sorting = table.getState().sorting;
+  const sortedIds = new Set(sorting.map(({ id }) => id));
+  const addable = table.getAllLeafColumns().filter(column => column.getCanSort() && !sortedIds.has(column.id));
+  const getHeader = (columnId) => table.getColumn(columnId)?.columnDef.header ?? columnId;
+
+  const moveKey = (index, offset) => {
+    const next = [...sorting];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    table.setSorting(next);
+  };
+
+  return (
+    <>
+      <Button size="small" startIcon={<SortIcon />} onClick={(e) => setAnchorEl(e.currentTarget)}>
+        Sort{sorting.length > 0 ? ` (${sorting.length})` : ''}
+      </Button>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
+      >
+        <Box sx={{ p: 2, width: 340 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Sort by
+          </Typography>
+          {sorting.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              No sorting. Click a header to sort, shift-click to add more columns.
+            </Typography>
+          )}
+          {sorting.map(({ id, desc }, index) => (
+            <Box key={id} sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 0.5 }}>
+              <Typography variant="caption" color="text.secondary" sx={{ width: 16 }}>
+                {index + 1}
+              </Typography>
+              <Typography variant="body2" noWrap sx={{ flex: 1 }}>
+                {getHeader(id)}
+              </Typography>
+              <Button
+                size="small"
+                startIcon={desc ? <ArrowDownward /> : <ArrowUpward />}
+                onClick={() => table.setSorting(sorting.map(key => (key.id === id ? { id, desc: !desc } : key)))}
+                sx={{ minWidth: 84 }}
+              >
+                {desc ? 'Desc' : 'Asc'}
+              </Button>
+              <Tooltip title="Higher priority">
+                <span>
+                  <IconButton size="small" disabled={index === 0} onClick={() => moveKey(index, -1)} aria-label="Higher priority">
+                    <KeyboardArrowUp fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Lower priority">
+                <span>
+                  <IconButton
+                    size="small"
+                    disabled={index === sorting.length - 1}
+                    onClick={() => moveKey(index, 1)}
+                    aria-label="Lower priority"
+                  >
+                    <KeyboardArrowDown fontSize="small" />
+                  </IconButton>
+                </span>
+              </Tooltip>
+              <Tooltip title="Remove">
+                <IconButton
+                  size="small"
+                  onClick={() => table.setSorting(sorting.filter(key => key.id !== id))}
+                  aria-label={`Stop sorting by ${getHeader(id)}`}
+                >
+                  <Close fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </Box>
+          ))}
+
+          <TextField
+            select
+            fullWidth
+            size="small"
+            label="Add a column"
+            value=""
+            disabled={addable.length === 0}
+            onChange={(e) => table.setSorting([...sorting, { id: e.target.value, desc: false }])}
+            sx={{ mt: 1 }}
+          >
+            {addable.map(column => (
+              <MenuItem key={column.id} value={column.id}>{column.columnDef.header}</MenuItem>
+            ))}
+          </TextField>
+
+          {onLocaleChange && (
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label="Text order"
+              value={locale ?? ''}
+              onChange={(e) => onLocaleChange(e.target.value || null)}
+              InputLabelProps={{ shrink: true }}
+              SelectProps={{ displayEmpty: true }}
+              sx={{ mt: 2 }}
+            >
+              <MenuItem value="">Default</MenuItem>
+              {SORT_LOCALES.map(({ code, label }) => (
+                <MenuItem key={code} value={code}>{label}</MenuItem>
+              ))}
+              {/* A locale saved in the view that is not on the list */}
+              {locale && !SORT_LOCALES.some(({ code }) => code === locale) && (
+                <MenuItem value={locale}>{locale}</MenuItem>
+              )}
+            </TextField>
+          )}
+
+          <Divider sx={{ my: 1.5 }} />
+          <Button size="small" disabled={sorting.length === 0} onClick={() => table.resetSorting(true)}>
+            Clear sorting
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
@@ -0,0 +1,81 @@
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { SyncProblem } from '@mui/icons-material';
+import { systemClock } from '../utils/clock';
+
+const formatValue = value => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// The title field may be computed from the raw fields (e.g. a full name)
+const getTitle = (schema, record) => {
+  const titleField = schema.titleField ?? schema.rowId ?? 'id';
+  const field = schema.fields.find(({ id }) => id === titleField);
+  return field?.compute ? field.compute(record, systemClock) : record[titleField];
+};
+
+/**
+ * Asks which version of a row to keep after another tab changed the same
+ * fields differently (see mergeRecordDiff in recordSync.js)
+ * @param {Object} conflict - `{ id, fields }`, fields with `mine` and `theirs`
+ * @param {number} count - Conflicts waiting, this one included
+ * @param {Object} schema - Table schema, for field headers and the row title
+ * @param {Object} [record] - The row as this tab has it
+ * @param {Function} onKeepMine - Keeps this tab's values
+ * @param {Function} onUseTheirs - Takes the other tab's values
+ */
+export const SyncConflictDialog = ({ conflict, count, schema, record, onKeepMine, onUseTheirs }) => {
+  const getHeader = (fieldId) => schema.fields.find(field => field.id === fieldId)?.header ?? fieldId;
+  const title = (record && getTitle(schema, record)) || conflict.id;
+
+  return (
+    <Dialog open maxWidth="sm" fullWidth aria-describedby="sync-conflict-description">
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <SyncProblem color="warning" />
+        Changed in another tab
+        {count > 1 && (
+          <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
+            1 of {count}
+          </Typography>
+        )}
+      </DialogTitle>
+      <DialogContent>
+        <Typography id="sync-conflict-description" variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          &quot;{title}&quot; was edited here and in another tab at the same time. Choose the version to keep;
+          the other tabs follow your choice.
+        </Typography>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Field</TableCell>
+              <TableCell>This tab</TableCell>
+              <TableCell>Other tab</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.entries(conflict.fields).map(([fieldId, { mine, theirs }]) => (
+              <TableRow key={fieldId}>
+                <TableCell>{getHeader(fieldId)}</TableCell>
+                <TableCell>{formatValue(mine)}</TableCell>
+                <TableCell>{formatValue(theirs)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onUseTheirs}>Use other tab&apos;s</Button>
+        <Button variant="contained" onClick={onKeepMine}>Keep this tab&apos;s</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
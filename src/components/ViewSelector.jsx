@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Select,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  MoreVert as MoreVertIcon,
+  Save as SaveIcon,
+  SaveAs as SaveAsIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Star as StarIcon,
+  StarBorder as StarBorderIcon,
+} from '@mui/icons-material';
+
+// Select value used for the built-in layout (no saved view)
+const DEFAULT_LAYOUT = '__default__';
+
+/**
+ * Dialog asking for a view name
+ */
+const ViewNameDialog = ({ open, title, initialName, existingNames, onClose, onSubmit }) => {
+  const [name, setName] = useState(initialName);
+  const trimmed = name.trim();
+  const isDuplicate = trimmed !== initialName && existingNames.includes(trimmed);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!trimmed || isDuplicate) return;
+    onSubmit(trimmed);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>{title}</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="View name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            error={isDuplicate}
+            helperText={isDuplicate ? 'A view with this name already exists' : ' '}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={!trimmed || isDuplicate}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+/**
+ * Saved view picker for the App toolbar
+ * Lets users switch, save, rename, delete and set a default view
+ */
+export const ViewSelector = ({
+  views,
+  activeViewId,
+  defaultViewId,
+  onSelect,
+  onSave,
+  onSaveAs,
+  onRename,
+  onDelete,
+  onSetDefault,
+}) => {
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [dialog, setDialog] = useState(null);
+
+  const activeView = views.find(view => view.id === activeViewId);
+  const existingNames = views.map(view => view.name);
+
+  const closeMenu = () => setMenuAnchor(null);
+  const openDialog = (type) => {
+    closeMenu();
+    setDialog(type);
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+      <Select
+        size="small"
+        value={activeViewId ?? DEFAULT_LAYOUT}
+        onChange={(e) => onSelect(e.target.value === DEFAULT_LAYOUT ? null : e.target.value)}
+        sx={{ minWidth: 200, bgcolor: 'white', fontWeight: 600 }}
+        renderValue={(value) => (value === DEFAULT_LAYOUT ? 'Default layout' : activeView?.name)}
+      >
+        <MenuItem value={DEFAULT_LAYOUT}>
+          <Typography variant="body2" color="text.secondary">Default layout</Typography>
+        </MenuItem>
+        {views.map(view => (
+          <MenuItem key={view.id} value={view.id}>
+            <ListItemText>{view.name}</ListItemText>
+            {view.id === defaultViewId && (
+              <StarIcon fontSize="small" sx={{ color: 'warning.main', ml: 1 }} />
+            )}
+          </MenuItem>
+        ))}
+      </Select>
+
+      <Tooltip title="View options" arrow>
+        <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)} sx={{ color: 'white' }}>
+          <MoreVertIcon />
+        </IconButton>
+      </Tooltip>
+
+      <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={closeMenu}>
+        <MenuItem
+          disabled={!activeView}
+          onClick={() => {
+            closeMenu();
+            onSave(activeViewId);
+          }}
+        >
+          <ListItemIcon><SaveIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>Save changes</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => openDialog('saveAs')}>
+          <ListItemIcon><SaveAsIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>Save as new view…</ListItemText>
+        </MenuItem>
+        <MenuItem disabled={!activeView} onClick={() => openDialog('rename')}>
+          <ListItemIcon><EditIcon fontSize="small" /></ListItemIcon>
+          <ListItemText>Rename…</ListItemText>
+        </MenuItem>
+        <MenuItem
+          disabled={!activeView}
+          onClick={() => {
+            closeMenu();
+            onSetDefault(activeViewId === defaultViewId ? null : activeViewId);
+          }}
+        >
+          <ListItemIcon>
+            {activeView && activeViewId === defaultViewId
+              ? <StarIcon fontSize="small" />
+              : <StarBorderIcon fontSize="small" />}
+          </ListItemIcon>
+          <ListItemText>
+            {activeView && activeViewId === defaultViewId ? 'Unset default' : 'Set as default'}
+          </ListItemText>
+        </MenuItem>
+        <MenuItem disabled={!activeView} onClick={() => openDialog('delete')} sx={{ color: 'error.main' }}>
+          <ListItemIcon><DeleteIcon fontSize="small" color="error" /></ListItemIcon>
+          <ListItemText>Delete</ListItemText>
+        </MenuItem>
+      </Menu>
+
+      {dialog === 'saveAs' && (
+        <ViewNameDialog
+          open
+          title="Save view"
+          initialName=""
+          existingNames={existingNames}
+          onClose={() => setDialog(null)}
+          onSubmit={(name) => {
+            setDialog(null);
+            onSaveAs(name);
+          }}
+        />
+      )}
+
+      {dialog === 'rename' && activeView && (
+        <ViewNameDialog
+          open
+          title="Rename view"
+          initialName={activeView.name}
+          existingNames={existingNames}
+          onClose={() => setDialog(null)}
+          onSubmit={(name) => {
+            setDialog(null);
+            onRename(activeViewId, name);
+          }}
+        />
+      )}
+
+      <Dialog open={dialog === 'delete' && Boolean(activeView)} onClose={() => setDialog(null)}>
+        <DialogTitle>Delete view?</DialogTitle>
+        <DialogContent>
+          <Typography>
+            The view &quot;{activeView?.name}&quot; will be removed. Your data is not affected.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialog(null)}>Cancel</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={() => {
+              setDialog(null);
+              onDelete(activeViewId);
+            }}
+          >
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
@@ -0,0 +1,245 @@
+import { Chip, Typography } from '@mui/material';
+import { HighlightedText } from './HighlightedText';
+import { bucketDays } from '../utils/grouping';
+import { validateEmail, validateISODate, validateNumber } from '../utils/validators';
+
+/**
+ * Renders cell text with global search matches highlighted
+ * @param {Object} info - TanStack cell context
+ * @param {string} text - Text to display (defaults to the cell value)
+ */
+export const renderText = (info, text = info.getValue()) => (
+  <HighlightedText text={text} tokens={info.table.options.meta?.searchTokens} />
+);
+
+/**
+ * Conditional format of a cell (see conditionalFormatting.js), for
+ * renderers of types with `formatsCell`
+ * @param {Object} info - TanStack cell context
+ * @returns {Object|null} Inline styles
+ */
+export const getCellFormat = (info) => (
+  info.table.options.meta?.getCellFormat?.(info.row, info.column.id) ?? null
+);
+
+const monospace = { fontFamily: 'monospace', fontSize: '0.85rem' };
+
+// Group row aggregate of a date column (see aggregationFns.dateExtent)
+const renderDateExtent = ({ getValue }) => {
+  const extent = getValue();
+  return extent && (
+    <Typography variant="caption" sx={{ fontFamily: 'monospace' }} title="Earliest – latest">
+      {extent.earliest} – {extent.latest}
+    </Typography>
+  );
+};
+
+// Group row aggregate of a number column (see aggregationFns.numberStats)
+const renderNumberStats = ({ getValue }, field) => {
+  const stats = getValue();
+  return stats && (
+    <Typography variant="caption" title={`Min / average / max ${field.header}`}>
+      {[stats.min, stats.avg, stats.max].map(field.formatText).join(' · ')}
+    </Typography>
+  );
+};
+
+// Group row aggregate of a duration column, in days
+const renderDurationStats = ({ getValue }, field) => {
+  const stats = getValue();
+  return stats && (
+    <Typography variant="caption" title={`Min / average / max ${field.header}`}>
+      {stats.min} · {Math.round(stats.avg)} · {stats.max} days
+    </Typography>
+  );
+};
+
+const formatNumber = (value) => (
+  value === null || value === undefined ? '' : String(Math.round(value * 100) / 100)
+);
+
+const formatDays = (days) => {
+  const rounded = Math.round(days);
+  return `${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+};
+
+/**
+ * Built-in column types
+ * A schema field picks a type by name; the type supplies the defaults for
+ * everything the field does not set itself:
+ * - size, minSize, maxSize: column widths
+ * - filterVariant: filter control and filterFn (see filters.js)
+ * - sortingFn: 'text' (locale-aware), 'date' or 'number', see sorting.js;
+ *   sortable: false turns sorting off
+ * - editor: input type of the inline editor; parse(text) turns the edited
+ *   text into the stored value
+ * - validate(value, field): format check for non-empty values
+ * - formatText(value): plain text for search, export and auto-fit
+ * - exportType: cell type in exports
+ * - formulaType: value type seen by formulas
+ * - groupable, groupingModes, aggregationFn: row grouping
+ * - cell(info, field), aggregatedCell(info, field): renderers
+ * - formatsCell: the cell renderer applies conditional formats itself
+ *   (getCellFormat) instead of the table painting the cell
+ */
+export const DEFAULT_COLUMN_TYPES = {
+  uuid: {
+    size: 120,
+    minSize: 90,
+    maxSize: 320,
+    filterVariant: 'text',
+    // Random IDs have no meaningful order
+    sortable: false,
+    sortingFn: 'text',
+    exportType: 'string',
+    formulaType: 'text',
+    groupable: false,
+    formatText: value => `${String(value ?? '').slice(0, 8)}...`,
+    cell: (info, field) => (
+      <Typography variant="body2" sx={monospace} {...field.display}>
+        {renderText(info, String(info.getValue() ?? '').slice(0, 8))}...
+      </Typography>
+    ),
+  },
+  text: {
+    size: 150,
+    minSize: 100,
+    maxSize: 300,
+    filterVariant: 'text',
+    sortingFn: 'text',
+    editor: 'text',
+    exportType: 'string',
+    formulaType: 'text',
+    groupable: true,
+    cell: (info, field) => (
+      <Typography variant="body2" {...field.display}>
+        {renderText(info, field.formatText(info.getValue()))}
+      </Typography>
+    ),
+  },
+  email: {
+    size: 250,
+    minSize: 160,
+    maxSize: 480,
+    filterVariant: 'text',
+    sortingFn: 'text',
+    editor: 'email',
+    validate: validateEmail,
+    exportType: 'string',
+    formulaType: 'text',
+    groupable: false,
+    cell: (info, field) => (
+      <Typography variant="body2" sx={monospace} {...field.display}>
+        {renderText(info)}
+      </Typography>
+    ),
+  },
+  // YYYY-MM-DD strings
+  date: {
+    size: 150,
+    minSize: 130,
+    maxSize: 220,
+    filterVariant: 'dateRange',
+    sortingFn: 'date',
+    editor: 'date',
+    validate: validateISODate,
+    exportType: 'date',
+    formulaType: 'date',
+    groupable: true,
+    aggregationFn: 'dateExtent',
+    groupingModes: {
+      month: { label: 'Month', getValue: date => date.slice(0, 7) },
+      year: { label: 'Year', getValue: date => date.slice(0, 4) },
+    },
+    cell: (info, field) => (
+      <Typography variant="body2" sx={monospace} {...field.display}>
+        {renderText(info)}
+      </Typography>
+    ),
+    aggregatedCell: renderDateExtent,
+  },
+  // Whole days
+  duration: {
+    size: 120,
+    minSize: 100,
+    maxSize: 200,
+    filterVariant: 'numberRange',
+    sortingFn: 'number',
+    editor: 'number',
+    parse: Number,
+    validate: value => validateNumber(value, { integer: true }),
+    exportType: 'number',
+    formulaType: 'number',
+    groupable: true,
+    aggregationFn: 'numberStats',
+    groupingModes: {
+      ranges: { label: 'Ranges', getValue: bucketDays },
+      years: { label: 'Years', getValue: days => `Year ${Math.floor(days / 365) + 1}` },
+    },
+    formatText: formatDays,
+    // Horizontal padding of the chip label
+    contentPadding: 24,
+    // Formats colour the chip
+    formatsCell: true,
+    cell: (info, field) => {
+      const format = getCellFormat(info);
+      return (
+        <Chip
+          label={field.formatText(info.getValue())}
+          size="small"
+          sx={{
+            background: format?.backgroundColor ?? 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+            color: format?.color ?? 'white',
+            fontWeight: format?.fontWeight ?? 600,
+            fontStyle: format?.fontStyle,
+            fontSize: '0.75rem',
+          }}
+        />
+      );
+    },
+    aggregatedCell: renderDurationStats,
+  },
+  // One of a set of values; `options` on the field restricts edits to them
+  enum: {
+    size: 150,
+    minSize: 100,
+    maxSize: 300,
+    filterVariant: 'select',
+    sortingFn: 'text',
+    editor: 'text',
+    validate: (value, field) => (
+      field.options && !field.options.includes(value)
+        ? `Choose one of: ${field.options.join(', ')}`
+        : null
+    ),
+    exportType: 'string',
+    formulaType: 'text',
+    groupable: true,
+    cell: (info, field) => (
+      <Typography variant="body2" {...field.display}>
+        {renderText(info)}
+      </Typography>
+    ),
+  },
+  number: {
+    size: 120,
+    minSize: 90,
+    maxSize: 240,
+    filterVariant: 'numberRange',
+    sortingFn: 'number',
+    editor: 'number',
+    parse: Number,
+    validate: value => validateNumber(value),
+    exportType: 'number',
+    formulaType: 'number',
+    groupable: true,
+    aggregationFn: 'numberStats',
+    formatText: formatNumber,
+    cell: (info, field) => (
+      <Typography variant="body2" {...field.display}>
+        {renderText(info, field.formatText(info.getValue()))}
+      </Typography>
+    ),
+    aggregatedCell: renderNumberStats,
+  },
+};
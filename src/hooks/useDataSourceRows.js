@@ -0,0 +1,169 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+const DEFAULT_PAGE_SIZE = 100;
+
+// Pages kept in memory; the ones furthest from the rows on screen go first
+const MAX_CACHED_PAGES = 50;
+
+const EMPTY_STATE = { total: 0, hasLoaded: false, pages: {} };
+
+/**
+ * Loads rows from a data source (see dataSource.js) page by page
+ * `total` is the number of matching rows and `records` holds the loaded
+ * ones, in order. Call `loadRange` with the indices on screen to fetch
+ * their pages, and `getRecord` to find the record at an index (undefined
+ * while it loads). Only loaded pages are held in memory, so the table stays
+ * as light with a million rows as with a hundred.
+ *
+ * A new query (sorting, filters, search) aborts every pending request and
+ * starts over. A new data source with the same query keeps showing the
+ * loaded rows while they are fetched again, so edits do not flash.
+ * Failed pages keep their error until `retryPage` is called.
+ * `getPageState` and `retryPage` take the index of any row of the page.
+ *
+ * @param {Object} options
+ * @param {Object|null} options.dataSource - Data source, or null to stay idle
+ * @param {{ sorting: Array, filters: Array, search: string }} options.query
+ * @param {string} options.rowIdField - Field holding the row ID
+ * @param {number} [options.pageSize]
+ * @returns {{ records: Array, total: number, hasLoaded: boolean, isLoading: boolean,
+ *   getRecord: Function, getIndex: Function, loadRange: Function, retryPage: Function,
+ *   getPageState: Function }}
+ */
+export const useDataSourceRows = ({ dataSource, query, rowIdField, pageSize = DEFAULT_PAGE_SIZE }) => {
+  // Pages by index: { status: 'loading' | 'loaded' | 'error', rows, error }
+  const [state, setState] = useState(EMPTY_STATE);
+  const stateRef = useRef(state);
+  stateRef.current = state;
+
+  // Pending requests by page index
+  const requests = useRef(new Map());
+  const queryKey = JSON.stringify(query);
+  const lastQueryKey = useRef(null);
+
+  const setPage = (pageIndex, update) => setState(prev => ({
+    ...prev,
+    ...update.state,
+    pages: { ...prev.pages, [pageIndex]: { ...prev.pages[pageIndex], ...update.page } },
+  }));
+
+  const loadPage = useCallback((pageIndex) => {
+    if (!dataSource) return;
+
+    requests.current.get(pageIndex)?.abort();
+    const controller = new AbortController();
+    requests.current.set(pageIndex, controller);
+    setPage(pageIndex, { page: { status: 'loading', error: null } });
+
+    dataSource
+      .getRows({ ...query, offset: pageIndex * pageSize, limit: pageSize, signal: controller.signal })
+      .then(({ rows, total }) => {
+        if (controller.signal.aborted) return;
+        requests.current.delete(pageIndex);
+        setPage(pageIndex, { page: { status: 'loaded', rows }, state: { total, hasLoaded: true } });
+      })
+      .catch(error => {
+        // Aborted requests belong to an outdated query
+        if (controller.signal.aborted) return;
+        requests.current.delete(pageIndex);
+        console.error('Error loading rows:', error);
+        setPage(pageIndex, { page: { status: 'error', error } });
+      });
+  }, [dataSource, queryKey, pageSize]);
+
+  useEffect(() => {
+    const isNewQuery = lastQueryKey.current !== queryKey;
+    lastQueryKey.current = queryKey;
+
+    requests.current.forEach(controller => controller.abort());
+    requests.current.clear();
+
+    if (!dataSource) {
+      setState(EMPTY_STATE);
+      return undefined;
+    }
+
+    const loadedPages = Object.keys(stateRef.current.pages).map(Number);
+    if (isNewQuery || loadedPages.length === 0) {
+      // Keep the previous total so the scroll height does not jump
+      stateRef.current = { ...stateRef.current, pages: {} };
+      setState(prev => ({ ...prev, pages: {} }));
+      loadPage(0);
+    } else {
+      loadedPages.forEach(loadPage);
+    }
+
+    return () => {
+      requests.current.forEach(controller => controller.abort());
+      requests.current.clear();
+    };
+  }, [dataSource, queryKey, loadPage]);
+
+  // Drops the pages furthest from the given range once too many are cached
+  const evictPages = (first, last) => {
+    const cached = Object.keys(stateRef.current.pages).map(Number);
+    if (cached.length <= MAX_CACHED_PAGES) return;
+
+    const distance = pageIndex => (pageIndex < first ? first - pageIndex : pageIndex - last);
+    const evicted = cached
+      .filter(pageIndex => pageIndex < first || pageIndex > last)
+      .sort((a, b) => distance(b) - distance(a))
+      .slice(0, cached.length - MAX_CACHED_PAGES);
+
+    evicted.forEach(pageIndex => {
+      requests.current.get(pageIndex)?.abort();
+      requests.current.delete(pageIndex);
+    });
+    const dropPages = prev => {
+      const pages = { ...prev.pages };
+      evicted.forEach(pageIndex => delete pages[pageIndex]);
+      return { ...prev, pages };
+    };
+    stateRef.current = dropPages(stateRef.current);
+    setState(dropPages);
+  };
+
+  const loadRange = useCallback((startIndex, endIndex) => {
+    const first = Math.floor(startIndex / pageSize);
+    const last = Math.floor(endIndex / pageSize);
+    for (let pageIndex = first; pageIndex <= last; pageIndex++) {
+      if (!stateRef.current.pages[pageIndex] && !requests.current.has(pageIndex)) loadPage(pageIndex);
+    }
+    evictPages(first, last);
+  }, [loadPage, pageSize]);
+
+  // Loaded records in order, and their indices in the full result
+  const { records, indexById } = useMemo(() => {
+    const loaded = [];
+    const indices = new Map();
+    Object.keys(state.pages).map(Number).sort((a, b) => a - b).forEach(pageIndex => {
+      state.pages[pageIndex].rows?.forEach((record, offset) => {
+        loaded.push(record);
+        indices.set(record[rowIdField], pageIndex * pageSize + offset);
+      });
+    });
+    return { records: loaded, indexById: indices };
+  }, [state.pages, pageSize, rowIdField]);
+
+  const getRecord = useCallback(
+    (index) => state.pages[Math.floor(index / pageSize)]?.rows?.[index % pageSize],
+    [state, pageSize]
+  );
+
+  const getPageState = useCallback(
+    (rowIndex) => state.pages[Math.floor(rowIndex / pageSize)] ?? { status: 'idle' },
+    [state, pageSize]
+  );
+
+  return {
+    records,
+    total: state.total,
+    hasLoaded: state.hasLoaded,
+    isLoading: Object.values(state.pages).some(page => page.status === 'loading'),
+    getRecord,
+    getIndex: (rowId) => indexById.get(rowId),
+    loadRange,
+    retryPage: (rowIndex) => loadPage(Math.floor(rowIndex / pageSize)),
+    getPageState,
+  };
+};
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { createTabChannel } from '../utils/tabSync';
+
+/**
+ * Channel to the other open tabs of the app (see tabSync.js)
+ * `onMessage` receives the messages of the other tabs; it may change
+ * between renders. The channel closes on unmount.
+ * @param {string} name - Channel name, the same in every tab
+ * @param {(message: Object) => void} onMessage
+ * @returns {(message: Object) => void} Sends a message to the other tabs
+ */
+export const useTabChannel = (name, onMessage) => {
+  const channel = useRef(null);
+  const handler = useRef(onMessage);
+  handler.current = onMessage;
+
+  useEffect(() => {
+    const opened = createTabChannel(name);
+    channel.current = opened;
+    const unsubscribe = opened.subscribe(message => handler.current(message));
+    return () => {
+      unsubscribe();
+      opened.close();
+      channel.current = null;
+    };
+  }, [name]);
+
+  return useCallback((message) => {
+    try {
+      channel.current?.post(message);
+    } catch (error) {
+      console.error('Error sending tab message:', error);
+    }
+  }, []);
+};
@@ -0,0 +1,110 @@
+import { useCallback, useMemo, useRef, useState } from 'react';
+
+const DEFAULT_LIMIT = 100;
+
+// Changes with the same coalesce key closer together than this are one step
+const COALESCE_WINDOW_MS = 1000;
+
+const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Undo / redo history of reversible changes
+ * Callers make a change themselves, then `push` an entry describing how to
+ * reverse and repeat it:
+ *
+ *   { label: 'Sort', undo: () => ..., redo: () => ..., coalesceKey?, scope? }
+ *
+ * `push` returns the ID of the entry. A new entry clears the redo stack. An entry with the same `coalesceKey`
+ * as the last one, pushed within a second of it, is merged into it: one
+ * undo reverts both, latest first, and one redo repeats both (e.g. cycling
+ * a header's sort, editing a row twice).
+ * `scope` tags the entries of a component so it can `discard` them when the
+ * state they act on goes away.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Entries kept; the oldest are dropped
+ * @returns {{ past: Array, future: Array, canUndo: boolean, canRedo: boolean,
+ *   push: Function, undo: Function, redo: Function, goTo: Function, discard: Function }}
+ *   `past` holds the applied entries, oldest first, and `future` the undone
+ *   ones, next redo first
+ */
+export const useUndoHistory = ({ limit = DEFAULT_LIMIT } = {}) => {
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  // Updated synchronously so several calls in one event see each other
+  const historyRef = useRef(history);
+  const nextId = useRef(0);
+
+  const update = useCallback((next) => {
+    historyRef.current = next;
+    setHistory(next);
+  }, []);
+
+  const push = useCallback((entry) => {
+    const { past } = historyRef.current;
+    const now = Date.now();
+    const last = past[past.length - 1];
+
+    if (entry.coalesceKey && last?.coalesceKey === entry.coalesceKey && now - last.time < COALESCE_WINDOW_MS) {
+      const merged = {
+        ...last,
+        label: entry.label,
+        undo: () => {
+          entry.undo();
+          last.undo();
+        },
+        redo: () => {
+          last.redo();
+          entry.redo();
+        },
+        time: now,
+      };
+      update({ past: [...past.slice(0, -1), merged], future: [] });
+      return merged.id;
+    }
+
+    const id = nextId.current++;
+    update({ past: [...past, { ...entry, id, time: now }].slice(-limit), future: [] });
+    return id;
+  }, [limit, update]);
+
+  const undo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) return;
+    update({ past: past.slice(0, -1), future: [entry, ...future] });
+    entry.undo();
+  }, [update]);
+
+  const redo = useCallback(() => {
+    const { past, future } = historyRef.current;
+    const entry = future[0];
+    if (!entry) return;
+    update({ past: [...past, entry], future: future.slice(1) });
+    entry.redo();
+  }, [update]);
+
+  // Undoes or redoes until `count` entries are applied
+  const goTo = useCallback((count) => {
+    while (historyRef.current.past.length > count) undo();
+    while (historyRef.current.past.length < count && historyRef.current.future.length > 0) redo();
+  }, [undo, redo]);
+
+  const discard = useCallback((scope) => {
+    const { past, future } = historyRef.current;
+    const keep = entry => entry.scope !== scope;
+    if (past.every(keep) && future.every(keep)) return;
+    update({ past: past.filter(keep), future: future.filter(keep) });
+  }, [update]);
+
+  return useMemo(() => ({
+    past: history.past,
+    future: history.future,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    push,
+    undo,
+    redo,
+    goTo,
+    discard,
+  }), [history, push, undo, redo, goTo, discard]);
+};
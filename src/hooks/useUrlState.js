@@ -0,0 +1,59 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { parseUrlState, serializeUrlState } from '../utils/urlState';
+
+// Updates closer together than this make a single URL change
+const DEFAULT_DELAY_MS = 300;
+
+/**
+ * Table state kept in the page URL (see urlState.js)
+ * `initialState` is read from the URL once, on mount. `update` writes parts
+ * of the state back with `history.replaceState`, so the URL follows the
+ * table without adding browser history entries; updates are batched, as
+ * scrolling and typing in filters change the state many times a second.
+ * `getRowLink` returns a link to the current state with a row to scroll to.
+ * @param {Object} [options]
+ * @param {string[]} [options.defaultColumnOrder] - Column order left out of the URL
+ * @param {number} [options.delay] - Milliseconds to wait for more updates
+ * @returns {{ initialState: Object, update: Function, getRowLink: Function }}
+ */
+export const useUrlState = ({ defaultColumnOrder = [], delay = DEFAULT_DELAY_MS } = {}) => {
+  const [initialState] = useState(() => parseUrlState(window.location.search));
+  // Parts waiting to be written
+  const pending = useRef({});
+  const timer = useRef(null);
+  const defaultOrder = useRef(defaultColumnOrder);
+  defaultOrder.current = defaultColumnOrder;
+
+  const flush = useCallback(() => {
+    timer.current = null;
+    const { pathname, search, hash } = window.location;
+    const next = serializeUrlState(search, pending.current, defaultOrder.current);
+    pending.current = {};
+    if (next !== search) {
+      window.history.replaceState(window.history.state, '', `${pathname}${next}${hash}`);
+    }
+  }, []);
+
+  const update = useCallback((state) => {
+    pending.current = { ...pending.current, ...state };
+    clearTimeout(timer.current);
+    timer.current = setTimeout(flush, delay);
+  }, [flush, delay]);
+
+  // Includes the updates not written yet
+  const getRowLink = useCallback((rowId) => {
+    const url = new URL(window.location.href);
+    url.search = serializeUrlState(url.search, { ...pending.current, rowId }, defaultOrder.current);
+    return url.toString();
+  }, []);
+
+  // Write what is left before going away
+  useEffect(() => () => {
+    if (timer.current) {
+      clearTimeout(timer.current);
+      flush();
+    }
+  }, [flush]);
+
+  return { initialState, update, getRowLink };
+};
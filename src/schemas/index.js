@@ -0,0 +1,10 @@
+import { usersSchema } from './users';
+
+/**
+ * Table schemas by ID
+ * Lets code that cannot receive a schema object (such as the table worker,
+ * which only gets messages) look one up.
+ */
+export const schemas = {
+  [usersSchema.id]: usersSchema,
+};
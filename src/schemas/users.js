@@ -0,0 +1,90 @@
+import { computeDaysSinceRegistration, computeFullName } from '../utils/computed';
+import { fieldValidators } from '../utils/validators';
+
+/**
+ * Schema of the users table
+ * Raw fields are persisted; Full Name and DSR are computed on render.
+ * The ID and formula columns stand outside the column groups.
+ */
+export const usersSchema = {
+  id: 'users',
+  rowId: 'id',
+  titleField: 'fullName',
+  // Records saved before versioning (version 0) already have these fields
+  version: 1,
+  migrations: {
+    1: record => record,
+  },
+  fields: [
+    {
+      id: 'id',
+      header: 'ID',
+      type: 'uuid',
+    },
+    {
+      id: 'firstName',
+      header: 'First Name',
+      type: 'text',
+      editable: true,
+      validate: fieldValidators.firstName,
+      display: { fontWeight: 500 },
+    },
+    {
+      id: 'lastName',
+      header: 'Last Name',
+      type: 'text',
+      editable: true,
+      validate: fieldValidators.lastName,
+      display: { fontWeight: 500 },
+    },
+    {
+      id: 'fullName',
+      header: 'Full Name',
+      type: 'text',
+      size: 200,
+      minSize: 120,
+      maxSize: 400,
+      groupable: false,
+      display: { fontWeight: 600, color: 'primary.main' },
+      description: 'Computed from firstName + lastName',
+      dependencies: ['firstName', 'lastName'],
+      compute: record => computeFullName(record.firstName, record.lastName),
+    },
+    {
+      id: 'email',
+      header: 'Email',
+      type: 'email',
+      editable: true,
+      validate: fieldValidators.email,
+    },
+    {
+      id: 'city',
+      header: 'City',
+      type: 'enum',
+      editable: true,
+      bulkEdit: true,
+      validate: fieldValidators.city,
+    },
+    {
+      id: 'registeredDate',
+      header: 'Registered Date',
+      type: 'date',
+      editable: true,
+      validate: fieldValidators.registeredDate,
+    },
+    {
+      id: 'dsr',
+      header: 'DSR',
+      type: 'duration',
+      description: 'Days Since Registration - computed dynamically',
+      dependencies: ['registeredDate'],
+      isDynamic: true,
+      compute: (record, clock) => computeDaysSinceRegistration(record.registeredDate, clock),
+    },
+  ],
+  columnGroups: [
+    { id: 'name', header: 'Name', columns: ['firstName', 'lastName', 'fullName'], summary: 'fullName' },
+    { id: 'contact', header: 'Contact', columns: ['email', 'city'] },
+    { id: 'registration', header: 'Registration', columns: ['registeredDate', 'dsr'] },
+  ],
+};
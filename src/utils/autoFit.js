@@ -0,0 +1,82 @@
+/**
+ * Auto-fit column widths
+ * The body is virtualized, so most cells are not in the DOM. Instead of
+ * measuring elements, the text of every row is measured with a canvas
+ * using the font of a rendered cell of that column.
+ */
+
+// Horizontal padding of body cells (16px on each side)
+const CELL_PADDING = 32;
+// Room taken in the header by the drag handle, sort, filter and pin icons
+const HEADER_CHROME = 140;
+// Only the longest strings are measured, which keeps large datasets fast
+const SAMPLE_SIZE = 50;
+const DEFAULT_FONT = '400 14px sans-serif';
+const HEADER_FONT = '700 14px sans-serif';
+
+let canvasContext;
+
+const getCanvasContext = () => {
+  if (canvasContext === undefined) {
+    try {
+      canvasContext = document.createElement('canvas').getContext('2d');
+    } catch {
+      canvasContext = null;
+    }
+  }
+  return canvasContext;
+};
+
+/**
+ * Measures the rendered width of a string
+ * Falls back to an average character width when canvas is unavailable
+ * @param {string} text
+ * @param {string} font - CSS font shorthand
+ * @returns {number} Width in pixels
+ */
+export const measureTextWidth = (text, font = DEFAULT_FONT) => {
+  const context = getCanvasContext();
+  if (!context) return text.length * 8;
+  context.font = font;
+  return context.measureText(text).width;
+};
+
+/**
+ * Reads the font used by rendered cells of a column
+ * @param {HTMLElement} container - Table container element
+ * @param {string} columnId
+ * @returns {string} CSS font shorthand
+ */
+const getColumnFont = (container, columnId) => {
+  const content = container?.querySelector(`td[data-column-id="${columnId}"] *`);
+  if (!content) return DEFAULT_FONT;
+  const style = window.getComputedStyle(content);
+  return style.font || `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+};
+
+/**
+ * Computes the width that fits the widest content of a column
+ * @param {Object} column - TanStack column
+ * @param {Array} rows - Rows to consider (the current row model)
+ * @param {HTMLElement} container - Table container, used to read fonts
+ * @returns {number} Width in pixels, clamped to the column's min/max size
+ */
+export const computeAutoFitWidth = (column, rows, container) => {
+  const formatText = column.columnDef.meta?.formatText || (value => String(value ?? ''));
+
+  const texts = Array.from(new Set(rows.map(row => formatText(row.getValue(column.id)))))
+    .sort((a, b) => b.length - a.length)
+    .slice(0, SAMPLE_SIZE);
+
+  const font = getColumnFont(container, column.id);
+  const contentWidth = texts.reduce(
+    (widest, text) => Math.max(widest, measureTextWidth(text, font)),
+    0
+  ) + CELL_PADDING + (column.columnDef.meta?.contentPadding || 0);
+
+  const headerText = typeof column.columnDef.header === 'string' ? column.columnDef.header : column.id;
+  const headerWidth = measureTextWidth(headerText, HEADER_FONT) + HEADER_CHROME;
+
+  const { minSize = 0, maxSize = Number.MAX_SAFE_INTEGER } = column.columnDef;
+  return Math.round(Math.min(maxSize, Math.max(minSize, contentWidth, headerWidth)));
+};
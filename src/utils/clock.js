@@ -0,0 +1,255 @@
+import { watchStorageKey } from './tabSync';
+
+/**
+ * Clock used by time-dependent computed fields
+ * Nothing in the computed layer calls `new Date()` directly: it asks a clock
+ * for the current instant and for "today" as a calendar date in the clock's
+ * time zone. The time source can be injected, which is how "now" is frozen
+ * for demos and tests.
+ */
+
+const CLOCK_STORAGE_KEY = 'tableClockSettings';
+const DAY_MS = 1000 * 60 * 60 * 24;
+const HOUR_MS = 1000 * 60 * 60;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Returns the time zone of the browser
+ * @returns {string} IANA time zone name
+ */
+export const getSystemTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Lists the IANA time zones the browser knows about
+ * @returns {string[]}
+ */
+export const getSupportedTimeZones = () => {
+  const system = getSystemTimeZone();
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return zones.includes(system) ? zones : [system, ...zones];
+};
+
+/**
+ * Whether a string is a time zone the browser accepts
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Days since the epoch for a YYYY-MM-DD date
+ * Dates are calendar days, not instants, so they are counted in UTC where
+ * every day is 24 hours long. This keeps day differences exact across DST.
+ * @param {string} value - ISO date (a time part, if any, is ignored)
+ * @returns {number|null} Day number, or null when the value is not a date
+ */
+export const toDayNumber = (value) => {
+  const match = ISO_DATE_PATTERN.exec(String(value ?? ''));
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+};
+
+/**
+ * Creates a function returning the wall-clock parts of an instant in a time zone
+ * @param {string} timeZone
+ * @returns {(date: Date) => { year, month, day, hour, minute, second }}
+ */
+const createZonedParts = (timeZone) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  });
+
+  return (date) => Object.fromEntries(
+    formatter.formatToParts(date)
+      .filter(part => part.type !== 'literal')
+      .map(part => [part.type, Number(part.value)])
+  );
+};
+
+/**
+ * Creates a clock
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - IANA time zone for calendar dates (browser zone by default)
+ * @param {Function} [options.now] - Time source returning a Date or epoch milliseconds
+ * @param {boolean} [options.isFrozen] - Marks a clock whose time source never advances
+ * @returns {{ timeZone: string, isFrozen: boolean, now: () => Date, today: () => string,
+ *   msUntilNextDay: () => number }}
+ */
+export const createClock = ({ timeZone, now = () => Date.now(), isFrozen = false } = {}) => {
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : getSystemTimeZone();
+  const getParts = createZonedParts(zone);
+
+  // A frozen clock's date never changes; enrichment asks for it once per record
+  let frozenToday = null;
+
+  const clock = {
+    timeZone: zone,
+    isFrozen,
+    now: () => new Date(now()),
+    // Today's calendar date in the clock's time zone (YYYY-MM-DD)
+    today: () => {
+      if (frozenToday) return frozenToday;
+      const { year, month, day } = getParts(clock.now());
+      const today = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      if (isFrozen) frozenToday = today;
+      return today;
+    },
+    // Wall-clock time left until midnight. Off by the DST shift on the days
+    // the clocks change, so callers check the date again when it elapses.
+    msUntilNextDay: () => {
+      const date = clock.now();
+      const { hour, minute, second } = getParts(date);
+      const elapsed = ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds();
+      return DAY_MS - elapsed;
+    },
+  };
+  return clock;
+};
+
+/**
+ * Returns a copy of a clock stopped at its current instant
+ * Used so a whole computation sees the same "now", even across midnight.
+ * @param {Object} clock
+ * @returns {Object} Frozen clock
+ */
+export const freezeClock = (clock) => {
+  if (clock.isFrozen) return clock;
+  const frozenAt = clock.now().getTime();
+  return createClock({ timeZone: clock.timeZone, now: () => frozenAt, isFrozen: true });
+};
+
+/**
+ * Real-time clock in the browser's time zone
+ */
+export const systemClock = createClock();
+
+/**
+ * Returns the instant at noon of a calendar date in a time zone
+ * Noon is used so the instant stays on that date whatever the DST shift.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} timeZone
+ * @returns {number} Epoch milliseconds
+ */
+export const getZonedNoon = (date, timeZone) => {
+  const guess = toDayNumber(date) * DAY_MS + 12 * HOUR_MS;
+  const { year, month, day, hour, minute, second } = createZonedParts(timeZone)(new Date(guess));
+  const offset = Date.UTC(year, month - 1, day, hour, minute, second) - guess;
+  return guess - offset;
+};
+
+/**
+ * Default clock settings: browser time zone, real time
+ * - timeZone: IANA zone, or null for the browser's zone
+ * - frozenDate: YYYY-MM-DD to pin "today" to, or null
+ */
+export const DEFAULT_CLOCK_SETTINGS = { timeZone: null, frozenDate: null };
+
+/**
+ * Creates the clock described by the settings
+ * @param {{ timeZone: string|null, frozenDate: string|null }} settings
+ * @returns {Object} Clock
+ */
+export const createClockFromSettings = ({ timeZone, frozenDate }) => {
+  if (!frozenDate) return createClock({ timeZone });
+
+  const zone = timeZone && isValidTimeZone(timeZone) ? timeZone : getSystemTimeZone();
+  const frozenAt = getZonedNoon(frozenDate, zone);
+  return createClock({ timeZone: zone, now: () => frozenAt, isFrozen: true });
+};
+
+/**
+ * Loads the clock settings
+ * @returns {{ timeZone: string|null, frozenDate: string|null }}
+ */
+export const loadClockSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CLOCK_STORAGE_KEY)) || {};
+    return {
+      timeZone: typeof stored.timeZone === 'string' && isValidTimeZone(stored.timeZone) ? stored.timeZone : null,
+      frozenDate: toDayNumber(stored.frozenDate) === null ? null : stored.frozenDate.slice(0, 10),
+    };
+  } catch (error) {
+    console.error('Error loading clock settings:', error);
+    return DEFAULT_CLOCK_SETTINGS;
+  }
+};
+
+/**
+ * Persists the clock settings
+ * @param {{ timeZone: string|null, frozenDate: string|null }} settings
+ */
+export const saveClockSettings = (settings) => {
+  try {
+    localStorage.setItem(CLOCK_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving clock settings:', error);
+  }
+};
+
+/**
+ * Calls back with the clock settings whenever another tab changes them
+ * @param {(settings: { timeZone: string|null, frozenDate: string|null }) => void} onChange
+ * @returns {Function} Stops watching
+ */
+export const watchClockSettings = (onChange) => (
+  watchStorageKey(CLOCK_STORAGE_KEY, () => onChange(loadClockSettings()))
+);
+
+/**
+ * Calls back whenever the calendar day of a clock changes
+ * The timer never sleeps more than an hour, so a missed midnight (DST
+ * change, computer asleep, system clock adjusted) is caught soon after.
+ * Frozen clocks never change day and are not watched.
+ * @param {Object} clock
+ * @param {(today: string) => void} onDayChange - Receives the new date
+ * @returns {Function} Stops watching
+ */
+export const watchCalendarDay = (clock, onDayChange) => {
+  if (clock.isFrozen) return () => {};
+
+  let today = clock.today();
+  let timer;
+
+  const check = () => {
+    const current = clock.today();
+    if (current !== today) {
+      today = current;
+      onDayChange(current);
+    }
+    schedule();
+  };
+
+  const schedule = () => {
+    // A little past midnight so the new date is already visible
+    timer = setTimeout(check, Math.min(clock.msUntilNextDay() + 1000, HOUR_MS));
+  };
+
+  // Timers are throttled in background tabs; check again when the tab is shown
+  const handleVisibility = () => {
+    if (document.visibilityState !== 'visible') return;
+    clearTimeout(timer);
+    check();
+  };
+
+  schedule();
+  document.addEventListener('visibilitychange', handleVisibility);
+
+  return () => {
+    clearTimeout(timer);
+    document.removeEventListener('visibilitychange', handleVisibility);
+  };
+};
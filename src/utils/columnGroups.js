@@ -0,0 +1,218 @@
+import { getPinZone, getVisualColumnOrder } from './pinning';
+
+/**
+ * Column groups
+ * A schema may put columns under shared headers (see schema.js):
+ *
+ *   columnGroups: [
+ *     { id: 'name', header: 'Name', columns: ['firstName', 'lastName', 'fullName'], summary: 'fullName' },
+ *   ]
+ *
+ * `columns` lists column IDs and nested groups, each nesting level adding a
+ * header row. The columns of a group stay next to each other and in one
+ * pinning zone: a column moves within its group, a group moves as a whole
+ * among its siblings, and pinning a column pins its whole group.
+ * A collapsed group only shows its `summary` column (its first by default).
+ *
+ * Groups are referred to by item IDs (`column-group:<id>`), which are also
+ * the IDs of their TanStack group columns and sortable headers; columns by
+ * their own IDs.
+ */
+
+const COLUMN_GROUP_PREFIX = 'column-group:';
+
+export const toColumnGroupId = (groupId) => `${COLUMN_GROUP_PREFIX}${groupId}`;
+
+export const isColumnGroupId = (id) => String(id).startsWith(COLUMN_GROUP_PREFIX);
+
+// Parent item of every column and group, and the columns of every group
+const indexGroups = (groups) => {
+  const parents = new Map();
+  const definitions = new Map();
+
+  const visit = (group, parentId) => {
+    const itemId = toColumnGroupId(group.id);
+    parents.set(itemId, parentId);
+    definitions.set(itemId, group);
+    group.columns.forEach(child => {
+      if (typeof child === 'string') parents.set(child, itemId);
+      else visit(child, itemId);
+    });
+  };
+  groups.forEach(group => visit(group, null));
+
+  return { parents, definitions };
+};
+
+const getParent = (index, id) => index.parents.get(id) ?? null;
+
+// The item itself, then its group, that group's group and so on
+const getAncestors = (index, id) => {
+  const ancestors = [id];
+  for (let parent = getParent(index, id); parent; parent = getParent(index, parent)) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+};
+
+// Orders `ids` so that the columns of each group below `parentId` are
+// adjacent, groups taking the place of their first column
+const gatherGroups = (index, ids, parentId) => {
+  const seen = new Set();
+  return ids.flatMap(id => {
+    const item = getAncestors(index, id).find(ancestor => getParent(index, ancestor) === parentId);
+    if (seen.has(item)) return [];
+    seen.add(item);
+    if (item === id) return [id];
+    return gatherGroups(index, ids.filter(other => getAncestors(index, other).includes(item)), item);
+  });
+};
+
+/**
+ * Nests column definitions under their groups
+ * Group columns get the group's item ID; groups without any known column
+ * are left out, and so are unknown column IDs.
+ * @param {Array} columns - TanStack column definitions
+ * @param {Array} groups - Column groups of the schema
+ * @returns {Array} Column definitions, grouped ones nested in group columns
+ */
+export const createGroupedColumnDefs = (columns, groups) => {
+  const byId = new Map(columns.map(column => [column.accessorKey, column]));
+  const grouped = new Set();
+
+  const toColumnDef = (group) => {
+    const children = group.columns
+      .map(child => {
+        if (typeof child !== 'string') return toColumnDef(child);
+        grouped.add(child);
+        return byId.get(child);
+      })
+      .filter(Boolean);
+    return children.length > 0 && {
+      id: toColumnGroupId(group.id),
+      header: group.header ?? group.id,
+      columns: children,
+      meta: { isColumnGroup: true, summary: group.summary },
+    };
+  };
+
+  const groupDefs = groups.map(toColumnDef).filter(Boolean);
+  return [...groupDefs, ...columns.filter(column => !grouped.has(column.accessorKey))];
+};
+
+/**
+ * Returns a column group by item ID
+ * @param {Array} groups - Column groups of the schema
+ * @param {string} itemId - `column-group:<id>`
+ * @returns {Object|undefined} Group definition
+ */
+export const getColumnGroup = (groups, itemId) => indexGroups(groups).definitions.get(itemId);
+
+/**
+ * Returns the columns that pin together with a column: those of its
+ * outermost group, or the column alone
+ * @param {Array} groups - Column groups of the schema
+ * @param {string} columnId
+ * @returns {{ group: Object|null, columnIds: string[] }} Outermost group and its columns
+ */
+export const getPinnedTogether = (groups, columnId) => {
+  const index = indexGroups(groups);
+  const ancestors = getAncestors(index, columnId);
+  const top = ancestors[ancestors.length - 1];
+  if (top === columnId) return { group: null, columnIds: [columnId] };
+  return {
+    group: index.definitions.get(top),
+    columnIds: [...index.parents.keys()].filter(id => (
+      !isColumnGroupId(id) && getAncestors(index, id).includes(top)
+    )),
+  };
+};
+
+/**
+ * Brings the columns of each group back together
+ * Saved views and links may keep a layout from before the groups existed
+ * or changed. Each outermost group takes the pinning zone of its first
+ * column, and the other columns of a group move next to its first one.
+ * @param {{ columnOrder: string[], columnPinning: Object }} layout
+ * @param {Array} groups - Column groups of the schema
+ * @returns {{ columnOrder: string[], columnPinning: Object }} Layout with whole groups
+ */
+export const keepColumnGroupsTogether = ({ columnOrder, columnPinning }, groups) => {
+  if (groups.length === 0) return { columnOrder, columnPinning };
+
+  const index = indexGroups(groups);
+  const visualOrder = getVisualColumnOrder(columnOrder, columnPinning);
+  const getTop = id => getAncestors(index, id).pop();
+  const zones = new Map();
+  visualOrder.forEach(id => {
+    if (!zones.has(getTop(id))) zones.set(getTop(id), getPinZone(columnPinning, id));
+  });
+  const zoneOf = id => zones.get(getTop(id));
+
+  const nextOrder = ['left', 'center', 'right'].flatMap(zone => (
+    gatherGroups(index, visualOrder.filter(id => zoneOf(id) === zone), null)
+  ));
+  return {
+    columnOrder: nextOrder,
+    columnPinning: {
+      left: nextOrder.filter(id => zoneOf(id) === 'left'),
+      right: nextOrder.filter(id => zoneOf(id) === 'right'),
+    },
+  };
+};
+
+/**
+ * Works out what dropping a column or group onto another header does
+ * The dragged item moves before or after the sibling it was dropped in:
+ * the dropped-on header itself, or the group of it that shares the dragged
+ * item's group. Dropping a column outside its own group would split the
+ * group, so such a move is invalid.
+ * @param {{ columnOrder: string[], columnPinning: Object }} layout
+ * @param {Array} groups - Column groups of the schema
+ * @param {string} activeId - Dragged column or group item
+ * @param {string} overId - Column or group item it is over
+ * @returns {Object|null} null when nothing would move (not a header, or the
+ *   dragged item itself); `{ isValid: false }` when the move would split a
+ *   group; else `{ isValid: true, targetId, side, activeIds, targetIds }`:
+ *   the sibling it lands next to, 'before' or 'after' it, and the columns of
+ *   both in display order, for moveColumn
+ */
+export const getColumnMove = ({ columnOrder, columnPinning }, groups, activeId, overId) => {
+  const index = indexGroups(groups);
+  const visualOrder = getVisualColumnOrder(columnOrder, columnPinning);
+  const isItem = id => visualOrder.includes(id) || index.definitions.has(id);
+  if (!isItem(activeId) || !isItem(overId)) return null;
+
+  const overAncestors = getAncestors(index, overId);
+  if (overAncestors.includes(activeId)) return null;
+
+  const targetId = overAncestors.find(id => getParent(index, id) === getParent(index, activeId));
+  if (!targetId) return { isValid: false };
+
+  const getColumnIds = item => visualOrder.filter(id => getAncestors(index, id).includes(item));
+  const activeIds = getColumnIds(activeId);
+  const targetIds = getColumnIds(targetId);
+  if (activeIds.length === 0 || targetIds.length === 0) return null;
+
+  return {
+    isValid: true,
+    targetId,
+    side: visualOrder.indexOf(activeIds[0]) < visualOrder.indexOf(targetIds[0]) ? 'after' : 'before',
+    activeIds,
+    targetIds,
+  };
+};
+
+/**
+ * Column visibility with a group collapsed to its summary column, or
+ * expanded to all its columns
+ * @param {Object} columnVisibility - TanStack visibility state
+ * @param {string[]} columnIds - Columns of the group
+ * @param {string} summaryId - Column left when collapsed
+ * @param {boolean} collapse
+ * @returns {Object} New visibility state
+ */
+export const setColumnGroupCollapsed = (columnVisibility, columnIds, summaryId, collapse) => ({
+  ...columnVisibility,
+  ...Object.fromEntries(columnIds.map(id => [id, !collapse || id === summaryId])),
+});
@@ -1,3 +1,5 @@
+import { freezeClock, systemClock, toDayNumber } from './clock';
+
 /**
  * Computes the full name from firstName and lastName
  * This is a pure function that should NOT be persisted
@@ -12,37 +14,127 @@ export const computeFullName = (firstName, lastName) => {
 /**
  * Computes the number of days since registration
  * This is a dynamic value that changes based on current date
+ * Both dates are compared as calendar days, so the result does not depend
+ * on the hour, DST or how `YYYY-MM-DD` strings are parsed.
  * @param {string} registeredDate - ISO date string (YYYY-MM-DD)
+ * @param {Object} [clock] - Clock providing today's date (see clock.js)
  * @returns {number} Days since registration
  */
-export const computeDaysSinceRegistration = (registeredDate) => {
-  if (!registeredDate) return 0;
-  
-  const registered = new Date(registeredDate);
-  const today = new Date();
-  
-  // Reset time to midnight for accurate day calculation
-  registered.setHours(0, 0, 0, 0);
-  today.setHours(0, 0, 0, 0);
-  
-  const diffTime = today - registered;
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-  
-  return diffDays;
+export const computeDaysSinceRegistration = (registeredDate, clock = systemClock) => {
+  const registered = toDayNumber(registeredDate);
+  if (registered === null) return 0;
+
+  return toDayNumber(clock.today()) - registered;
+};
+
+/**
+ * Computed fields
+ * Every computed field (from a table schema or a user formula) is
+ * described the same way:
+ * - id: field name on the enriched record
+ * - key: changes whenever the definition changes
+ * - dependencies: fields it reads (raw or computed)
+ * - isDynamic: whether the value depends on the current date; these are
+ *   recomputed when the clock's calendar day changes
+ * - compute(record, clock): derives the value; the record already holds
+ *   every raw field and the computed fields listed before this one
+ */
+
+/**
+ * Enriches a single raw record with computed fields
+ * @param {Object} row - Raw record
+ * @param {Array} [fields] - Computed fields, dependencies first
+ * @param {Object} [clock] - Clock for dynamic fields
+ * @returns {Object} Record with computed fields added
+ */
+export const enrichRecord = (row, fields = [], clock = systemClock) => {
+  // Computed fields are added here, not stored
+  const record = { ...row };
+  fields.forEach(field => {
+    record[field.id] = field.compute(record, clock);
+  });
+  return record;
+};
+
+/**
+ * Re-enriches a record, recomputing only the fields affected by a change
+ * A field is recomputed when its definition is new or changed, when one
+ * of its dependencies (raw or computed) has a different value than last
+ * time, or when it is dynamic and the day has changed. Everything else is
+ * copied from the previous result.
+ * @param {Object} row - Raw record
+ * @param {{ raw: Object, enriched: Object, fields: Array, today: string }} previous - Last enrichment of this record
+ * @param {Array} fields - Computed fields, dependencies first
+ * @param {Object} clock - Clock for dynamic fields
+ * @returns {Object} Record with computed fields added
+ */
+const reenrichRecord = (row, previous, fields, clock) => {
+  const changed = new Set(
+    Object.keys({ ...previous.raw, ...row }).filter(key => row[key] !== previous.raw[key])
+  );
+  const previousKeys = new Set(previous.fields.map(field => field.key));
+  const isNewDay = previous.today !== clock.today();
+
+  const record = { ...row };
+  fields.forEach(field => {
+    const isStale = !previousKeys.has(field.key)
+      || (field.isDynamic && isNewDay)
+      || field.dependencies.some(dependency => changed.has(dependency));
+
+    if (!isStale) {
+      record[field.id] = previous.enriched[field.id];
+      return;
+    }
+
+    record[field.id] = field.compute(record, clock);
+    if (record[field.id] !== previous.enriched[field.id]) changed.add(field.id);
+  });
+  return record;
 };
 
 /**
  * Enriches raw data with computed fields
  * This demonstrates separating persisted data from computed values
- * @param {Array} rawData - Array of raw user records
+ * @param {Array} rawData - Array of raw records
+ * @param {Map} [cache] - Optional cache of record ID -> last enrichment.
+ *   Records are immutable, so unchanged rows are reused as is, and an edit
+ *   or a new formula only recomputes the fields it affects.
+ *   When the calendar day changes, only the dynamic fields are recomputed.
+ * @param {Array} [fields] - Computed fields, dependencies first
+ * @param {Object} [clock] - Clock for dynamic fields
  * @returns {Array} Array with computed fields added
  */
-export const enrichDataWithComputedFields = (rawData) => {
-  return rawData.map(row => ({
-    ...row,
-    // Computed fields are added here, not stored
-    fullName: computeFullName(row.firstName, row.lastName),
-    dsr: computeDaysSinceRegistration(row.registeredDate)
-  }));
-};
+export const enrichDataWithComputedFields = (
+  rawData,
+  cache,
+  fields = [],
+  clock = systemClock
+) => {
+  // Every record sees the same date, even if this runs across midnight
+  const snapshot = freezeClock(clock);
+  if (!cache) return rawData.map(row => enrichRecord(row, fields, snapshot));
+
+  const today = snapshot.today();
+  const enrichedData = rawData.map(row => {
+    const previous = cache.get(row.id);
+    if (previous && previous.raw === row && previous.fields === fields && previous.today === today) {
+      return previous.enriched;
+    }
+
+    const enriched = previous
+      ? reenrichRecord(row, previous, fields, snapshot)
+      : enrichRecord(row, fields, snapshot);
+    cache.set(row.id, { raw: row, enriched, fields, today });
+    return enriched;
+  });
 
+  // Forget deleted records
+  if (cache.size > rawData.length) {
+    const ids = new Set(rawData.map(row => row.id));
+    cache.forEach((entry, id) => {
+      if (!ids.has(id)) cache.delete(id);
+    });
+  }
+
+  return enrichedData;
+};
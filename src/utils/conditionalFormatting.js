@@ -0,0 +1,255 @@
+/**
+ * Conditional formatting
+ * Rules style cells, or whole rows, by the value of a column. They are part
+ * of the view state (see views.js) and listed in priority order:
+ *
+ *   { id, type: 'condition', columnId: 'dsr', operator: 'gt', value: '365',
+ *     target: 'cell', color: 'red', bold: false, italic: false, enabled: true }
+ *   { id, type: 'condition', columnId: 'city', operator: 'in', value: 'Oslo, Lima',
+ *     target: 'row', color: 'yellow', ... }
+ *   { id, type: 'scale', columnId: 'dsr', from: 'green', to: 'red', enabled: true }
+ *
+ * Condition rules compare the cell with `value` (and `valueTo` for
+ * 'between'), as typed in the editor: numbers numerically, dates by day and
+ * text without regard to case. Colour scale rules shade numeric cells from
+ * `from` at the column's lowest value to `to` at its highest.
+ *
+ * When several rules match, their styles combine and the higher priority
+ * rule wins where they conflict. Formats are worked out from the enriched
+ * rows as they render, so changing rules never recomputes any field.
+ */
+
+/**
+ * Rule colours: a light background with dark text for conditions, and a
+ * stronger shade for colour scales
+ */
+export const FORMAT_COLORS = {
+  red: { label: 'Red', background: '#ffebee', text: '#b71c1c', scale: '#ef9a9a' },
+  orange: { label: 'Orange', background: '#fff3e0', text: '#e65100', scale: '#ffcc80' },
+  yellow: { label: 'Yellow', background: '#fffde7', text: '#f57f17', scale: '#fff59d' },
+  green: { label: 'Green', background: '#e8f5e9', text: '#1b5e20', scale: '#a5d6a7' },
+  blue: { label: 'Blue', background: '#e3f2fd', text: '#0d47a1', scale: '#90caf9' },
+  purple: { label: 'Purple', background: '#f3e5f5', text: '#4a148c', scale: '#ce93d8' },
+  grey: { label: 'Grey', background: '#f5f5f5', text: '#424242', scale: '#bdbdbd' },
+};
+
+const SCALE_TEXT_COLOR = 'rgba(0, 0, 0, 0.87)';
+
+// The domain of an email address, or of the value itself
+const toDomain = text => text.slice(text.lastIndexOf('@') + 1);
+
+/**
+ * Condition operators
+ * `kinds` are the value kinds (see getValueKind) or column types they apply
+ * to; `test` gets the cell value and the rule's values, all normalized.
+ */
+export const RULE_OPERATORS = [
+  { id: 'gt', label: '>', kinds: ['number', 'date'], test: (cell, value) => cell > value },
+  { id: 'gte', label: '≥', kinds: ['number', 'date'], test: (cell, value) => cell >= value },
+  { id: 'lt', label: '<', kinds: ['number', 'date'], test: (cell, value) => cell < value },
+  { id: 'lte', label: '≤', kinds: ['number', 'date'], test: (cell, value) => cell <= value },
+  {
+    id: 'between',
+    label: 'between',
+    kinds: ['number', 'date'],
+    test: (cell, value, valueTo) => cell >= value && cell <= valueTo,
+  },
+  { id: 'eq', label: 'is', kinds: ['number', 'date', 'text'], test: (cell, value) => cell === value },
+  { id: 'ne', label: 'is not', kinds: ['number', 'date', 'text'], test: (cell, value) => cell !== value },
+  { id: 'in', label: 'is one of', kinds: ['text'], test: (cell, values) => values.includes(cell) },
+  { id: 'contains', label: 'contains', kinds: ['text'], test: (cell, value) => cell.includes(value) },
+  { id: 'startsWith', label: 'starts with', kinds: ['text'], test: (cell, value) => cell.startsWith(value) },
+  { id: 'endsWith', label: 'ends with', kinds: ['text'], test: (cell, value) => cell.endsWith(value) },
+  {
+    id: 'domain',
+    label: 'domain is',
+    kinds: ['email'],
+    test: (cell, value) => {
+      const domain = toDomain(cell);
+      return domain === value || domain.endsWith(`.${value}`);
+    },
+  },
+];
+
+/**
+ * How a column's values compare: 'number', 'date' (YYYY-MM-DD) or 'text'
+ * @param {Object} meta - Column meta (see createColumnDef in schema.js)
+ * @returns {string} Value kind
+ */
+export const getValueKind = (meta = {}) => (
+  ['number', 'date'].includes(meta.exportType) ? meta.exportType : 'text'
+);
+
+/**
+ * Condition operators available for a column
+ * @param {Object} meta - Column meta
+ * @returns {Array} Entries of RULE_OPERATORS
+ */
+export const getRuleOperators = (meta = {}) => RULE_OPERATORS.filter(operator => (
+  operator.kinds.includes(getValueKind(meta)) || operator.kinds.includes(meta.type)
+));
+
+/**
+ * Creates a rule with defaults for a column
+ * @param {string} type - 'condition' or 'scale'
+ * @param {string} columnId
+ * @param {Object} meta - Column meta
+ * @returns {Object} Rule
+ */
+export const createFormatRule = (type, columnId, meta) => ({
+  id: crypto.randomUUID(),
+  type,
+  columnId,
+  enabled: true,
+  ...(type === 'scale'
+    ? { from: 'green', to: 'red' }
+    : {
+      operator: getRuleOperators(meta)[0].id,
+      value: '',
+      valueTo: '',
+      target: 'cell',
+      color: 'red',
+      bold: false,
+      italic: false,
+    }),
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isColor = color => Object.hasOwn(FORMAT_COLORS, color);
+
+/**
+ * Keeps the well-formed rules on known columns, for stored view states
+ * @param {Array} rules - Stored rules (may be malformed)
+ * @param {string[]} columnIds - Columns currently defined by the table
+ * @returns {Array} Rules
+ */
+export const sanitizeFormatRules = (rules, columnIds) => (Array.isArray(rules) ? rules : [])
+  .filter(rule => isPlainObject(rule) && typeof rule.id === 'string' && columnIds.includes(rule.columnId))
+  .flatMap((rule) => {
+    const common = { id: rule.id, columnId: rule.columnId, enabled: rule.enabled !== false };
+    if (rule.type === 'scale') {
+      return isColor(rule.from) && isColor(rule.to) ? [{ ...common, type: 'scale', from: rule.from, to: rule.to }] : [];
+    }
+    if (rule.type !== 'condition' || !RULE_OPERATORS.some(operator => operator.id === rule.operator)) return [];
+    return [{
+      ...common,
+      type: 'condition',
+      operator: rule.operator,
+      value: String(rule.value ?? ''),
+      valueTo: String(rule.valueTo ?? ''),
+      target: rule.target === 'row' ? 'row' : 'cell',
+      color: isColor(rule.color) ? rule.color : null,
+      bold: Boolean(rule.bold),
+      italic: Boolean(rule.italic),
+    }];
+  });
+
+// Cell and rule values in comparable form; null when there is nothing to compare
+const normalize = (value, kind) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  if (kind === 'number') {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (kind === 'date') return String(value).slice(0, 10);
+  return String(value).trim().toLowerCase();
+};
+
+// Test of a condition rule, or null while its values are incomplete
+const compileCondition = (rule, kind) => {
+  const operator = RULE_OPERATORS.find(({ id }) => id === rule.operator);
+  if (rule.operator === 'in') {
+    const values = rule.value.split(',').map(value => normalize(value, kind)).filter(value => value !== null);
+    return values.length > 0 && (cell => operator.test(cell, values));
+  }
+  const value = normalize(rule.operator === 'domain' ? rule.value.replace(/^@/, '') : rule.value, kind);
+  const valueTo = normalize(rule.valueTo, kind);
+  if (value === null || (rule.operator === 'between' && valueTo === null)) return null;
+  return cell => operator.test(cell, value, valueTo);
+};
+
+const getConditionStyle = (rule) => {
+  const color = FORMAT_COLORS[rule.color];
+  return {
+    ...(color && { backgroundColor: color.background, color: color.text }),
+    ...(rule.bold && { fontWeight: 700 }),
+    ...(rule.italic && { fontStyle: 'italic' }),
+  };
+};
+
+const parseHex = hex => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+
+const mixColors = (from, to, ratio) => {
+  const [a, b] = [parseHex(from), parseHex(to)];
+  return `rgb(${a.map((channel, index) => Math.round(channel + (b[index] - channel) * ratio)).join(', ')})`;
+};
+
+// Lowest and highest value of a column among the records
+const getExtent = (records, columnId) => records.reduce((extent, record) => {
+  const value = normalize(record[columnId], 'number');
+  if (value === null) return extent;
+  return extent
+    ? { min: Math.min(extent.min, value), max: Math.max(extent.max, value) }
+    : { min: value, max: value };
+}, null);
+
+/**
+ * Compiles rules into a formatter for rendering
+ * Rules that are disabled or not filled in yet are left out, and so are
+ * colour scales on columns that are not numeric.
+ * @param {Array} rules - Rules in priority order
+ * @param {Array} columns - Column definitions, for the value kind of each
+ * @param {Array} records - Rows to scale colours over, e.g. the enriched data
+ * @returns {{ getRowFormat: Function, getCellFormat: Function }} Both take a
+ *   record (and the column ID for cells) and return inline styles, or null
+ */
+export const createFormatter = (rules, columns, records) => {
+  const kinds = new Map(columns.map(column => [column.accessorKey, getValueKind(column.meta)]));
+
+  const compiled = rules.flatMap((rule) => {
+    const kind = kinds.get(rule.columnId);
+    if (!rule.enabled || !kind) return [];
+    if (rule.type === 'scale') {
+      const extent = kind === 'number' && getExtent(records, rule.columnId);
+      if (!extent) return [];
+      const [from, to] = [FORMAT_COLORS[rule.from].scale, FORMAT_COLORS[rule.to].scale];
+      const span = extent.max - extent.min;
+      return [{
+        rule,
+        target: 'cell',
+        getStyle: cell => ({
+          backgroundColor: mixColors(from, to, span === 0 ? 0 : (cell - extent.min) / span),
+          color: SCALE_TEXT_COLOR,
+        }),
+      }];
+    }
+    const test = compileCondition(rule, kind);
+    if (!test) return [];
+    const style = getConditionStyle(rule);
+    return [{ rule, target: rule.target, getStyle: cell => (test(cell) ? style : null) }];
+  });
+
+  // Lower priority rules first, so higher ones override them
+  const getFormat = (entries, record) => {
+    let format = null;
+    for (let index = entries.length - 1; index >= 0; index -= 1) {
+      const { rule, getStyle } = entries[index];
+      const cell = normalize(record[rule.columnId], kinds.get(rule.columnId));
+      const style = cell === null ? null : getStyle(cell);
+      if (style) format = { ...format, ...style };
+    }
+    return format;
+  };
+
+  const rowEntries = compiled.filter(entry => entry.target === 'row');
+  const cellEntries = new Map();
+  compiled
+    .filter(entry => entry.target === 'cell')
+    .forEach(entry => cellEntries.set(entry.rule.columnId, [...(cellEntries.get(entry.rule.columnId) ?? []), entry]));
+
+  return {
+    getRowFormat: record => (rowEntries.length > 0 ? getFormat(rowEntries, record) : null),
+    getCellFormat: (record, columnId) => (cellEntries.has(columnId) ? getFormat(cellEntries.get(columnId), record) : null),
+  };
+};
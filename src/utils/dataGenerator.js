@@ -1,75 +1,175 @@
-import { faker } from '@faker-js/faker';
+import { Faker, ar, base, de, en, es, fr, he, ja, ru, sv, zh_CN } from '@faker-js/faker';
+import { validateISODate } from './validators';
 
 /**
- * Generates a single user record with all required fields
- * @returns {Object} User record
+ * Seeded user generator
+ * Every dataset comes from a generator config: the same config (seed
+ * included) always produces the same records, IDs and all, so a dataset can
+ * be reproduced from its config alone. "Messy" options corrupt a share of
+ * the records the way real data tends to be corrupted, to exercise
+ * validation, sorting and search:
+ * - duplicateEmails: reuses the email of an earlier record
+ * - missingFields: empties one field (never the ID)
+ * - futureDates: registers the user after the end of the date range
+ * - longNames: very long first and last names
+ * - unicodeNames: names in non-Latin and right-to-left scripts
+ * Each is the percentage of records affected.
  */
-export const generateUser = () => {
-  // Generate a random date within the last 3 years
-  const registeredDate = faker.date.between({
-    from: new Date(Date.now() - 3 * 365 * 24 * 60 * 60 * 1000),
-    to: new Date()
-  });
 
+const LOCALE_DEFINITIONS = { en, de, fr, es, sv, ru, ja, zh_CN, ar, he };
+
+/**
+ * Locales records can be generated in
+ */
+export const GENERATOR_LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'de', label: 'German' },
+  { code: 'fr', label: 'French' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'sv', label: 'Swedish' },
+  { code: 'ru', label: 'Russian' },
+  { code: 'ja', label: 'Japanese' },
+  { code: 'zh_CN', label: 'Chinese' },
+  { code: 'ar', label: 'Arabic' },
+  { code: 'he', label: 'Hebrew' },
+];
+
+/**
+ * Messy data options, in display order
+ */
+export const MESSY_DATA_OPTIONS = [
+  { id: 'duplicateEmails', label: 'Duplicate emails' },
+  { id: 'missingFields', label: 'Missing fields' },
+  { id: 'futureDates', label: 'Future dates' },
+  { id: 'longNames', label: 'Very long names' },
+  { id: 'unicodeNames', label: 'Unicode / RTL names' },
+];
+
+export const MAX_GENERATED_ROWS = 100000;
+
+// Scripts used for unicode names, whatever the generator locale
+const UNICODE_LOCALES = ['ar', 'he', 'ja', 'zh_CN', 'ru'];
+// Fields that "missing fields" may empty
+const OPTIONAL_FIELDS = ['firstName', 'lastName', 'email', 'city', 'registeredDate'];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Creates the default generator config
+ * The date range covers the three years up to `today`; it is stored as
+ * dates so the config keeps reproducing the same records later on.
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} Generator config
+ */
+export const createDefaultGeneratorConfig = (today) => {
+  const [year, month, day] = today.split('-').map(Number);
+  // Feb 29 three years back is Feb 28
+  const lastDay = new Date(Date.UTC(year - 3, month, 0)).getUTCDate();
+  const fromDay = String(Math.min(day, lastDay)).padStart(2, '0');
   return {
-    id: faker.string.uuid(),
-    firstName: faker.person.firstName(),
-    lastName: faker.person.lastName(),
-    email: faker.internet.email(),
-    city: faker.location.city(),
-    registeredDate: registeredDate.toISOString().split('T')[0] // Format as YYYY-MM-DD
+    seed: 1,
+    count: 500,
+    locale: 'en',
+    from: `${year - 3}-${String(month).padStart(2, '0')}-${fromDay}`,
+    to: today,
+    messy: Object.fromEntries(MESSY_DATA_OPTIONS.map(({ id }) => [id, 0])),
   };
 };
 
 /**
- * Generates multiple user records
- * @param {number} count - Number of records to generate
- * @returns {Array} Array of user records
+ * Returns the problems of a generator config
+ * @param {Object} config
+ * @returns {Object} Error message by config key (empty when valid)
  */
-export const generateUsers = (count = 500) => {
-  return Array.from({ length: count }, generateUser);
+export const validateGeneratorConfig = (config) => {
+  const errors = {};
+  if (!Number.isSafeInteger(config.seed)) errors.seed = 'Use a whole number';
+  if (!Number.isInteger(config.count) || config.count < 1 || config.count > MAX_GENERATED_ROWS) {
+    errors.count = `Between 1 and ${MAX_GENERATED_ROWS.toLocaleString()}`;
+  }
+  if (!LOCALE_DEFINITIONS[config.locale]) errors.locale = 'Unknown locale';
+  const fromError = validateISODate(config.from);
+  const toError = validateISODate(config.to);
+  if (fromError) errors.from = fromError;
+  if (toError) errors.to = toError;
+  else if (!fromError && config.from > config.to) errors.to = 'Must not be before the start';
+  MESSY_DATA_OPTIONS.forEach(({ id }) => {
+    const rate = config.messy?.[id] ?? 0;
+    if (!(rate >= 0 && rate <= 100)) errors[id] = 'Between 0 and 100%';
+  });
+  return errors;
+};
+
+const createFaker = (locale, seed) => {
+  const faker = new Faker({ locale: [LOCALE_DEFINITIONS[locale], en, base] });
+  faker.seed(seed);
+  return faker;
 };
 
 /**
- * Loads data from localStorage or generates new data if none exists
- * @param {number} count - Number of records to generate if none exist
- * @returns {Array} Array of user records
+ * Creates a generator of the records of a config
+ * Records must be drawn in order: each one depends on the random draws of
+ * those before it.
+ * @param {Object} config - Generator config
+ * @returns {() => Object} Returns the next user record
  */
-export const loadOrGenerateData = (count = 500) => {
-  const STORAGE_KEY = 'tableData';
-  
-  try {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      const data = JSON.parse(stored);
-      if (data && data.length > 0) {
-        console.log(`Loaded ${data.length} records from localStorage`);
-        return data;
-      }
-    }
-  } catch (error) {
-    console.error('Error loading from localStorage:', error);
-  }
+export const createUserGenerator = (config) => {
+  const faker = createFaker(config.locale, config.seed);
+  // One seeded faker per script of unicode names
+  const unicodeFakers = UNICODE_LOCALES.map((locale, index) => createFaker(locale, config.seed + index + 1));
+  const rates = config.messy ?? {};
+  const from = Date.parse(`${config.from}T00:00:00Z`);
+  const to = Date.parse(`${config.to}T23:59:59Z`);
+  const emails = [];
 
-  // Generate new data if none exists
-  console.log(`Generating ${count} new records...`);
-  const data = generateUsers(count);
-  
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-    console.log('Data saved to localStorage');
-  } catch (error) {
-    console.error('Error saving to localStorage:', error);
-  }
+  const chance = id => faker.number.float({ min: 0, max: 100 }) < (rates[id] ?? 0);
+  const toDate = time => new Date(time).toISOString().slice(0, 10);
+  const longName = () => Array.from({ length: 6 }, () => faker.person.lastName()).join('-');
+
+  return () => {
+    const messy = Object.fromEntries(MESSY_DATA_OPTIONS.map(({ id }) => [id, chance(id)]));
+    const unicodeFaker = faker.helpers.arrayElement(unicodeFakers);
+    const missingField = faker.helpers.arrayElement(OPTIONAL_FIELDS);
+
+    const record = {
+      id: faker.string.uuid(),
+      firstName: faker.person.firstName(),
+      lastName: faker.person.lastName(),
+      email: faker.internet.email(),
+      city: faker.location.city(),
+      registeredDate: toDate(faker.date.between({ from, to }).getTime()),
+    };
+
+    if (messy.duplicateEmails && emails.length > 0) {
+      record.email = faker.helpers.arrayElement(emails);
+    }
+    emails.push(record.email);
 
-  return data;
+    if (messy.unicodeNames) {
+      // Some scripts only have gendered last names
+      const sex = unicodeFaker.person.sexType();
+      record.firstName = unicodeFaker.person.firstName(sex);
+      record.lastName = unicodeFaker.person.lastName(sex);
+    }
+    if (messy.longNames) {
+      record.firstName = `${record.firstName} ${longName()}`;
+      record.lastName = longName();
+    }
+    if (messy.futureDates) {
+      record.registeredDate = toDate(to + faker.number.int({ min: 1, max: 365 }) * DAY_MS);
+    }
+    if (messy.missingFields) {
+      record[missingField] = '';
+    }
+    return record;
+  };
 };
 
 /**
- * Clears stored data from localStorage
+ * Generates the records of a config
+ * @param {Object} config - Generator config
+ * @returns {Array} User records
  */
-export const clearStoredData = () => {
-  localStorage.removeItem('tableData');
-  console.log('Stored data cleared');
+export const generateUsers = (config) => {
+  const next = createUserGenerator(config);
+  return Array.from({ length: config.count }, next);
 };
-
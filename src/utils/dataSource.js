@@ -0,0 +1,182 @@
+import { enrichDataWithComputedFields } from './computed';
+import { systemClock } from './clock';
+import { filterFnsByVariant } from './filters';
+import { createRowMatcher } from './search';
+import { getComputedFields } from './schema';
+import { compareValues, getCollator } from './sorting';
+
+/**
+ * Data sources
+ * A data source lets the DataTable page through rows it does not hold in
+ * memory. It is an object with a single method:
+ *
+ *   getRows({ sorting, filters, search, searchColumns, locale, offset, limit, signal })
+ *     => Promise<{ rows: Array, total: number }>
+ *
+ * - sorting: [{ id, desc }], highest priority first
+ * - filters: [{ id, variant, value }], where `variant` is the column's
+ *   filter variant ('text', 'select', 'dateRange', 'numberRange') and
+ *   `value` has the shape that filter uses (see filters.js)
+ * - search: global search query ('' for none)
+ * - searchColumns: fields the search looks in, the table's visible columns
+ *   (every field when omitted)
+ * - locale: locale text is sorted in (undefined for the default)
+ * - offset, limit: the page to return
+ * - signal: AbortSignal, aborted when the result is no longer needed
+ *
+ * `rows` are the records of the page and `total` is the number of rows
+ * matching the filters and search. The table (re)computes computed fields
+ * on the rows it receives, as it does for in-memory data.
+ */
+
+/**
+ * Resolves after `ms`, or rejects with an AbortError once `signal` aborts
+ */
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new DOMException('Request aborted', 'AbortError'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  if (signal?.aborted) abort();
+  else signal?.addEventListener('abort', abort, { once: true });
+});
+
+/**
+ * Ranks the values of a field so sorting compares integers
+ * Numbers sort numerically and anything else (ISO dates included) as text
+ * in the collator's order, empty values last (first for a descending sort,
+ * which reverses the ranks). Values that compare as equal share a rank.
+ * @param {Array} records
+ * @param {Uint32Array} indices - Records to rank
+ * @param {string} id - Field to rank by
+ * @param {Intl.Collator} collator
+ * @param {boolean} desc - The field sorts descending
+ * @returns {Uint32Array} Rank by record index
+ */
+const rankValues = (records, indices, id, collator, desc) => {
+  const compare = (a, b) => compareValues(a, b, collator, desc);
+  // Array sort moves undefined to the end without comparing it, so missing
+  // values rank as null
+  const getValue = index => records[index][id] ?? null;
+  const values = [...new Set(Array.from(indices, getValue))].sort(compare);
+  const rankOf = new Map();
+  values.forEach((value, position) => {
+    const previous = values[position - 1];
+    const rank = position > 0 && compare(previous, value) === 0 ? rankOf.get(previous) : position;
+    rankOf.set(value, rank);
+  });
+
+  const ranks = new Uint32Array(records.length);
+  indices.forEach(index => {
+    ranks[index] = rankOf.get(getValue(index));
+  });
+  return ranks;
+};
+
+/**
+ * Runs a query over records
+ * Shared by the data sources: the result is an index permutation, so the
+ * records themselves are never copied or reordered.
+ * @param {Array} records - Enriched records
+ * @param {{ sorting: Array, filters: Array, search: string, searchColumns?: string[],
+ *   locale?: string }} query - See getRows
+ * @returns {{ order: Uint32Array, timings: { filter: number, sort: number } }}
+ *   Indices of the matching records in display order, and the time spent
+ *   filtering and sorting in ms
+ */
+export const queryRecords = (records, { sorting = [], filters = [], search = '', searchColumns, locale }) => {
+  const startedAt = performance.now();
+  const matcher = createRowMatcher(search);
+  const getSearchValues = searchColumns
+    ? record => searchColumns.map(id => record[id])
+    : record => Object.values(record);
+  const matches = [];
+  records.forEach((record, index) => {
+    // Filter functions read values through a row-like getValue
+    const row = { getValue: id => record[id] };
+    const isMatch = filters.every(({ id, variant, value }) => filterFnsByVariant[variant]?.(row, id, value) ?? true)
+      && matcher.matchesValues(getSearchValues(record));
+    if (isMatch) matches.push(index);
+  });
+  const order = Uint32Array.from(matches);
+  const filteredAt = performance.now();
+
+  if (sorting.length > 0) {
+    const collator = getCollator(locale);
+    const keys = sorting.map(({ id, desc }) => ({
+      ranks: rankValues(records, order, id, collator, desc),
+      direction: desc ? -1 : 1,
+    }));
+    order.sort((a, b) => {
+      for (const { ranks, direction } of keys) {
+        if (ranks[a] !== ranks[b]) return (ranks[a] - ranks[b]) * direction;
+      }
+      return a - b;
+    });
+  }
+
+  return { order, timings: { filter: filteredAt - startedAt, sort: performance.now() - filteredAt } };
+};
+
+/**
+ * Creates a data source backed by records held in memory
+ * Stand-in for a server during development and tests: it filters, searches,
+ * sorts and pages like a backend would, after a simulated network delay.
+ * @param {Object} options
+ * @param {Array} options.records - Raw records
+ * @param {Object} options.schema - Table schema; its computed fields can be sorted and filtered
+ * @param {Object} [options.clock] - Clock for dynamic computed fields
+ * @param {number} [options.latency] - Simulated response time in ms
+ * @param {number} [options.failureRate] - Share of requests that fail (0 to 1)
+ * @returns {{ getRows: Function }} Data source
+ */
+export const createMemoryDataSource = ({
+  records,
+  schema,
+  clock = systemClock,
+  latency = 300,
+  failureRate = 0,
+}) => {
+  const computedFields = getComputedFields(schema);
+  const cache = new Map();
+  // Result of the last query, reused while paging through it
+  let lastQuery = null;
+
+  const query = (params) => {
+    const key = JSON.stringify({ ...params, today: clock.today() });
+    if (lastQuery?.key === key) return lastQuery;
+
+    const enriched = enrichDataWithComputedFields(records, cache, computedFields, clock);
+    const { order } = queryRecords(enriched, params);
+    lastQuery = { key, enriched, order };
+    return lastQuery;
+  };
+
+  return {
+    getRows: async ({
+      sorting = [],
+      filters = [],
+      search = '',
+      searchColumns,
+      locale,
+      offset = 0,
+      limit = 100,
+      signal,
+    }) => {
+      await delay(latency, signal);
+      if (Math.random() < failureRate) {
+        throw new Error('The server did not respond (simulated failure)');
+      }
+
+      const { enriched, order } = query({ sorting, filters, search, searchColumns, locale });
+      return {
+        rows: Array.from(order.subarray(offset, offset + limit), index => enriched[index]),
+        total: order.length,
+      };
+    },
+  };
+};
@@ -0,0 +1,101 @@
+/**
+ * Edit log
+ * Field changes made to records, by record ID, oldest first:
+ *
+ *   { [id]: [{ time: '2026-10-18T09:30:00.000Z', changes: { city: { from: 'Oslo', to: 'Bergen' } } }] }
+ *
+ * The log is stored with the records (see recordStorage.js) and shown in
+ * a row's detail panel. Other tabs write to the same log, so changes are
+ * saved as the entries they add and remove (diffEditLog) and applied on top
+ * of the stored log (applyEditLogDiff) rather than replacing it.
+ */
+
+// Entries kept per record; older ones are dropped
+const EDITS_PER_RECORD = 50;
+
+/**
+ * Adds the edit of some records to the log
+ * Fields whose value does not change are left out, and so are records
+ * with no change at all.
+ * @param {Object} log - Edit log
+ * @param {Array} records - Raw records before the edit
+ * @param {string[]} ids - IDs of the edited records
+ * @param {Object} changes - New field values
+ * @param {string} [time] - ISO timestamp of the edit
+ * @returns {Object} New edit log
+ */
+export const addEdits = (log, records, ids, changes, time = new Date().toISOString()) => {
+  const idSet = new Set(ids);
+  const next = { ...log };
+
+  records.forEach(record => {
+    if (!idSet.has(record.id)) return;
+    const fieldChanges = Object.fromEntries(
+      Object.entries(changes)
+        .filter(([field, value]) => record[field] !== value)
+        .map(([field, value]) => [field, { from: record[field] ?? null, to: value }])
+    );
+    if (Object.keys(fieldChanges).length === 0) return;
+    next[record.id] = [...(log[record.id] ?? []), { time, changes: fieldChanges }].slice(-EDITS_PER_RECORD);
+  });
+  return next;
+};
+
+/**
+ * Drops the entries of records that no longer exist
+ * @param {Object} log - Edit log
+ * @param {string[]} ids - IDs of the removed records
+ * @returns {Object} New edit log
+ */
+export const removeEdits = (log, ids) => {
+  const next = { ...log };
+  ids.forEach(id => delete next[id]);
+  return next;
+};
+
+// Entries are plain data after storage, so they are matched by content
+const getEntryKey = entry => `${entry.time} ${JSON.stringify(entry.changes)}`;
+
+/**
+ * Works out the entries added and removed between two versions of the log
+ * @param {Object} from - Edit log before
+ * @param {Object} to - Edit log after
+ * @returns {Object} `{ added, removed }` entries by record ID, for the
+ *   records whose entries differ
+ */
+export const diffEditLog = (from, to) => {
+  const diff = {};
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(id => {
+    const before = from[id] ?? [];
+    const after = to[id] ?? [];
+    if (before === after) return;
+    const beforeKeys = new Set(before.map(getEntryKey));
+    const afterKeys = new Set(after.map(getEntryKey));
+    const added = after.filter(entry => !beforeKeys.has(getEntryKey(entry)));
+    const removed = before.filter(entry => !afterKeys.has(getEntryKey(entry)));
+    if (added.length > 0 || removed.length > 0) diff[id] = { added, removed };
+  });
+  return diff;
+};
+
+/**
+ * Applies a diff of diffEditLog to a log, which may hold entries written
+ * since by another tab; those are kept
+ * @param {Object} log - Edit log
+ * @param {Object} diff - See diffEditLog
+ * @returns {Object} New edit log
+ */
+export const applyEditLogDiff = (log, diff) => {
+  const next = { ...log };
+  Object.entries(diff).forEach(([id, { added, removed }]) => {
+    const removedKeys = new Set(removed.map(getEntryKey));
+    const kept = (log[id] ?? []).filter(entry => !removedKeys.has(getEntryKey(entry)));
+    const keptKeys = new Set(kept.map(getEntryKey));
+    const entries = [...kept, ...added.filter(entry => !keptKeys.has(getEntryKey(entry)))]
+      .sort((a, b) => a.time.localeCompare(b.time))
+      .slice(-EDITS_PER_RECORD);
+    if (entries.length > 0) next[id] = entries;
+    else delete next[id];
+  });
+  return next;
+};
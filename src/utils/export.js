@@ -0,0 +1,178 @@
+import { buildXlsx } from './xlsx';
+
+/**
+ * Client-side export of the current table view
+ * Exports follow exactly what the table shows: rows in the current row
+ * model order (filtered and sorted) and visible columns in display order,
+ * including computed values. Alternatively only the raw persisted fields
+ * can be exported.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+};
+
+/**
+ * Returns the columns to export, in display order (left pinned, center, right pinned)
+ * @param {Object} table - TanStack table instance
+ * @param {boolean} rawOnly - Only include persisted (non-computed) fields
+ * @returns {Array<{ id: string, header: string, type: string, width: number }>}
+ */
+export const getExportColumns = (table, rawOnly = false) => {
+  const columns = rawOnly
+    ? table.getAllLeafColumns()
+    : [
+      ...table.getLeftVisibleLeafColumns(),
+      ...table.getCenterVisibleLeafColumns(),
+      ...table.getRightVisibleLeafColumns(),
+    ];
+
+  return columns
+    .filter(column => !(rawOnly && column.columnDef.meta?.isComputed))
+    .map(column => ({
+      id: column.id,
+      header: rawOnly ? column.id : column.columnDef.header,
+      type: column.columnDef.meta?.exportType || 'string',
+      width: column.getSize(),
+    }));
+};
+
+/**
+ * Returns the data rows in display order, without group rows
+ * Rows inside collapsed groups are included; with a data source, only the
+ * loaded rows are.
+ * @param {Object} table - TanStack table instance
+ * @returns {Array} Rows
+ */
+export const getOrderedLeafRows = (table) => {
+  return table.getSortedRowModel().flatRows.filter(row => !row.getIsGrouped());
+};
+
+/**
+ * Collects the values to export, in the current row model order
+ * @param {Object} table - TanStack table instance
+ * @param {Array} columns - Columns from getExportColumns
+ * @param {Array} [rows] - Rows to export (defaults to all data rows in display order)
+ * @returns {Array<Array<*>>} Row values, in column order
+ */
+export const getExportRows = (table, columns, rows = getOrderedLeafRows(table)) => {
+  return rows.map(row => columns.map(column => row.getValue(column.id)));
+};
+
+/**
+ * Escapes a single CSV field (RFC 4180)
+ * Fields containing separators, quotes or line breaks are quoted, and
+ * quotes are doubled
+ */
+export const escapeCsvField = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Builds CSV text with a header row
+ */
+export const buildCsv = (columns, rows) => {
+  const lines = [
+    columns.map(column => escapeCsvField(column.header)),
+    ...rows.map(values => values.map(escapeCsvField)),
+  ];
+  // CRLF line endings as per RFC 4180
+  return lines.map(line => line.join(',')).join('\r\n');
+};
+
+/**
+ * Builds tab-separated text, the format spreadsheets expect on paste
+ * Tabs and line breaks inside values are replaced by spaces
+ */
+export const buildTsv = (columns, rows) => {
+  const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+  return [
+    columns.map(column => clean(column.header)),
+    ...rows.map(values => values.map(clean)),
+  ].map(line => line.join('\t')).join('\n');
+};
+
+/**
+ * Builds pretty-printed JSON: an array of objects keyed by column ID
+ */
+export const buildJson = (columns, rows) => {
+  const records = rows.map(values => Object.fromEntries(
+    columns.map((column, index) => [column.id, values[index] ?? null])
+  ));
+  return JSON.stringify(records, null, 2);
+};
+
+/**
+ * Triggers a browser download for generated content
+ * @param {BlobPart} content - File contents
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Copies rows to the clipboard as tab-separated text
+ * @param {Object} table - TanStack table instance
+ * @param {Array} rows - Rows to copy
+ * @returns {Promise<void>}
+ */
+export const copyRowsToClipboard = (table, rows) => {
+  const columns = getExportColumns(table);
+  return navigator.clipboard.writeText(buildTsv(columns, getExportRows(table, columns, rows)));
+};
+
+/**
+ * Base file name for exports of a table: the ID of its schema
+ * @param {Object} table - TanStack table instance
+ * @returns {string}
+ */
+export const getExportName = (table) => table.options.meta?.schemaId ?? 'table';
+
+/**
+ * Exports the current table view
+ * @param {Object} table - TanStack table instance
+ * @param {Object} options
+ * @param {'csv'|'xlsx'|'json'} options.format
+ * @param {boolean} [options.rawOnly] - Only persisted fields
+ * @param {Array} [options.rows] - Rows to export (defaults to all data rows in display order)
+ * @param {string} [options.filename] - Base name without extension (defaults to the schema ID)
+ */
+export const exportTable = (table, { format, rawOnly = false, rows, filename = getExportName(table) }) => {
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  const columns = getExportColumns(table, rawOnly);
+  const values = getExportRows(table, columns, rows);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  let content;
+  if (format === 'xlsx') {
+    content = buildXlsx({ sheetName: getExportName(table), columns, rows: values });
+  } else if (format === 'json') {
+    content = buildJson(columns, values);
+  } else {
+    // Prepend a BOM so Excel detects UTF-8
+    content = `\uFEFF${buildCsv(columns, values)}`;
+  }
+
+  downloadFile(content, `${filename}-${stamp}.${extension}`, mimeType);
+};
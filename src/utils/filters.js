@@ -0,0 +1,106 @@
+/**
+ * Column filter functions and helpers
+ * Each filter function follows the TanStack Table filterFn signature:
+ * (row, columnId, filterValue) => boolean
+ */
+
+/**
+ * Text operators supported by the text filter
+ */
+export const TEXT_OPERATORS = {
+  contains: 'contains',
+  startsWith: 'starts with',
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Matches a string cell against { operator, value }
+ * Comparison is case-insensitive
+ */
+export const textFilter = (row, columnId, filterValue) => {
+  const cellValue = String(row.getValue(columnId) ?? '').toLowerCase();
+  const query = String(filterValue?.value ?? '').toLowerCase();
+
+  if (filterValue?.operator === 'startsWith') {
+    return cellValue.startsWith(query);
+  }
+  return cellValue.includes(query);
+};
+textFilter.autoRemove = (filterValue) => isBlank(filterValue?.value);
+
+/**
+ * Matches a cell whose value is one of the selected values
+ */
+export const multiSelectFilter = (row, columnId, filterValue) => {
+  return filterValue.includes(row.getValue(columnId));
+};
+multiSelectFilter.autoRemove = (filterValue) => !Array.isArray(filterValue) || filterValue.length === 0;
+
+/**
+ * Matches a YYYY-MM-DD cell against an inclusive [from, to] range
+ * Either bound may be left empty. ISO dates compare correctly as strings
+ */
+export const dateRangeFilter = (row, columnId, filterValue) => {
+  const value = row.getValue(columnId);
+  const [from, to] = filterValue;
+
+  if (!value) return false;
+  if (!isBlank(from) && value < from) return false;
+  if (!isBlank(to) && value > to) return false;
+  return true;
+};
+dateRangeFilter.autoRemove = (filterValue) =>
+  !Array.isArray(filterValue) || (isBlank(filterValue[0]) && isBlank(filterValue[1]));
+
+/**
+ * Matches a numeric cell against an inclusive [min, max] range
+ * Either bound may be left empty
+ */
+export const numberRangeFilter = (row, columnId, filterValue) => {
+  const value = Number(row.getValue(columnId));
+  const [min, max] = filterValue;
+
+  if (!isBlank(min) && value < Number(min)) return false;
+  if (!isBlank(max) && value > Number(max)) return false;
+  return true;
+};
+numberRangeFilter.autoRemove = (filterValue) =>
+  !Array.isArray(filterValue) || (isBlank(filterValue[0]) && isBlank(filterValue[1]));
+
+/**
+ * Filter functions keyed by the `meta.filterVariant` of a column
+ */
+export const filterFnsByVariant = {
+  text: textFilter,
+  select: multiSelectFilter,
+  dateRange: dateRangeFilter,
+  numberRange: numberRangeFilter,
+};
+
+/**
+ * Builds a short human readable label for an active filter
+ * Used by the filter chips rendered above the table
+ * @param {string} variant - Column filter variant
+ * @param {*} filterValue - Current filter value
+ * @returns {string} Label describing the filter
+ */
+export const describeFilter = (variant, filterValue) => {
+  switch (variant) {
+    case 'text':
+      return `${TEXT_OPERATORS[filterValue.operator] || TEXT_OPERATORS.contains} "${filterValue.value}"`;
+    case 'select':
+      return filterValue.length > 2
+        ? `${filterValue.slice(0, 2).join(', ')} +${filterValue.length - 2}`
+        : filterValue.join(', ');
+    case 'dateRange':
+    case 'numberRange': {
+      const [from, to] = filterValue;
+      if (isBlank(from)) return `≤ ${to}`;
+      if (isBlank(to)) return `≥ ${from}`;
+      return `${from} – ${to}`;
+    }
+    default:
+      return String(filterValue);
+  }
+};
@@ -0,0 +1,425 @@
+import { systemClock, toDayNumber } from './clock';
+
+/**
+ * Formula language for user-defined computed columns
+ * Expressions are tokenized and parsed into an AST, then compiled into
+ * plain closures. Nothing is ever passed to `eval` or `Function`; only the
+ * operators and functions defined here can run.
+ *
+ *   upper(lastName) + ", " + firstName
+ *   emailDomain(email)
+ *   daysBetween(registeredDate, today())
+ *
+ * Operators: + (adds numbers, joins text), - * / %, comparisons
+ * (== != < <= > >=), && || ! and parentheses. Literals: numbers, "text"
+ * or 'text', true, false, null.
+ */
+
+/**
+ * Error for a formula that cannot be compiled
+ * `position` is the 0-based offset in the expression, when known.
+ */
+export class FormulaError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const toNumber = (value) => {
+  if (isEmpty(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Built-in functions
+ * `args` is the allowed argument count as [min, max] (max Infinity for
+ * variadic functions). `type` is the result type used to pick a filter.
+ * Functions marked `dynamic` depend on the current date and receive the
+ * clock (see clock.js) before their arguments.
+ */
+export const FORMULA_FUNCTIONS = {
+  upper: { args: [1, 1], type: 'text', fn: (text) => toText(text).toUpperCase() },
+  lower: { args: [1, 1], type: 'text', fn: (text) => toText(text).toLowerCase() },
+  trim: { args: [1, 1], type: 'text', fn: (text) => toText(text).trim() },
+  len: { args: [1, 1], type: 'number', fn: (text) => toText(text).length },
+  left: { args: [2, 2], type: 'text', fn: (text, count) => toText(text).slice(0, Math.max(0, toNumber(count) ?? 0)) },
+  right: {
+    args: [2, 2],
+    type: 'text',
+    fn: (text, count) => {
+      const length = Math.max(0, toNumber(count) ?? 0);
+      return length === 0 ? '' : toText(text).slice(-length);
+    },
+  },
+  concat: { args: [1, Infinity], type: 'text', fn: (...values) => values.map(toText).join('') },
+  contains: {
+    args: [2, 2],
+    type: 'boolean',
+    fn: (text, search) => toText(text).toLowerCase().includes(toText(search).toLowerCase()),
+  },
+  replace: {
+    args: [3, 3],
+    type: 'text',
+    fn: (text, search, replacement) => toText(text).split(toText(search)).join(toText(replacement)),
+  },
+  emailDomain: {
+    args: [1, 1],
+    type: 'text',
+    fn: (email) => {
+      const text = toText(email);
+      const at = text.lastIndexOf('@');
+      return at === -1 ? '' : text.slice(at + 1).toLowerCase();
+    },
+  },
+  today: { args: [0, 0], type: 'date', dynamic: true, fn: (clock) => clock.today() },
+  daysBetween: {
+    args: [2, 2],
+    type: 'number',
+    fn: (from, to) => {
+      const start = toDayNumber(from);
+      const end = toDayNumber(to);
+      return start === null || end === null ? null : end - start;
+    },
+  },
+  year: { args: [1, 1], type: 'number', fn: (date) => toNumber(ISO_DATE_PATTERN.exec(toText(date))?.[1]) },
+  month: { args: [1, 1], type: 'number', fn: (date) => toNumber(ISO_DATE_PATTERN.exec(toText(date))?.[2]) },
+  round: {
+    args: [1, 2],
+    type: 'number',
+    fn: (value, digits = 0) => {
+      const number = toNumber(value);
+      if (number === null) return null;
+      const factor = 10 ** (toNumber(digits) ?? 0);
+      return Math.round(number * factor) / factor;
+    },
+  },
+  abs: { args: [1, 1], type: 'number', fn: (value) => (toNumber(value) === null ? null : Math.abs(toNumber(value))) },
+  min: {
+    args: [1, Infinity],
+    type: 'number',
+    fn: (...values) => {
+      const numbers = values.map(toNumber).filter(number => number !== null);
+      return numbers.length ? Math.min(...numbers) : null;
+    },
+  },
+  max: {
+    args: [1, Infinity],
+    type: 'number',
+    fn: (...values) => {
+      const numbers = values.map(toNumber).filter(number => number !== null);
+      return numbers.length ? Math.max(...numbers) : null;
+    },
+  },
+  if: { args: [3, 3], type: 'any', fn: (condition, then, otherwise) => (condition ? then : otherwise) },
+  coalesce: { args: [1, Infinity], type: 'any', fn: (...values) => values.find(value => !isEmpty(value)) ?? null },
+};
+
+// Longest operators first so "<=" is not read as "<"
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '<', '>', '!', '(', ')', ','];
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source
+ * @returns {Array<{ type: string, value: *, position: number }>}
+ */
+export const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) throw new FormulaError(`Unexpected "${char}"`, i);
+      tokens.push({ type: 'number', value: Number(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) i++;
+        value += source[i];
+        i++;
+      }
+      if (i >= source.length) throw new FormulaError('Unterminated text literal', start);
+      tokens.push({ type: 'string', value, position: start });
+      i++;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))[0];
+      tokens.push({ type: 'identifier', value: name, position: i });
+      i += name.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) throw new FormulaError(`Unexpected "${char}"`, i);
+    tokens.push({ type: 'operator', value: operator, position: i });
+    i += operator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+};
+
+// Binary operators by precedence, loosest first
+const BINARY_LEVELS = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+
+/**
+ * Parses an expression into an AST
+ * Nodes: literal, field, call, unary, binary
+ * @param {string} source
+ * @returns {Object} Root node
+ */
+export const parseFormula = (source) => {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const isOperator = (token, ...values) => token.type === 'operator' && values.includes(token.value);
+
+  const expect = (value) => {
+    const token = next();
+    if (!isOperator(token, value)) {
+      throw new FormulaError(
+        token.type === 'end' ? `Expected "${value}" at the end` : `Expected "${value}"`,
+        token.position
+      );
+    }
+    return token;
+  };
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+
+    let left = parseLevel(level + 1);
+    while (isOperator(peek(), ...BINARY_LEVELS[level])) {
+      const operator = next();
+      const right = parseLevel(level + 1);
+      left = { type: 'binary', operator: operator.value, left, right, position: operator.position };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator(peek(), '-', '!')) {
+      const operator = next();
+      return { type: 'unary', operator: operator.value, argument: parseUnary(), position: operator.position };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+
+    if (token.type === 'identifier') {
+      if (isOperator(peek(), '(')) {
+        next();
+        const args = [];
+        if (!isOperator(peek(), ')')) {
+          args.push(parseLevel(0));
+          while (isOperator(peek(), ',')) {
+            next();
+            args.push(parseLevel(0));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args, position: token.position };
+      }
+      if (Object.hasOwn(KEYWORDS, token.value)) {
+        return { type: 'literal', value: KEYWORDS[token.value], position: token.position };
+      }
+      return { type: 'field', name: token.value, position: token.position };
+    }
+
+    if (isOperator(token, '(')) {
+      const inner = parseLevel(0);
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'end') throw new FormulaError('Unexpected end of formula', token.position);
+    throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+  };
+
+  if (peek().type === 'end') throw new FormulaError('Formula is empty', 0);
+  const ast = parseLevel(0);
+  if (peek().type !== 'end') throw new FormulaError(`Unexpected "${peek().value}"`, peek().position);
+  return ast;
+};
+
+const compare = (left, right) => {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a !== null && b !== null && typeof left !== 'string' && typeof right !== 'string') return a - b;
+  return toText(left).localeCompare(toText(right));
+};
+
+const areEqual = (left, right) => {
+  if (isEmpty(left) || isEmpty(right)) return isEmpty(left) && isEmpty(right);
+  if (typeof left === 'number' || typeof right === 'number') return toNumber(left) === toNumber(right);
+  return left === right;
+};
+
+const arithmetic = (operate) => (left, right) => {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+  const result = operate(a, b);
+  return Number.isFinite(result) ? result : null;
+};
+
+const BINARY_OPERATORS = {
+  '+': (left, right) => (
+    typeof left === 'string' || typeof right === 'string'
+      ? toText(left) + toText(right)
+      : arithmetic((a, b) => a + b)(left, right)
+  ),
+  '-': arithmetic((a, b) => a - b),
+  '*': arithmetic((a, b) => a * b),
+  '/': arithmetic((a, b) => a / b),
+  '%': arithmetic((a, b) => a % b),
+  '==': (left, right) => areEqual(left, right),
+  '!=': (left, right) => !areEqual(left, right),
+  '<': (left, right) => compare(left, right) < 0,
+  '<=': (left, right) => compare(left, right) <= 0,
+  '>': (left, right) => compare(left, right) > 0,
+  '>=': (left, right) => compare(left, right) >= 0,
+};
+
+const valueType = (value) => {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'string') return 'text';
+  return 'any';
+};
+
+/**
+ * Compiles a formula into an evaluator
+ * @param {string} source - Formula expression
+ * @param {Object} fieldTypes - Map of field name -> type ('text', 'number', 'date', ...)
+ *   for every field the formula may reference
+ * @returns {{ evaluate: Function, dependencies: string[], usesCurrentTime: boolean, type: string }}
+ *   `evaluate(record, clock)` returns the value for a record. `dependencies` are the
+ *   referenced fields; `type` is the inferred result type.
+ * @throws {FormulaError} When the formula has a syntax error or references
+ *   unknown fields or functions
+ */
+export const compileFormula = (source, fieldTypes) => {
+  const ast = parseFormula(source);
+  const dependencies = new Set();
+  let usesCurrentTime = false;
+
+  // Returns [evaluator, type] for a node
+  const compileNode = (node) => {
+    switch (node.type) {
+      case 'literal':
+        return [() => node.value, valueType(node.value)];
+
+      case 'field': {
+        if (!Object.hasOwn(fieldTypes, node.name)) {
+          const suggestion = Object.keys(fieldTypes)
+            .find(name => name.toLowerCase() === node.name.toLowerCase());
+          throw new FormulaError(
+            `Unknown field "${node.name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+            node.position
+          );
+        }
+        dependencies.add(node.name);
+        return [(record) => record[node.name] ?? null, fieldTypes[node.name]];
+      }
+
+      case 'call': {
+        const definition = Object.hasOwn(FORMULA_FUNCTIONS, node.name) && FORMULA_FUNCTIONS[node.name];
+        if (!definition) throw new FormulaError(`Unknown function "${node.name}"`, node.position);
+
+        const [min, max] = definition.args;
+        if (node.args.length < min || node.args.length > max) {
+          const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+          throw new FormulaError(
+            `${node.name}() expects ${expected} argument${expected === '1' ? '' : 's'}, got ${node.args.length}`,
+            node.position
+          );
+        }
+
+        if (definition.dynamic) usesCurrentTime = true;
+        const args = node.args.map(compileNode);
+        const evaluators = args.map(([evaluate]) => evaluate);
+        let type = definition.type;
+        if (node.name === 'if' && args[1][1] === args[2][1]) type = args[1][1];
+
+        return [(record, clock) => {
+          const values = evaluators.map(evaluate => evaluate(record, clock));
+          return definition.dynamic ? definition.fn(clock, ...values) : definition.fn(...values);
+        }, type];
+      }
+
+      case 'unary': {
+        const [argument, argumentType] = compileNode(node.argument);
+        if (node.operator === '!') return [(record, clock) => !argument(record, clock), 'boolean'];
+        return [(record, clock) => {
+          const value = toNumber(argument(record, clock));
+          return value === null ? null : -value;
+        }, argumentType === 'any' ? 'any' : 'number'];
+      }
+
+      case 'binary': {
+        const [left, leftType] = compileNode(node.left);
+        const [right, rightType] = compileNode(node.right);
+
+        if (node.operator === '&&') return [(record, clock) => Boolean(left(record, clock) && right(record, clock)), 'boolean'];
+        if (node.operator === '||') return [(record, clock) => Boolean(left(record, clock) || right(record, clock)), 'boolean'];
+
+        const operate = BINARY_OPERATORS[node.operator];
+        let type = 'number';
+        if (['==', '!=', '<', '<=', '>', '>='].includes(node.operator)) {
+          type = 'boolean';
+        } else if (node.operator === '+') {
+          const isText = (t) => t === 'text' || t === 'date';
+          if (isText(leftType) || isText(rightType)) type = 'text';
+          else if (leftType === 'any' || rightType === 'any') type = 'any';
+        }
+        return [(record, clock) => operate(left(record, clock), right(record, clock)), type];
+      }
+
+      default:
+        throw new FormulaError('Unsupported expression', node.position);
+    }
+  };
+
+  const [evaluate, type] = compileNode(ast);
+
+  return {
+    evaluate: (record, clock = systemClock) => evaluate(record, clock),
+    dependencies: [...dependencies],
+    usesCurrentTime,
+    type,
+  };
+};
@@ -0,0 +1,228 @@
+import { FormulaError, compileFormula } from './formula';
+import { watchStorageKey } from './tabSync';
+
+/**
+ * User-defined formula columns
+ * A definition is `{ id, name, expression }`: `id` is the field name used in
+ * the enriched record and in other formulas, `name` is the column header.
+ * Definitions are persisted on their own; the values are always computed.
+ * Formulas can reference every field of the table schema (see schema.js).
+ */
+
+const FORMULA_STORAGE_KEY = 'tableFormulaColumns';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Loads formula column definitions
+ * @returns {Array<{ id: string, name: string, expression: string }>}
+ */
+export const loadFormulaColumns = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FORMULA_STORAGE_KEY));
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(definition => (
+      definition
+      && IDENTIFIER_PATTERN.test(definition.id)
+      && typeof definition.name === 'string'
+      && typeof definition.expression === 'string'
+    ));
+  } catch (error) {
+    console.error('Error loading formula columns:', error);
+    return [];
+  }
+};
+
+/**
+ * Persists formula column definitions
+ * @param {Array} definitions
+ */
+export const saveFormulaColumns = (definitions) => {
+  try {
+    localStorage.setItem(FORMULA_STORAGE_KEY, JSON.stringify(definitions));
+  } catch (error) {
+    console.error('Error saving formula columns:', error);
+  }
+};
+
+/**
+ * Calls back with the definitions whenever another tab changes them
+ * @param {(definitions: Array) => void} onChange
+ * @returns {Function} Stops watching
+ */
+export const watchFormulaColumns = (onChange) => (
+  watchStorageKey(FORMULA_STORAGE_KEY, () => onChange(loadFormulaColumns()))
+);
+
+/**
+ * Suggests a field name for a column header ("Email Domain" -> "emailDomain")
+ * @param {string} name - Column header
+ * @returns {string} Identifier
+ */
+export const toFieldId = (name) => {
+  const words = String(name).replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  const id = words
+    .map((word, index) => (
+      index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()
+    ))
+    .join('');
+  return /^[0-9]/.test(id) ? `_${id}` : id;
+};
+
+/**
+ * Validates the field name of a new formula column
+ * @param {string} id - Proposed field name
+ * @param {Array} definitions - Existing formula definitions
+ * @param {Object} fieldTypes - Schema field types (see normalizeSchema)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateFormulaId = (id, definitions, fieldTypes) => {
+  if (!id) return 'Field name is required';
+  if (!IDENTIFIER_PATTERN.test(id)) return 'Use letters, digits and _ only, not starting with a digit';
+  if (Object.hasOwn(fieldTypes, id) || definitions.some(definition => definition.id === id)) {
+    return `"${id}" is already a column`;
+  }
+  return null;
+};
+
+/**
+ * Finds a dependency cycle among formula definitions
+ * @param {Object} dependencyMap - Map of formula ID -> IDs of formulas it references
+ * @returns {string[]|null} The cycle (first ID repeated at the end), or null
+ */
+const findCycle = (dependencyMap) => {
+  const visiting = [];
+  const done = new Set();
+
+  const visit = (id) => {
+    if (done.has(id)) return null;
+    const start = visiting.indexOf(id);
+    if (start !== -1) return [...visiting.slice(start), id];
+
+    visiting.push(id);
+    for (const dependency of dependencyMap[id]) {
+      const cycle = visit(dependency);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    done.add(id);
+    return null;
+  };
+
+  for (const id of Object.keys(dependencyMap)) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+/**
+ * Compiles formula definitions into computed fields
+ * Formulas may reference schema fields (raw or computed) and other
+ * formulas. They are ordered so every formula runs after the formulas it
+ * depends on. A formula that fails to compile (or depends on one that
+ * does) yields null values and reports its error.
+ * @param {Array} definitions - Formula column definitions
+ * @param {{ fieldTypes: Object, computedFields: Array }} schema - Normalized table schema
+ * @returns {{ fields: Array, results: Object }} `fields` are all computed fields
+ *   (schema fields first) for enrichDataWithComputedFields; `results` maps
+ *   each formula ID to `{ type, isDynamic, dependencies, error }`
+ */
+export const compileFormulaColumns = (definitions, { fieldTypes: schemaFieldTypes, computedFields }) => {
+  const results = {};
+  const formulaIds = definitions.map(definition => definition.id);
+  const anyTypes = Object.fromEntries(formulaIds.map(id => [id, 'any']));
+
+  // First pass: syntax, unknown names and dependencies
+  const dependencyMap = {};
+  definitions.forEach(definition => {
+    try {
+      const { dependencies } = compileFormula(definition.expression, { ...schemaFieldTypes, ...anyTypes });
+      if (dependencies.includes(definition.id)) {
+        throw new FormulaError(`"${definition.id}" cannot reference itself`);
+      }
+      dependencyMap[definition.id] = dependencies.filter(id => formulaIds.includes(id));
+    } catch (error) {
+      results[definition.id] = { error };
+      dependencyMap[definition.id] = [];
+    }
+  });
+
+  // Break cycles by marking their members as failed
+  let cycle = findCycle(dependencyMap);
+  while (cycle) {
+    const message = `Circular reference: ${cycle.join(' → ')}`;
+    cycle.slice(0, -1).forEach(id => {
+      results[id] = { error: new FormulaError(message) };
+      dependencyMap[id] = [];
+    });
+    cycle = findCycle(dependencyMap);
+  }
+
+  // Second pass, dependencies first: compile with resolved types
+  const fieldTypes = { ...schemaFieldTypes };
+  const dynamicFields = new Set(
+    computedFields.filter(field => field.isDynamic).map(field => field.id)
+  );
+  const fields = [...computedFields];
+  const byId = Object.fromEntries(definitions.map(definition => [definition.id, definition]));
+
+  const resolve = (id) => {
+    if (fields.some(field => field.id === id)) return;
+    dependencyMap[id].forEach(resolve);
+
+    const definition = byId[id];
+    const failedDependency = dependencyMap[id].find(dependency => results[dependency]?.error);
+    if (!results[id] && failedDependency) {
+      results[id] = { error: new FormulaError(`Depends on "${failedDependency}", which has an error`) };
+    }
+
+    if (results[id]?.error) {
+      fieldTypes[id] = 'any';
+      // The key differs from the valid one so values are recomputed once fixed
+      fields.push({ id, key: `${id}!${definition.expression}`, dependencies: [], isDynamic: false, compute: () => null });
+      return;
+    }
+
+    const compiled = compileFormula(definition.expression, { ...anyTypes, ...fieldTypes });
+    const isDynamic = compiled.usesCurrentTime
+      || compiled.dependencies.some(dependency => dynamicFields.has(dependency));
+
+    fieldTypes[id] = compiled.type;
+    if (isDynamic) dynamicFields.add(id);
+    results[id] = { type: compiled.type, isDynamic, dependencies: compiled.dependencies, error: null };
+    fields.push({
+      id,
+      key: `${id}=${definition.expression}`,
+      dependencies: compiled.dependencies,
+      isDynamic,
+      compute: compiled.evaluate,
+    });
+  };
+
+  formulaIds.forEach(resolve);
+
+  return { fields, results };
+};
+
+/**
+ * Returns the formulas that reference a column
+ * @param {string} id - Column ID
+ * @param {Object} results - Results from compileFormulaColumns
+ * @returns {string[]} IDs of the dependent formulas
+ */
+export const findDependentFormulas = (id, results) => Object.entries(results)
+  .filter(([, result]) => result.dependencies?.includes(id))
+  .map(([formulaId]) => formulaId);
+
+/**
+ * Formats a formula value for display
+ * @param {*} value
+ * @returns {string}
+ */
+export const formatFormulaValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
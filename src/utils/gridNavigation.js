@@ -0,0 +1,79 @@
+/**
+ * Keyboard navigation of the table body (ARIA grid pattern)
+ * One cell at a time is active: it is the grid's only tab stop and moves
+ * with the arrow keys like a spreadsheet. Positions count body rows in
+ * display order and columns from the selection gutter (0) to the last
+ * visible column, so they stay valid while rows are virtualized.
+ */
+
+/**
+ * Keyboard shortcuts of the grid, for help texts
+ */
+export const GRID_SHORTCUTS = [
+  { keys: 'Arrow keys', action: 'Move between cells' },
+  { keys: 'Home / End', action: 'First / last cell of the row' },
+  { keys: 'Ctrl+Home / Ctrl+End', action: 'First / last cell of the table' },
+  { keys: 'Page Up / Page Down', action: 'Move by a screenful of rows' },
+  { keys: 'Enter or F2', action: 'Edit the cell, expand a group or toggle the checkbox' },
+  { keys: 'Space', action: 'Select the row (Shift+Space selects a range)' },
+  { keys: 'Ctrl+Enter', action: 'Show / hide the row\'s details' },
+  { keys: 'Ctrl+Shift+↑ / ↓', action: 'Sort the column ascending / descending' },
+  { keys: 'Ctrl+Shift+← / →', action: 'Move the column left / right' },
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Computes where a navigation key moves the active cell
+ * @param {{ rowIndex: number, columnIndex: number }} position - Active cell
+ * @param {KeyboardEvent} event - Key pressed
+ * @param {{ rowCount: number, columnCount: number, pageSize: number }} grid
+ *   Size of the grid and number of rows on screen
+ * @returns {{ rowIndex: number, columnIndex: number }|null} Next position,
+ *   or null when the key does not navigate
+ */
+export const getNextCellPosition = ({ rowIndex, columnIndex }, event, { rowCount, columnCount, pageSize }) => {
+  const isCtrl = event.ctrlKey || event.metaKey;
+  const lastRow = Math.max(rowCount - 1, 0);
+  const lastColumn = Math.max(columnCount - 1, 0);
+
+  const next = (() => {
+    switch (event.key) {
+      case 'ArrowUp': return { rowIndex: rowIndex - 1, columnIndex };
+      case 'ArrowDown': return { rowIndex: rowIndex + 1, columnIndex };
+      case 'ArrowLeft': return { rowIndex, columnIndex: columnIndex - 1 };
+      case 'ArrowRight': return { rowIndex, columnIndex: columnIndex + 1 };
+      case 'PageUp': return { rowIndex: rowIndex - pageSize, columnIndex };
+      case 'PageDown': return { rowIndex: rowIndex + pageSize, columnIndex };
+      case 'Home': return isCtrl ? { rowIndex: 0, columnIndex: 0 } : { rowIndex, columnIndex: 0 };
+      case 'End': return isCtrl ? { rowIndex: lastRow, columnIndex: lastColumn } : { rowIndex, columnIndex: lastColumn };
+      default: return null;
+    }
+  })();
+
+  return next && {
+    rowIndex: clamp(next.rowIndex, 0, lastRow),
+    columnIndex: clamp(next.columnIndex, 0, lastColumn),
+  };
+};
+
+/**
+ * Finds the rendered cell covering a grid position
+ * Cells carry their 1-based `aria-colindex` and may span several columns
+ * (group labels, error rows), so the cell whose span contains the column
+ * is returned.
+ * @param {HTMLElement} gridElement - Element with role="grid"
+ * @param {{ rowIndex: number, columnIndex: number }} position
+ * @param {number} headerRowCount - Header rows before the body
+ * @returns {HTMLElement|null} Cell, or null when its row is not rendered
+ */
+export const findGridCell = (gridElement, { rowIndex, columnIndex }, headerRowCount) => {
+  const row = gridElement?.querySelector(`[role="row"][aria-rowindex="${rowIndex + headerRowCount + 1}"]`);
+  if (!row) return null;
+
+  const cells = [...row.querySelectorAll('[role="gridcell"]')];
+  return cells.find(cell => {
+    const start = Number(cell.getAttribute('aria-colindex')) - 1;
+    return columnIndex >= start && columnIndex < start + (cell.colSpan || 1);
+  }) ?? cells[cells.length - 1] ?? null;
+};
@@ -0,0 +1,144 @@
+import { arrayMove } from '@dnd-kit/sortable';
+
+/**
+ * Row grouping helpers
+ * Columns can offer several ways to group their values through
+ * `meta.groupingModes` (e.g. a date rolled up to its month or year). The
+ * first mode is the default. Columns without modes group by their value.
+ */
+
+// Droppable ID of the group-by bar and prefix of its chips, kept apart from
+// column IDs so header drags and chip drags can share one DndContext
+export const GROUP_BAR_ID = 'group-by-bar';
+const GROUP_CHIP_PREFIX = 'group:';
+
+export const toGroupChipId = (columnId) => `${GROUP_CHIP_PREFIX}${columnId}`;
+
+export const isGroupChipId = (id) => String(id).startsWith(GROUP_CHIP_PREFIX);
+
+const fromGroupChipId = (id) => String(id).slice(GROUP_CHIP_PREFIX.length);
+
+/**
+ * Day ranges used to bucket Days Since Registration
+ */
+export const DSR_BUCKETS = [
+  { max: 30, label: '0–30 days' },
+  { max: 90, label: '31–90 days' },
+  { max: 180, label: '91–180 days' },
+  { max: 365, label: '181–365 days' },
+  { max: 730, label: '1–2 years' },
+  { max: Infinity, label: '2+ years' },
+];
+
+export const bucketDays = (days) => DSR_BUCKETS.find(bucket => days <= bucket.max).label;
+
+/**
+ * Returns the key of the active grouping mode of a column
+ * @param {Object} columnDef - Column definition
+ * @param {Object} groupingModes - Map of column ID -> selected mode key
+ * @returns {string|undefined} Mode key, or undefined for columns without modes
+ */
+export const getGroupingModeKey = (columnDef, groupingModes) => {
+  const modes = columnDef.meta?.groupingModes;
+  if (!modes) return undefined;
+  const selected = groupingModes[columnDef.accessorKey];
+  return modes[selected] ? selected : Object.keys(modes)[0];
+};
+
+/**
+ * Applies the selected grouping modes to the column definitions
+ * @param {Array} columns - Column definitions
+ * @param {Object} groupingModes - Map of column ID -> selected mode key
+ * @returns {Array} Column definitions with `getGroupingValue` set where needed
+ */
+export const applyGroupingModes = (columns, groupingModes) => columns.map(column => {
+  const modeKey = getGroupingModeKey(column, groupingModes);
+  if (!modeKey) return column;
+
+  const { getValue } = column.meta.groupingModes[modeKey];
+  return { ...column, getGroupingValue: row => getValue(row[column.accessorKey]) };
+});
+
+/**
+ * Aggregation functions for group rows, registered on the table by name
+ */
+export const aggregationFns = {
+  // Min, average and max of a numeric column
+  numberStats: (columnId, leafRows) => {
+    const values = leafRows.map(row => row.getValue(columnId)).filter(Number.isFinite);
+    if (values.length === 0) return null;
+    return {
+      min: Math.min(...values),
+      avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+      max: Math.max(...values),
+    };
+  },
+  // Earliest and latest of an ISO date column (ISO strings sort chronologically)
+  dateExtent: (columnId, leafRows) => {
+    const values = leafRows.map(row => row.getValue(columnId)).filter(Boolean).sort();
+    if (values.length === 0) return null;
+    return { earliest: values[0], latest: values[values.length - 1] };
+  },
+};
+
+/**
+ * Whether group rows show an aggregate in this column
+ * Grouped columns are excluded: their group row value is the group key.
+ * @param {Object} column - TanStack column
+ * @returns {boolean}
+ */
+export const hasGroupAggregate = (column) => !column.getIsGrouped() && Boolean(column.getAggregationFn());
+
+/**
+ * Splits a group row's visible cells for rendering
+ * The group label spans the leading cells that have no aggregate, within
+ * the pinning zone of the first cell, so it has room without hiding any
+ * aggregate.
+ * @param {Object} row - TanStack group row
+ * @returns {{ labelCells: Array, cells: Array }} Cells under the label and the rest
+ */
+export const splitGroupRowCells = (row) => {
+  const cells = row.getVisibleCells();
+  const zone = cells[0]?.column.getIsPinned();
+
+  let span = 1;
+  while (
+    span < cells.length
+    && !hasGroupAggregate(cells[span].column)
+    && cells[span].column.getIsPinned() === zone
+  ) {
+    span++;
+  }
+
+  return { labelCells: cells.slice(0, span), cells: cells.slice(span) };
+};
+
+/**
+ * Computes the next grouping after a drag-and-drop
+ * - a column header dropped on the bar is added as the last level
+ * - a column header dropped on a chip is inserted before that level
+ * - a chip dropped on another chip reorders the levels
+ * @param {string[]} grouping - Current grouping (column IDs, outermost first)
+ * @param {string} activeId - Dragged header or chip
+ * @param {string} overId - Drop target
+ * @returns {string[]|null} Next grouping, or null when the drop is not a grouping change
+ */
+export const moveGrouping = (grouping, activeId, overId) => {
+  const overIsChip = isGroupChipId(overId);
+  if (overId !== GROUP_BAR_ID && !overIsChip) return null;
+
+  if (isGroupChipId(activeId)) {
+    if (!overIsChip) return grouping;
+    return arrayMove(
+      grouping,
+      grouping.indexOf(fromGroupChipId(activeId)),
+      grouping.indexOf(fromGroupChipId(overId))
+    );
+  }
+
+  const rest = grouping.filter(id => id !== activeId);
+  if (!overIsChip) return [...rest, activeId];
+
+  const index = rest.indexOf(fromGroupChipId(overId));
+  return [...rest.slice(0, index), activeId, ...rest.slice(index)];
+};
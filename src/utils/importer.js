@@ -0,0 +1,244 @@
+/**
+ * Import of records from CSV or JSON
+ * The flow is: parse the file, map source columns to the schema's raw
+ * fields, validate and parse every row with those fields (as inline edits
+ * do), then merge into the existing dataset using one of the import modes.
+ * Nothing is persisted here; callers persist the merged data once the user
+ * has reviewed the report.
+ */
+
+export const IMPORT_MODES = {
+  replace: 'Replace all data',
+  append: 'Append as new rows',
+  upsert: 'Upsert by ID',
+};
+
+// Header spellings recognized when guessing the column mapping, besides
+// the field's ID and header
+const FIELD_ALIASES = {
+  id: ['id', 'uuid', 'userid', 'guid'],
+  firstName: ['firstname', 'first', 'givenname', 'forename'],
+  lastName: ['lastname', 'last', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'mail'],
+  city: ['city', 'town', 'location'],
+  registeredDate: ['registereddate', 'registered', 'registrationdate', 'signupdate', 'createdat', 'date'],
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text
+ * @returns {{ headers: string[], records: Object[] }} Parsed rows keyed by header
+ */
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) throw new Error('The file is empty');
+
+  const [headerCells, ...dataRows] = nonEmpty;
+  const headers = headerCells.map((header, index) => header.trim() || `Column ${index + 1}`);
+  const records = dataRows.map(cells => Object.fromEntries(
+    headers.map((header, index) => [header, cells[index] ?? ''])
+  ));
+
+  return { headers, records };
+};
+
+/**
+ * Parses JSON text: an array of objects, or an object with a `data` array
+ * @param {string} text
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export const parseJson = (text) => {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed?.data;
+  if (!Array.isArray(list)) throw new Error('Expected an array of records');
+
+  const records = list.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+  if (records.length === 0) throw new Error('No records found');
+
+  const headers = Array.from(new Set(records.flatMap(record => Object.keys(record))));
+  return { headers, records };
+};
+
+/**
+ * Parses an import file based on its extension (falls back to sniffing)
+ * @param {string} filename
+ * @param {string} text - File contents
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export const parseImportFile = (filename, text) => {
+  const lower = filename.toLowerCase();
+  if (lower.endsWith('.json')) return parseJson(text);
+  if (lower.endsWith('.csv')) return parseCsv(text);
+  return /^\s*[[{]/.test(text) ? parseJson(text) : parseCsv(text);
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Fields an import file can provide: the raw fields of a schema
+ * Computed fields are derived after import and never read from the file.
+ * @param {Object} schema - Normalized schema (see normalizeSchema)
+ * @returns {Array} Resolved fields in schema order
+ */
+export const getImportFields = (schema) => schema.fields.filter(field => !field.isComputed);
+
+/**
+ * Guesses which source column maps to each field
+ * @param {string[]} headers - Source column names
+ * @param {Array} fields - Import fields (see getImportFields)
+ * @returns {Object} Map of field ID -> source header (or '' when unmapped)
+ */
+export const guessMapping = (headers, fields) => {
+  const used = new Set();
+  return Object.fromEntries(fields.map(field => {
+    const spellings = [field.id, field.header, ...(FIELD_ALIASES[field.id] ?? [])].map(normalizeHeader);
+    const match = headers.find(header => !used.has(header) && spellings.includes(normalizeHeader(header)));
+    if (match) used.add(match);
+    return [field.id, match || ''];
+  }));
+};
+
+/**
+ * Normalizes a date-like value to YYYY-MM-DD where possible
+ * ISO timestamps keep their date part; other values are left for the
+ * validator to reject
+ */
+const normalizeDate = (value) => {
+  const text = String(value ?? '').trim();
+  const isoPrefix = /^(\d{4}-\d{2}-\d{2})(?:[T ].*)?$/.exec(text);
+  return isoPrefix ? isoPrefix[1] : text;
+};
+
+/**
+ * Maps, validates and parses source records
+ * Every field is checked with its schema validation and stored through its
+ * `parse`, like an inline edit. Rows missing a row ID get a generated UUID.
+ * @param {Object[]} records - Parsed source records
+ * @param {Object} mapping - Map of field ID -> source header
+ * @param {Object} options
+ * @param {Array} options.fields - Import fields (see getImportFields)
+ * @param {string} [options.rowId] - Field with the unique row ID
+ * @param {Object} [options.clock] - Clock deciding which dates are in the future
+ * @returns {{ valid: Array, rejected: Array }} Valid records and rejected rows with reasons.
+ *   Row numbers are 1-based data rows (the header is not counted).
+ */
+export const validateImportRecords = (records, mapping, { fields, rowId = 'id', clock }) => {
+  const valid = [];
+  const rejected = [];
+  const seenIds = new Set();
+
+  records.forEach((source, index) => {
+    const rowNumber = index + 1;
+    const record = {};
+    const reasons = [];
+
+    fields.forEach(field => {
+      const value = mapping[field.id] ? source[mapping[field.id]] : undefined;
+      const text = field.editor === 'date' ? normalizeDate(value) : String(value ?? '').trim();
+      // A missing row ID is generated below
+      const error = field.id === rowId && !text ? null : field.validate(text, { clock });
+      if (error) reasons.push(error);
+      record[field.id] = error || text === '' ? text : field.parse(text);
+    });
+
+    const generatedId = !record[rowId];
+    if (generatedId) {
+      record[rowId] = crypto.randomUUID();
+    } else if (seenIds.has(record[rowId])) {
+      reasons.push(`Duplicate ID ${record[rowId]} in file`);
+    }
+
+    if (reasons.length > 0) {
+      rejected.push({ rowNumber, source, reasons });
+      return;
+    }
+
+    seenIds.add(record[rowId]);
+    valid.push({ rowNumber, record, generatedId });
+  });
+
+  return { valid, rejected };
+};
+
+/**
+ * Merges validated records into the existing dataset
+ * - replace: the dataset becomes the imported records
+ * - append: records are added; IDs that already exist are rejected
+ * - upsert: records with an existing ID update that row, others are added
+ * @param {Array} existing - Current raw records
+ * @param {Array} valid - Valid entries from validateImportRecords
+ * @param {'replace'|'append'|'upsert'} mode
+ * @returns {{ data: Array, accepted: Array, updated: Array, rejected: Array }}
+ *   The merged dataset plus the report entries
+ */
+export const mergeImport = (existing, valid, mode) => {
+  if (mode === 'replace') {
+    return { data: valid.map(entry => entry.record), accepted: valid, updated: [], rejected: [] };
+  }
+
+  const existingIndex = new Map(existing.map((record, index) => [record.id, index]));
+  const data = [...existing];
+  const accepted = [];
+  const updated = [];
+  const rejected = [];
+
+  valid.forEach(entry => {
+    const index = existingIndex.get(entry.record.id);
+
+    if (index === undefined) {
+      data.push(entry.record);
+      accepted.push(entry);
+    } else if (mode === 'upsert') {
+      data[index] = { ...data[index], ...entry.record };
+      updated.push(entry);
+    } else {
+      rejected.push({
+        rowNumber: entry.rowNumber,
+        source: entry.record,
+        reasons: [`ID ${entry.record.id} already exists (use upsert to update it)`],
+      });
+    }
+  });
+
+  return { data, accepted, updated, rejected };
+};
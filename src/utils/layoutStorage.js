@@ -0,0 +1,33 @@
+/**
+ * Persistence for table layout preferences
+ * Stored under their own localStorage keys, separate from the records
+ */
+
+const COLUMN_SIZING_KEY = 'tableColumnSizing';
+
+/**
+ * Loads persisted column widths
+ * @returns {Object} Map of column ID -> width in pixels
+ */
+export const loadColumnSizing = () => {
+  try {
+    const stored = localStorage.getItem(COLUMN_SIZING_KEY);
+    const sizing = stored ? JSON.parse(stored) : {};
+    return sizing && typeof sizing === 'object' ? sizing : {};
+  } catch (error) {
+    console.error('Error loading column widths:', error);
+    return {};
+  }
+};
+
+/**
+ * Persists column widths
+ * @param {Object} columnSizing - Map of column ID -> width in pixels
+ */
+export const saveColumnSizing = (columnSizing) => {
+  try {
+    localStorage.setItem(COLUMN_SIZING_KEY, JSON.stringify(columnSizing));
+  } catch (error) {
+    console.error('Error saving column widths:', error);
+  }
+};
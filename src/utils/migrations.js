@@ -0,0 +1,58 @@
+/**
+ * Versioned record migrations
+ * Stored records carry the version of their schema. A schema declares its
+ * current `version` and, for every version, the migration that upgrades a
+ * record from the version before:
+ *
+ *   {
+ *     version: 2,
+ *     migrations: {
+ *       1: record => record,
+ *       2: record => ({ ...record, country: record.country ?? '' }),
+ *     },
+ *   }
+ *
+ * Records saved before versioning count as version 0. Migrations receive
+ * the record without its version and return the upgraded record; they run
+ * in order, so each one only needs to know the version before it.
+ */
+
+export const RECORD_VERSION_FIELD = '_schemaVersion';
+
+/**
+ * Returns the schema version a stored record was saved with
+ * @param {Object} stored - Stored record
+ * @returns {number}
+ */
+export const getRecordVersion = (stored) => stored[RECORD_VERSION_FIELD] ?? 0;
+
+/**
+ * Marks a record with the schema's current version, for storage
+ * @param {Object} record - Raw record
+ * @param {{ version?: number }} schema
+ * @returns {Object} Stored record
+ */
+export const toStoredRecord = (record, schema) => ({ ...record, [RECORD_VERSION_FIELD]: schema.version ?? 0 });
+
+/**
+ * Upgrades a stored record to the schema's current version
+ * @param {Object} stored - Stored record
+ * @param {{ version?: number, migrations?: Object }} schema
+ * @returns {Object} Raw record, without its version
+ * @throws {Error} When the record is newer than the schema or a migration is missing
+ */
+export const migrateRecord = (stored, { version = 0, migrations = {} }) => {
+  const from = getRecordVersion(stored);
+  if (from > version) {
+    throw new Error(`Record ${stored.id} has schema version ${from}, newer than this app (${version})`);
+  }
+
+  const { [RECORD_VERSION_FIELD]: _storedVersion, ...record } = stored;
+  let migrated = record;
+  for (let next = from + 1; next <= version; next++) {
+    const migrate = migrations[next];
+    if (!migrate) throw new Error(`No migration to schema version ${next}`);
+    migrated = migrate(migrated);
+  }
+  return migrated;
+};
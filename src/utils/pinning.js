@@ -0,0 +1,116 @@
+/**
+ * Column pinning helpers
+ * Pinned columns are rendered with `position: sticky` in both the header
+ * and the body, offset by the widths of the pinned columns before them.
+ */
+
+/**
+ * Width of the row gutter (selection checkbox and detail toggle) that is
+ * always rendered, sticky, before the first column. Left pinned columns
+ * start after it.
+ */
+export const ROW_GUTTER_WIDTH = 80;
+
+/**
+ * Returns the pinning zone of a column
+ * @param {Object} columnPinning - TanStack column pinning state
+ * @param {string} columnId
+ * @returns {'left'|'right'|'center'} Zone
+ */
+export const getPinZone = (columnPinning, columnId) => {
+  if (columnPinning.left?.includes(columnId)) return 'left';
+  if (columnPinning.right?.includes(columnId)) return 'right';
+  return 'center';
+};
+
+/**
+ * Returns the columns in the order they are displayed: left, center, right
+ * @param {string[]} columnOrder - Full column order
+ * @param {Object} columnPinning - TanStack column pinning state
+ * @returns {string[]} Column IDs in visual order
+ */
+export const getVisualColumnOrder = (columnOrder, columnPinning) => {
+  const left = columnPinning.left || [];
+  const right = columnPinning.right || [];
+  const center = columnOrder.filter(id => !left.includes(id) && !right.includes(id));
+  return [...left, ...center, ...right];
+};
+
+/**
+ * Moves a column within or across pinning zones
+ * The dragged column takes the zone of the column it was dropped on,
+ * so dropping onto a pinned column pins it and dropping onto an
+ * unpinned column unpins it. It lands after that column when moving
+ * right and before it when moving left. Adjacent columns (a column group)
+ * move the same way, given as arrays in display order.
+ * @param {string[]} columnOrder - Full column order
+ * @param {Object} columnPinning - TanStack column pinning state
+ * @param {string|string[]} activeId - Dragged column(s)
+ * @param {string|string[]} overId - Column(s) it was dropped on
+ * @returns {{ columnOrder: string[], columnPinning: Object }} Next state
+ */
+export const moveColumn = (columnOrder, columnPinning, activeId, overId) => {
+  const activeIds = [].concat(activeId);
+  const overIds = [].concat(overId);
+  const visualOrder = getVisualColumnOrder(columnOrder, columnPinning);
+  const targetZone = getPinZone(columnPinning, overIds[0]);
+
+  const rest = visualOrder.filter(id => !activeIds.includes(id));
+  const insertAt = visualOrder.indexOf(activeIds[0]) < visualOrder.indexOf(overIds[0])
+    ? rest.indexOf(overIds[overIds.length - 1]) + 1
+    : rest.indexOf(overIds[0]);
+  const nextOrder = [...rest.slice(0, insertAt), ...activeIds, ...rest.slice(insertAt)];
+
+  const zoneOf = (id) => (activeIds.includes(id) ? targetZone : getPinZone(columnPinning, id));
+
+  return {
+    columnOrder: nextOrder,
+    columnPinning: {
+      left: nextOrder.filter(id => zoneOf(id) === 'left'),
+      right: nextOrder.filter(id => zoneOf(id) === 'right'),
+    },
+  };
+};
+
+/**
+ * Pins columns to a zone, or unpins them with 'center'
+ * They go to the inner end of a pinned zone, in the given order.
+ * @param {Object} columnPinning - TanStack column pinning state
+ * @param {string[]} columnIds
+ * @param {'left'|'right'|'center'} zone
+ * @returns {Object} Next pinning state
+ */
+export const pinColumns = (columnPinning, columnIds, zone) => {
+  const left = (columnPinning.left || []).filter(id => !columnIds.includes(id));
+  const right = (columnPinning.right || []).filter(id => !columnIds.includes(id));
+  return {
+    left: zone === 'left' ? [...left, ...columnIds] : left,
+    right: zone === 'right' ? [...columnIds, ...right] : right,
+  };
+};
+
+/**
+ * Sticky positioning styles for a pinned column
+ * Shared by header cells and body cells so both stay aligned. A group
+ * header spans from its first column to `lastColumn`.
+ * @param {Object} column - TanStack column
+ * @param {Object} [lastColumn] - Last column under the same header
+ * @returns {Object} Style object (empty for unpinned columns)
+ */
+export const getPinnedStyles = (column, lastColumn = column) => {
+  const pinned = column.getIsPinned();
+  if (!pinned) return {};
+
+  const isEdge = pinned === 'left'
+    ? lastColumn.getIsLastColumn('left')
+    : column.getIsFirstColumn('right');
+
+  return {
+    position: 'sticky',
+    left: pinned === 'left' ? ROW_GUTTER_WIDTH + column.getStart('left') : undefined,
+    right: pinned === 'right' ? lastColumn.getAfter('right') : undefined,
+    boxShadow: isEdge
+      ? `${pinned === 'left' ? 4 : -4}px 0 6px -4px rgba(0, 0, 0, 0.2)`
+      : undefined,
+  };
+};
@@ -0,0 +1,337 @@
+import { getRecordVersion, migrateRecord, toStoredRecord } from './migrations';
+
+/**
+ * Record storage
+ * Records are kept by a storage backend. Backends store plain objects keyed
+ * by their `id` and all share one asynchronous interface:
+ *
+ *   getAll()            => Promise<Array>   every stored record, in the order
+ *                                           they were first put
+ *   put(records)        => Promise          inserts or replaces records by ID
+ *   patch(patches)      => Promise          sets fields ({ id, changes }) of
+ *                                           stored records, keeping the others
+ *   delete(ids)         => Promise          removes records by ID
+ *   replace(records)    => Promise          replaces everything with `records`
+ *   getMeta(key)        => Promise<*>       a value kept with the records (such
+ *                                           as their generator config), or undefined
+ *   putMeta(key, value) => Promise          stores such a value
+ *   updateMeta(key, update) => Promise<*>   replaces a value with
+ *                                           `update(value)` in one step, so
+ *                                           no other tab writes in between
+ *
+ * A record store (createRecordStore) sits on top of a backend: it stamps
+ * records with their schema version on the way in and migrates them on
+ * the way out.
+ *
+ * Several tabs may write to the same backend. Edits are written as patches,
+ * so edits of different fields made in two tabs at once both survive.
+ */
+
+const LEGACY_STORAGE_KEY = 'tableData';
+const DATABASE_NAME = 'react-advanced-table';
+const DATABASE_VERSION = 2;
+const RECORDS_STORE = 'records';
+const META_STORE = 'meta';
+// IndexedDB returns records sorted by their key, so the dataset order is
+// kept as a list of IDs in the meta store
+const ORDER_KEY = 'recordOrder';
+
+/**
+ * Backend holding records in memory, for tests and throwaway data
+ * @param {Array} [records] - Initial records
+ * @returns {Object} Storage backend
+ */
+export const createMemoryBackend = (records = []) => {
+  let byId = new Map(records.map(record => [record.id, record]));
+  const meta = new Map();
+
+  return {
+    name: 'memory',
+    getAll: async () => [...byId.values()],
+    put: async (changed) => {
+      changed.forEach(record => byId.set(record.id, record));
+    },
+    patch: async (patches) => {
+      patches.forEach(({ id, changes }) => {
+        if (byId.has(id)) byId.set(id, { ...byId.get(id), ...changes });
+      });
+    },
+    delete: async (ids) => {
+      ids.forEach(id => byId.delete(id));
+    },
+    replace: async (next) => {
+      byId = new Map(next.map(record => [record.id, record]));
+    },
+    getMeta: async (metaKey) => meta.get(metaKey),
+    putMeta: async (metaKey, value) => {
+      meta.set(metaKey, value);
+    },
+    updateMeta: async (metaKey, update) => {
+      meta.set(metaKey, update(meta.get(metaKey)));
+      return meta.get(metaKey);
+    },
+  };
+};
+
+/**
+ * Backend storing all records as one JSON array under a localStorage key
+ * Every write serializes the whole array, and the browser's quota (about
+ * 5 MB) fits a few thousand records; prefer IndexedDB for more. Metadata
+ * goes under `<key>:<metaKey>`.
+ * @param {string} [key] - localStorage key
+ * @returns {Object} Storage backend
+ */
+export const createLocalStorageBackend = (key = LEGACY_STORAGE_KEY) => {
+  const read = () => {
+    const records = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(records) ? records : [];
+  };
+  const write = (records) => {
+    if (records.length === 0) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(records));
+  };
+  const readMeta = metaKey => JSON.parse(localStorage.getItem(`${key}:${metaKey}`)) ?? undefined;
+  const writeMeta = (metaKey, value) => localStorage.setItem(`${key}:${metaKey}`, JSON.stringify(value));
+
+  return {
+    name: 'localStorage',
+    getAll: async () => read(),
+    put: async (changed) => {
+      const byId = new Map(changed.map(record => [record.id, record]));
+      const records = read().map(record => {
+        const next = byId.get(record.id);
+        byId.delete(record.id);
+        return next ?? record;
+      });
+      write([...records, ...byId.values()]);
+    },
+    patch: async (patches) => {
+      const byId = new Map(patches.map(({ id, changes }) => [id, changes]));
+      write(read().map(record => (byId.has(record.id) ? { ...record, ...byId.get(record.id) } : record)));
+    },
+    delete: async (ids) => {
+      const idSet = new Set(ids);
+      write(read().filter(record => !idSet.has(record.id)));
+    },
+    replace: async (records) => write(records),
+    getMeta: async (metaKey) => readMeta(metaKey),
+    putMeta: async (metaKey, value) => writeMeta(metaKey, value),
+    // Reading and writing in one task keeps other tabs out
+    updateMeta: async (metaKey, update) => {
+      const value = update(readMeta(metaKey));
+      writeMeta(metaKey, value);
+      return value;
+    },
+  };
+};
+
+/**
+ * Whether the browser supports IndexedDB
+ * @returns {boolean}
+ */
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Runs `work` in a transaction on one or more object stores
+ * `work` gets the stores in the order they are named. Resolves with the
+ * value `work` returns once the transaction commits.
+ */
+const runTransaction = async (openDatabase, storeNames, mode, work) => {
+  const database = await openDatabase();
+  const names = [storeNames].flat();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(names, mode);
+    let result;
+    Promise.resolve(work(...names.map(name => transaction.objectStore(name)))).then(value => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted'));
+  });
+};
+
+/**
+ * Changes the stored record order in a transaction on the meta store
+ * @param {IDBObjectStore} metaStore
+ * @param {(order: string[]) => string[]} update
+ */
+const updateOrder = (metaStore, update) => {
+  const request = metaStore.get(ORDER_KEY);
+  request.onsuccess = () => metaStore.put(update(request.result ?? []), ORDER_KEY);
+};
+
+/**
+ * Backend storing one IndexedDB entry per record, keyed by `id`
+ * Writes only touch the changed records and run off the main thread; a
+ * patch reads and writes its records in one transaction.
+ * Records come back in the order they were first put, like the other
+ * backends. Records saved before the order was kept come last, by ID.
+ * @param {Object} [options]
+ * @param {string} [options.databaseName] - One database per dataset
+ * @returns {Object} Storage backend
+ */
+export const createIndexedDBBackend = ({ databaseName = DATABASE_NAME } = {}) => {
+  let database = null;
+
+  const openDatabase = () => {
+    if (!database) {
+      const request = indexedDB.open(databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = (event) => {
+        // Version 1: one store of records keyed by ID
+        if (event.oldVersion < 1) request.result.createObjectStore(RECORDS_STORE, { keyPath: 'id' });
+        // Version 2: metadata of the dataset, keyed by name
+        if (event.oldVersion < 2) request.result.createObjectStore(META_STORE);
+      };
+      database = requestToPromise(request);
+      // Let a later call try again
+      database.catch(() => {
+        database = null;
+      });
+    }
+    return database;
+  };
+
+  return {
+    name: 'indexedDB',
+    getAll: () => runTransaction(openDatabase, [RECORDS_STORE, META_STORE], 'readonly', async (store, metaStore) => {
+      const [records, order] = await Promise.all([
+        requestToPromise(store.getAll()),
+        requestToPromise(metaStore.get(ORDER_KEY)),
+      ]);
+      const positions = new Map((order ?? []).map((id, index) => [id, index]));
+      const getPosition = record => positions.get(record.id) ?? positions.size;
+      return records.sort((a, b) => getPosition(a) - getPosition(b));
+    }),
+    put: (records) => runTransaction(openDatabase, [RECORDS_STORE, META_STORE], 'readwrite', (store, metaStore) => {
+      records.forEach(record => store.put(record));
+      // New records go last; replaced ones keep their place
+      updateOrder(metaStore, (order) => {
+        const ids = new Set(order);
+        records.forEach(record => ids.add(record.id));
+        return [...ids];
+      });
+    }),
+    patch: (patches) => runTransaction(openDatabase, RECORDS_STORE, 'readwrite', store => {
+      patches.forEach(({ id, changes }) => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+          if (request.result) store.put({ ...request.result, ...changes });
+        };
+      });
+    }),
+    delete: (ids) => runTransaction(openDatabase, [RECORDS_STORE, META_STORE], 'readwrite', (store, metaStore) => {
+      ids.forEach(id => store.delete(id));
+      const idSet = new Set(ids);
+      updateOrder(metaStore, order => order.filter(id => !idSet.has(id)));
+    }),
+    replace: (records) => runTransaction(openDatabase, [RECORDS_STORE, META_STORE], 'readwrite', (store, metaStore) => {
+      store.clear();
+      records.forEach(record => store.put(record));
+      metaStore.put(records.map(record => record.id), ORDER_KEY);
+    }),
+    getMeta: (metaKey) => runTransaction(openDatabase, META_STORE, 'readonly', store => (
+      requestToPromise(store.get(metaKey))
+    )),
+    putMeta: (metaKey, value) => runTransaction(openDatabase, META_STORE, 'readwrite', store => {
+      store.put(value, metaKey);
+    }),
+    updateMeta: (metaKey, update) => runTransaction(openDatabase, META_STORE, 'readwrite', store => (
+      new Promise((resolve, reject) => {
+        const request = store.get(metaKey);
+        request.onsuccess = () => {
+          const value = update(request.result);
+          store.put(value, metaKey);
+          resolve(value);
+        };
+        request.onerror = () => reject(request.error);
+      })
+    )),
+  };
+};
+
+/**
+ * Creates a store for the records of a schema
+ * Loading migrates records saved with an older schema version (see
+ * migrations.js) and writes the upgraded records back once. When the
+ * backend is empty and a `legacyBackend` has records, they are moved over:
+ * this is how data from the old `tableData` localStorage key reaches
+ * IndexedDB, after which the old key is cleared.
+ * @param {Object} options
+ * @param {Object} options.backend - Storage backend
+ * @param {Object} options.schema - Table schema, with `version` and `migrations`
+ * @param {Object} [options.legacyBackend] - Backend to move existing records from
+ * @returns {{ load: Function, put: Function, patch: Function, delete: Function,
+ *   replace: Function, getMeta: Function, putMeta: Function, updateMeta: Function }}
+ */
+export const createRecordStore = ({ backend, schema, legacyBackend = null }) => {
+  const toStored = records => records.map(record => toStoredRecord(record, schema));
+
+  return {
+    backendName: backend.name,
+
+    /**
+     * Loads every record, migrated to the current schema version
+     * @returns {Promise<Array>} Raw records
+     */
+    load: async () => {
+      let stored = await backend.getAll();
+      let isMoved = false;
+      if (stored.length === 0 && legacyBackend) {
+        stored = await legacyBackend.getAll();
+        isMoved = stored.length > 0;
+      }
+
+      const version = schema.version ?? 0;
+      const records = stored.map(record => migrateRecord(record, schema));
+      const outdated = records.filter((record, index) => getRecordVersion(stored[index]) !== version);
+
+      if (isMoved) {
+        await backend.replace(toStored(records));
+        await legacyBackend.replace([]);
+        console.log(`Moved ${records.length} records to ${backend.name}`);
+      } else if (outdated.length > 0) {
+        await backend.put(toStored(outdated));
+        console.log(`Migrated ${outdated.length} records to schema version ${version}`);
+      }
+      return records;
+    },
+
+    put: (records) => backend.put(toStored(records)),
+    patch: (patches) => backend.patch(patches),
+    delete: (ids) => backend.delete(ids),
+    replace: (records) => backend.replace(toStored(records)),
+    getMeta: (key) => backend.getMeta(key),
+    putMeta: (key, value) => backend.putMeta(key, value),
+    updateMeta: (key, update) => backend.updateMeta(key, update),
+  };
+};
+
+// Writes happen in the background; the in-memory data is already updated
+const persist = (write) => {
+  write.catch(error => console.error('Error saving records:', error));
+};
+
+/**
+ * Persists a change of the dataset, writing only what changed
+ * Changed fields are patched into the stored records, so fields changed
+ * by another tab in the meantime are kept.
+ * Only raw fields should be passed; computed fields are never stored
+ * @param {Object} store - Record store
+ * @param {Object} diff - Change of the raw records (see recordSync.js)
+ */
+export const saveRecordDiff = (store, diff) => {
+  if (diff.updated.length > 0) {
+    persist(store.patch(diff.updated.map(({ id, changes }) => ({ id, changes }))));
+  }
+  if (diff.added.length > 0) persist(store.put(diff.added));
+  if (diff.removed.length > 0) persist(store.delete(diff.removed));
+};
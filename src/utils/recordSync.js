@@ -0,0 +1,152 @@
+/**
+ * Record changes as diffs
+ * A diff describes how one version of the dataset became another, field by
+ * field, so it can be stored, sent to other tabs and applied on top of a
+ * dataset that changed in the meantime:
+ *
+ *   {
+ *     updated: [{ id, changes: { city: 'Oslo' }, previous: { city: 'Lima' } }],
+ *     added: [record, ...],
+ *     removed: [id, ...],
+ *   }
+ *
+ * Applying a diff (mergeRecordDiff) only sets a field where it still holds
+ * the `previous` value. A field changed to something else since conflicts:
+ * both versions are reported and the field is left as it is.
+ */
+
+const isSameValue = (a, b) => a === b || (Number.isNaN(a) && Number.isNaN(b));
+
+/**
+ * Sets the same field values on several records
+ * @param {Array} records - Raw records
+ * @param {string[]} ids - IDs of the records to change
+ * @param {Object} changes - Field values
+ * @returns {Array} New array, with new objects for the changed records
+ */
+export const updateRecords = (records, ids, changes) => {
+  const idSet = new Set(ids);
+  return records.map(record => (idSet.has(record.id) ? { ...record, ...changes } : record));
+};
+
+/**
+ * Removes records by ID
+ * @param {Array} records - Raw records
+ * @param {string[]} ids
+ * @returns {Array} New array without them
+ */
+export const deleteRecords = (records, ids) => {
+  const idSet = new Set(ids);
+  return records.filter(record => !idSet.has(record.id));
+};
+
+/**
+ * Works out the diff between two versions of the dataset
+ * Records are compared by identity first, so only replaced ones are
+ * compared field by field.
+ * @param {Array} previous - Raw records before
+ * @param {Array} next - Raw records after
+ * @returns {{ updated: Array, added: Array, removed: string[] }}
+ */
+export const diffRecords = (previous, next) => {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextIds = new Set(next.map(record => record.id));
+  const updated = [];
+  const added = [];
+
+  next.forEach(record => {
+    const before = previousById.get(record.id);
+    if (!before) {
+      added.push(record);
+      return;
+    }
+    if (before === record) return;
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(record)])]
+      .filter(field => !isSameValue(before[field], record[field]));
+    if (fields.length > 0) {
+      updated.push({
+        id: record.id,
+        changes: Object.fromEntries(fields.map(field => [field, record[field]])),
+        previous: Object.fromEntries(fields.map(field => [field, before[field]])),
+      });
+    }
+  });
+
+  return {
+    updated,
+    added,
+    removed: previous.filter(record => !nextIds.has(record.id)).map(record => record.id),
+  };
+};
+
+/**
+ * Whether a diff changes nothing
+ * @param {Object} diff
+ * @returns {boolean}
+ */
+export const isEmptyDiff = ({ updated, added, removed }) => (
+  updated.length === 0 && added.length === 0 && removed.length === 0
+);
+
+/**
+ * Applies a diff on top of the current records
+ * Fields still holding their `previous` value take the new one; fields that
+ * already hold it are left alone, and fields holding a third value are
+ * conflicts. Added records replace records with the same ID, and updates of
+ * records that no longer exist are dropped.
+ * @param {Array} records - Current raw records
+ * @param {Object} diff - See diffRecords
+ * @returns {{ records: Array, conflicts: Array<{ id: string, fields: Object }> }}
+ *   The new records, and by record the conflicting fields with `mine` (the
+ *   current value) and `theirs` (the value of the diff)
+ */
+export const mergeRecordDiff = (records, { updated, added, removed }) => {
+  const updates = new Map(updated.map(update => [update.id, update]));
+  const addedById = new Map(added.map(record => [record.id, record]));
+  const removedIds = new Set(removed);
+  const conflicts = [];
+
+  const merged = records.flatMap(record => {
+    if (removedIds.has(record.id)) return [];
+    if (addedById.has(record.id)) {
+      const replacement = addedById.get(record.id);
+      addedById.delete(record.id);
+      return [replacement];
+    }
+    const update = updates.get(record.id);
+    if (!update) return [record];
+
+    const changes = {};
+    const conflicting = {};
+    Object.entries(update.changes).forEach(([field, value]) => {
+      if (isSameValue(record[field], value)) return;
+      if (isSameValue(record[field], update.previous[field])) changes[field] = value;
+      else conflicting[field] = { mine: record[field], theirs: value };
+    });
+    if (Object.keys(conflicting).length > 0) conflicts.push({ id: record.id, fields: conflicting });
+    return [Object.keys(changes).length > 0 ? { ...record, ...changes } : record];
+  });
+
+  return { records: [...merged, ...addedById.values()], conflicts };
+};
+
+/**
+ * Drops the conflicts a later diff settles: fields it sets again and
+ * records it removes
+ * @param {Array} conflicts - See mergeRecordDiff
+ * @param {Object} diff
+ * @returns {Array} Remaining conflicts
+ */
+export const settleConflicts = (conflicts, { updated, added, removed }) => {
+  const touched = new Map(updated.map(update => [update.id, update.changes]));
+  const replaced = new Set([...removed, ...added.map(record => record.id)]);
+
+  return conflicts.flatMap(conflict => {
+    if (replaced.has(conflict.id)) return [];
+    const changes = touched.get(conflict.id) ?? {};
+    const fields = Object.fromEntries(
+      Object.entries(conflict.fields).filter(([field]) => !(field in changes))
+    );
+    return Object.keys(fields).length > 0 ? [{ ...conflict, fields }] : [];
+  });
+};
@@ -0,0 +1,151 @@
+/**
+ * Table schemas
+ * A schema describes one entity (users, orders, devices, ...) for the
+ * DataTable: its fields, in default column order, and how each is shown,
+ * filtered, sorted, edited and grouped.
+ *
+ *   {
+ *     id: 'users',              // used for export file names
+ *     rowId: 'id',              // field with the unique row ID (default 'id')
+ *     titleField: 'fullName',   // field naming a row in previews (default rowId)
+ *     version: 1,               // version of the stored records (default 0)
+ *     migrations: { 1: ... },   // upgrades stored records (see migrations.js)
+ *     fields: [
+ *       { id: 'email', header: 'Email', type: 'email', editable: true },
+ *       { id: 'dsr', header: 'DSR', type: 'duration', dependencies: ['registeredDate'],
+ *         isDynamic: true, compute: (record, clock) => ... },
+ *     ],
+ *     columnGroups: [           // shared headers over columns (see columnGroups.js)
+ *       { id: 'contact', header: 'Contact', columns: ['email', 'city'] },
+ *     ],
+ *   }
+ *
+ * `type` names a column type (see columnTypes.jsx) that provides the
+ * defaults; any type property can be overridden on the field. Fields may
+ * also set:
+ * - editable: allow inline editing; bulkEdit: offer it as a bulk action
+ * - required: reject empty values; validate(value, context): extra
+ *   validation, with the table's `clock` in `context`
+ * - options: allowed values of an enum field
+ * - display: Typography props for the default renderers
+ * - description: tooltip of the column header
+ * - compute(record, clock), dependencies, isDynamic: makes the field a
+ *   computed field (see computed.js). Computed fields run in schema order,
+ *   so list them after the fields they read.
+ */
+
+const toText = value => String(value ?? '');
+
+/**
+ * Resolves a field against its column type
+ * @param {Object} field - Schema field
+ * @param {Object} columnTypes - Column type registry
+ * @returns {Object} Field with every type default filled in
+ */
+export const resolveField = (field, columnTypes) => {
+  const type = columnTypes[field.type];
+  if (!type) {
+    throw new Error(`Unknown column type "${field.type}" for field "${field.id}"`);
+  }
+
+  const resolved = {
+    formatText: toText,
+    parse: value => value,
+    ...type,
+    ...field,
+    header: field.header ?? field.id,
+    isComputed: field.isComputed ?? Boolean(field.compute),
+  };
+
+  // Type, required and field checks all apply. `context` carries the
+  // table's clock for checks relative to today.
+  resolved.validate = (value, context = {}) => {
+    const isEmpty = value === undefined || value === null || String(value).trim() === '';
+    if (isEmpty) return field.required ? `${resolved.header} is required` : field.validate?.(value, context) ?? null;
+    return type.validate?.(value, resolved) ?? field.validate?.(value, context) ?? null;
+  };
+
+  return resolved;
+};
+
+/**
+ * Creates the TanStack column definition of a resolved field
+ * @param {Object} field - Field from resolveField
+ * @returns {Object} Column definition
+ */
+export const createColumnDef = (field) => ({
+  accessorKey: field.id,
+  header: field.header,
+  size: field.size,
+  minSize: field.minSize,
+  maxSize: field.maxSize,
+  enableGrouping: field.groupable !== false,
+  enableSorting: field.sortable !== false,
+  sortingFn: field.sortingFn,
+  // The sorting functions place undefined with the other empty values
+  sortUndefined: false,
+  filterFn: field.filterVariant,
+  aggregationFn: field.aggregationFn,
+  meta: {
+    type: field.type,
+    filterVariant: field.filterVariant,
+    exportType: field.exportType,
+    formatText: field.formatText,
+    contentPadding: field.contentPadding,
+    formatsCell: Boolean(field.formatsCell),
+    editable: Boolean(field.editable && !field.isComputed),
+    bulkEdit: Boolean(field.bulkEdit),
+    editor: field.editor,
+    options: field.options,
+    parse: field.parse,
+    validate: field.validate,
+    groupingModes: field.groupingModes,
+    isComputed: field.isComputed,
+    isDynamic: Boolean(field.isDynamic),
+    description: field.description,
+    formula: field.formula,
+  },
+  cell: info => field.cell(info, field),
+  ...(field.aggregatedCell && { aggregatedCell: info => field.aggregatedCell(info, field) }),
+});
+
+/**
+ * Returns the computed fields of a schema, ready for enrichDataWithComputedFields
+ * @param {Object} schema - Table schema
+ * @returns {Array} Computed fields in schema order
+ */
+export const getComputedFields = (schema) => schema.fields
+  .filter(field => field.compute)
+  .map(field => ({
+    id: field.id,
+    key: field.id,
+    dependencies: field.dependencies ?? [],
+    isDynamic: Boolean(field.isDynamic),
+    compute: field.compute,
+  }));
+
+/**
+ * Prepares a schema for the DataTable
+ * @param {Object} schema - Table schema
+ * @param {Object} columnTypes - Column type registry
+ * @returns {Object} `{ id, rowId, titleField, fields, columnIds, columns,
+ *   columnGroups, fieldTypes, computedFields }`: `fields` are resolved,
+ *   `columns` are TanStack column definitions, `fieldTypes` maps field IDs to
+ *   formula value types and `computedFields` are ready for
+ *   enrichDataWithComputedFields
+ */
+export const normalizeSchema = (schema, columnTypes) => {
+  const fields = schema.fields.map(field => resolveField(field, columnTypes));
+
+  return {
+    id: schema.id,
+    rowId: schema.rowId ?? 'id',
+    titleField: schema.titleField ?? schema.rowId ?? 'id',
+    fields,
+    columnIds: fields.map(field => field.id),
+    columns: fields.map(createColumnDef),
+    columnGroups: schema.columnGroups ?? [],
+    fieldTypes: Object.fromEntries(fields.map(field => [field.id, field.formulaType ?? 'any'])),
+    computedFields: getComputedFields(schema),
+  };
+};
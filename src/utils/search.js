@@ -0,0 +1,176 @@
+/**
+ * Typo-tolerant global search
+ * A query is split into tokens; a row matches when every token is found
+ * in at least one of its cells, in any order. Tokens match either as a
+ * case/accent-insensitive substring or, for longer tokens, as the start of
+ * a word within a small edit distance ("jhon" finds "John").
+ */
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * Lowercases and strips accents one character at a time, so that offsets
+ * in the normalized string line up with the original text
+ * @param {string} text
+ * @returns {string} Normalized text with the same length as the input
+ */
+export const normalizeText = (text) => {
+  let result = '';
+  for (const char of String(text)) {
+    const folded = char.normalize('NFD').replace(COMBINING_MARKS, '').toLowerCase();
+    // Keep a 1:1 mapping with the original code units
+    result += folded.length === char.length ? folded : char;
+  }
+  return result;
+};
+
+/**
+ * Splits a query into normalized, de-duplicated tokens
+ * @param {string} query
+ * @returns {string[]} Tokens
+ */
+export const tokenizeQuery = (query) => {
+  const tokens = normalizeText(query || '').split(/\s+/).filter(Boolean);
+  return Array.from(new Set(tokens));
+};
+
+/**
+ * Maximum number of edits tolerated for a token of the given length
+ */
+const maxEditsFor = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein with transpositions)
+ * Stops early once the distance exceeds `limit`
+ */
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+/**
+ * Finds where a single token matches inside normalized text
+ * @returns {Array<[number, number]>} [start, end) ranges
+ */
+const findTokenRanges = (normalized, token) => {
+  const ranges = [];
+
+  let index = normalized.indexOf(token);
+  while (index !== -1) {
+    ranges.push([index, index + token.length]);
+    index = normalized.indexOf(token, index + token.length);
+  }
+  if (ranges.length > 0) return ranges;
+
+  const maxEdits = maxEditsFor(token.length);
+  if (maxEdits === 0 || /\d/.test(token)) return ranges;
+
+  // Fuzzy: compare against the start of each word, allowing the prefix to
+  // be a little shorter or longer than the token
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(normalized)) !== null) {
+    const word = match[0];
+    for (let length = token.length - maxEdits; length <= token.length + maxEdits; length++) {
+      if (length < 1 || length > word.length) continue;
+      if (editDistance(token, word.slice(0, length), maxEdits) <= maxEdits) {
+        ranges.push([match.index, match.index + length]);
+        break;
+      }
+    }
+  }
+
+  return ranges;
+};
+
+/**
+ * Merges overlapping ranges and sorts them by start offset
+ */
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Returns the ranges of `text` matched by any of the tokens
+ * Used by cell renderers to highlight matches
+ * @param {string} text - Cell text
+ * @param {string[]} tokens - Tokens from tokenizeQuery
+ * @returns {Array<[number, number]>} Merged [start, end) ranges
+ */
+export const findMatchRanges = (text, tokens) => {
+  if (!tokens || tokens.length === 0 || text === undefined || text === null) return [];
+  const normalized = normalizeText(text);
+  return mergeRanges(tokens.flatMap(token => findTokenRanges(normalized, token)));
+};
+
+/**
+ * Creates a row matcher for a query
+ * Results are cached per row object, so the matcher can be called once per
+ * column by TanStack's global filter without repeating the work.
+ * `matchesValues` checks plain values, for matching records outside a table.
+ * @param {string} query - Raw search query
+ * @returns {{ tokens: string[], matchesRow: (row: Object) => boolean,
+ *   matchesValues: (values: Array) => boolean }}
+ */
+export const createRowMatcher = (query) => {
+  const tokens = tokenizeQuery(query);
+  const cache = new WeakMap();
+
+  const matchesValues = (values) => {
+    if (tokens.length === 0) return true;
+
+    const normalizedCells = values
+      .filter(value => value !== undefined && value !== null)
+      .map(value => normalizeText(value));
+
+    return tokens.every(token =>
+      normalizedCells.some(cell => findTokenRanges(cell, token).length > 0)
+    );
+  };
+
+  const matchesRow = (row) => {
+    if (tokens.length === 0) return true;
+    if (cache.has(row)) return cache.get(row);
+
+    const result = matchesValues(row.getVisibleCells().map(cell => cell.getValue()));
+    cache.set(row, result);
+    return result;
+  };
+
+  return { tokens, matchesRow, matchesValues };
+};
@@ -0,0 +1,78 @@
+/**
+ * Messages between tabs of the app
+ * Tabs of the same origin share their storage but not their in-memory
+ * state. A tab channel carries messages to the other open tabs, over a
+ * BroadcastChannel or, in browsers without one, over `storage` events of a
+ * localStorage key. A tab never receives its own messages.
+ *
+ * Settings kept in localStorage are followed with watchStorageKey: the
+ * browser tells the other tabs whenever a tab writes a key.
+ */
+
+/**
+ * Opens a channel to the other tabs
+ * @param {string} name - Channel name, the same in every tab
+ * @returns {{ post: Function, subscribe: Function, close: Function }}
+ *   `post(message)` sends a structured-cloneable (JSON for the fallback)
+ *   message; `subscribe(listener)` returns a function that unsubscribes
+ */
+export const createTabChannel = (name) => {
+  const listeners = new Set();
+  const deliver = message => listeners.forEach(listener => listener(message));
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = event => deliver(event.data);
+    return {
+      post: message => channel.postMessage(message),
+      subscribe: (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      close: () => channel.close(),
+    };
+  }
+
+  // Each message is written and removed right away; other tabs see the write
+  const key = `tabChannel:${name}`;
+  const handleStorage = (event) => {
+    if (event.key !== key || !event.newValue) return;
+    try {
+      deliver(JSON.parse(event.newValue).message);
+    } catch (error) {
+      console.error('Error reading tab message:', error);
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    post: (message) => {
+      try {
+        localStorage.setItem(key, JSON.stringify({ message, nonce: crypto.randomUUID() }));
+        localStorage.removeItem(key);
+      } catch (error) {
+        console.error('Error sending tab message:', error);
+      }
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+/**
+ * Calls back when another tab writes a localStorage key
+ * @param {string} key
+ * @param {() => void} onChange
+ * @returns {Function} Stops watching
+ */
+export const watchStorageKey = (key, onChange) => {
+  // `key` is null when another tab clears the whole storage
+  const handleStorage = (event) => {
+    if (event.key === key || event.key === null) onChange();
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
@@ -0,0 +1,168 @@
+import { systemClock } from './clock';
+
+/**
+ * Main thread side of the table worker (src/workers/tableWorker.js)
+ * Generation, enrichment, filtering and sorting run in the worker; the main
+ * thread gets index permutations back and only asks for the records of the
+ * rows on screen, so it stays responsive with hundreds of thousands of rows.
+ */
+
+const createAbortError = () => new DOMException('Request aborted', 'AbortError');
+
+/**
+ * Settles like `promise`, or rejects with an AbortError once `signal` aborts
+ */
+const withSignal = (promise, signal) => {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const abort = () => reject(createAbortError());
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+  });
+};
+
+/**
+ * Starts a table worker
+ * The worker does one task at a time, in the order they are sent. An
+ * aborted request is only dropped on this side: the worker still finishes it.
+ * @returns {{ load: Function, generate: Function, query: Function, getRows: Function,
+ *   terminate: Function }}
+ */
+export const createTableWorker = () => {
+  const worker = new Worker(new URL('../workers/tableWorker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    if (data.type === 'progress') {
+      request.onProgress?.(data.done, data.total);
+      return;
+    }
+
+    pending.delete(data.id);
+    if (data.type === 'error') request.reject(new Error(data.message));
+    else request.resolve(data.result);
+  };
+
+  const send = (type, payload, { signal, onProgress } = {}) => {
+    const id = nextId++;
+    const request = new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress });
+    });
+    worker.postMessage({ id, type, ...payload });
+    return withSignal(request, signal);
+  };
+
+  return {
+    /**
+     * Replaces the worker's dataset with records of a schema
+     * @returns {Promise<{ version: number, count: number }>}
+     */
+    load: (schemaId, records) => send('load', { schemaId, records }),
+
+    /**
+     * Replaces the worker's dataset with the users of a generator config
+     * @param {string} schemaId
+     * @param {Object} config - Generator config (see dataGenerator.js), with the row `count`
+     * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<{ version: number, count: number, timings: { generate: number } }>}
+     */
+    generate: (schemaId, config, { onProgress } = {}) => (
+      send('generate', { schemaId, config }, { onProgress })
+    ),
+
+    /**
+     * Filters and sorts the dataset
+     * @param {{ sorting: Array, filters: Array, search: string, searchColumns?: string[],
+     *   locale?: string }} query - See dataSource.js
+     * @param {Object} clock - Clock for dynamic computed fields
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ version: number, order: Uint32Array, timings: Object }>}
+     *   Record indices in display order and the time spent on each step in ms
+     */
+    query: (query, clock, { signal } = {}) => send('query', {
+      ...query,
+      timeZone: clock.timeZone,
+      now: clock.now().getTime(),
+    }, { signal }),
+
+    /**
+     * Fetches enriched records by index
+     * @param {Uint32Array} indices
+     * @param {number} version - Dataset version the indices come from
+     * @param {{ signal?: AbortSignal }} [options]
+     * @returns {Promise<{ rows: Array }>}
+     */
+    getRows: (indices, version, { signal } = {}) => send('rows', { indices, version }, { signal }),
+
+    terminate: () => {
+      worker.terminate();
+      pending.forEach(request => request.reject(new Error('The table worker was stopped')));
+      pending.clear();
+    },
+  };
+};
+
+/**
+ * Creates a data source (see dataSource.js) over the dataset of a table worker
+ * The permutation of the last query is kept, so paging through a result
+ * only fetches records. Create a new data source whenever the worker's
+ * dataset is replaced.
+ * @param {Object} options
+ * @param {Object} options.worker - Worker from createTableWorker
+ * @param {Object} [options.clock] - Clock for dynamic computed fields
+ * @param {Function} [options.onQuery] - Receives `{ total, timings }` after
+ *   each query: the worker's enrich, filter and sort times plus `roundTrip`,
+ *   everything the main thread waited for, in ms
+ * @returns {{ getRows: Function }} Data source
+ */
+export const createWorkerDataSource = ({ worker, clock = systemClock, onQuery }) => {
+  let lastQuery = null;
+
+  const getOrder = (query) => {
+    const key = JSON.stringify({ ...query, today: clock.today() });
+    if (lastQuery?.key === key) return lastQuery.promise;
+
+    const startedAt = performance.now();
+    const promise = worker.query(query, clock).then(result => {
+      onQuery?.({
+        total: result.order.length,
+        timings: { ...result.timings, roundTrip: performance.now() - startedAt },
+      });
+      return result;
+    });
+    // A failed query is run again on the next request
+    promise.catch(() => {
+      if (lastQuery?.promise === promise) lastQuery = null;
+    });
+    lastQuery = { key, promise };
+    return promise;
+  };
+
+  return {
+    // The query itself is shared by all pages, so aborting one page does
+    // not cancel it
+    getRows: async ({
+      sorting = [],
+      filters = [],
+      search = '',
+      searchColumns,
+      locale,
+      offset = 0,
+      limit = 100,
+      signal,
+    }) => {
+      const { order, version } = await withSignal(
+        getOrder({ sorting, filters, search, searchColumns, locale }),
+        signal
+      );
+      const { rows } = await worker.getRows(order.slice(offset, offset + limit), version, { signal });
+      return { rows, total: order.length };
+    },
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * Shareable URL state
+ * The table's query state is kept in the query string, so a link brings
+ * back the same rows in the same order:
+ *
+ *   ?sort=dsr:desc,lastName&f.city=["Oslo"]&cols=email,firstName&top=120&row=<id>
+ *
+ * - sort: sorted columns by priority, `:desc` for descending
+ * - f.<columnId>: a column filter value as JSON (see filters.js)
+ * - cols: the column order, only when it differs from the default one
+ * - top: index of the first row on screen
+ * - row: ID of a row to scroll to and highlight
+ *
+ * Parameters this module does not know are left alone, and invalid ones are
+ * ignored: the column IDs in a link are checked against the table when it
+ * loads (see sanitizeViewState in views.js).
+ */
+
+const FILTER_PREFIX = 'f.';
+
+const isPrimitive = value => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// Filter values are flat: a primitive, a list of them or an object of them
+const isFilterValue = (value) => {
+  if (isPrimitive(value)) return true;
+  if (Array.isArray(value)) return value.every(isPrimitive);
+  return typeof value === 'object' && Object.values(value).every(isPrimitive);
+};
+
+const parseJson = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+};
+
+const parseSorting = (text) => {
+  const seen = new Set();
+  return (text ?? '').split(',').reduce((sorting, entry) => {
+    const separator = entry.lastIndexOf(':');
+    const id = separator === -1 ? entry : entry.slice(0, separator);
+    const direction = separator === -1 ? 'asc' : entry.slice(separator + 1);
+    if (id && !seen.has(id) && ['asc', 'desc'].includes(direction)) {
+      seen.add(id);
+      sorting.push({ id, desc: direction === 'desc' });
+    }
+    return sorting;
+  }, []);
+};
+
+/**
+ * Reads the table state from a query string
+ * @param {string} search - Query string, e.g. `window.location.search`
+ * @returns {{ sorting: Array, columnFilters: Array, columnOrder: string[]|null,
+ *   scrollIndex: number|null, rowId: string|null }} Parts missing from the
+ *   query string are empty or null
+ */
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+
+  const columnFilters = [];
+  params.forEach((text, key) => {
+    const id = key.slice(FILTER_PREFIX.length);
+    if (!key.startsWith(FILTER_PREFIX) || !id || columnFilters.some(filter => filter.id === id)) return;
+    const parsed = parseJson(text);
+    if (parsed && isFilterValue(parsed.value)) columnFilters.push({ id, value: parsed.value });
+  });
+
+  const columnOrder = params.get('cols')?.split(',').filter(Boolean);
+  const top = Number(params.get('top'));
+
+  return {
+    sorting: parseSorting(params.get('sort')),
+    columnFilters,
+    columnOrder: columnOrder?.length ? columnOrder : null,
+    scrollIndex: params.has('top') && Number.isSafeInteger(top) && top >= 0 ? top : null,
+    rowId: params.get('row') || null,
+  };
+};
+
+/**
+ * Writes table state into a query string
+ * Only the given parts are replaced; a null or empty part removes its
+ * parameters.
+ * @param {string} search - Current query string
+ * @param {Object} state - Parts to write (see parseUrlState)
+ * @param {string[]} [defaultColumnOrder] - Column order left out of the URL
+ * @returns {string} New query string, with its `?` when not empty
+ */
+export const serializeUrlState = (search, state, defaultColumnOrder = []) => {
+  const params = new URLSearchParams(search);
+
+  if ('sorting' in state) {
+    params.delete('sort');
+    if (state.sorting?.length) {
+      params.set('sort', state.sorting.map(({ id, desc }) => (desc ? `${id}:desc` : id)).join(','));
+    }
+  }
+  if ('columnFilters' in state) {
+    [...params.keys()]
+      .filter(key => key.startsWith(FILTER_PREFIX))
+      .forEach(key => params.delete(key));
+    (state.columnFilters ?? []).forEach(({ id, value }) => {
+      params.set(`${FILTER_PREFIX}${id}`, JSON.stringify(value));
+    });
+  }
+  if ('columnOrder' in state) {
+    params.delete('cols');
+    const order = state.columnOrder ?? [];
+    const isDefault = order.length === defaultColumnOrder.length
+      && order.every((id, index) => id === defaultColumnOrder[index]);
+    if (order.length > 0 && !isDefault) params.set('cols', order.join(','));
+  }
+  if ('scrollIndex' in state) {
+    params.delete('top');
+    if (state.scrollIndex > 0) params.set('top', String(state.scrollIndex));
+  }
+  if ('rowId' in state) {
+    params.delete('row');
+    if (state.rowId) params.set('row', state.rowId);
+  }
+
+  // Colons and commas are valid in a query string; left as they are, links stay readable
+  const query = params.toString().replace(/%3A/gi, ':').replace(/%2C/gi, ',');
+  return query ? `?${query}` : '';
+};
+
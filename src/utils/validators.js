@@ -0,0 +1,82 @@
+import { systemClock } from './clock';
+
+/**
+ * Field validators for user records
+ * Each validator returns an error message, or null when the value is valid.
+ * Validators that depend on the date take the table's clock in their
+ * context, so "today" is the same day the dynamic columns use.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Creates a validator that rejects empty values
+ * @param {string} label - Field label used in the message
+ */
+const required = (label) => (value) => {
+  if (!String(value ?? '').trim()) return `${label} is required`;
+  return null;
+};
+
+/**
+ * Validates an email address
+ */
+export const validateEmail = (value) => {
+  const email = String(value ?? '').trim();
+  if (!email) return 'Email is required';
+  if (!EMAIL_PATTERN.test(email)) return 'Enter a valid email address';
+  return null;
+};
+
+/**
+ * Validates a real YYYY-MM-DD calendar date
+ */
+export const validateISODate = (value) => {
+  const match = ISO_DATE_PATTERN.exec(String(value ?? '').trim());
+  if (!match) return 'Use the YYYY-MM-DD format';
+
+  // Round-trip through Date to reject values like 2023-02-30
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return 'Enter a real calendar date';
+  }
+  return null;
+};
+
+/**
+ * Validates a number, optionally requiring an integer
+ * @param {*} value
+ * @param {{ integer?: boolean }} [options]
+ */
+export const validateNumber = (value, { integer = false } = {}) => {
+  const number = Number(String(value ?? '').trim());
+  if (String(value ?? '').trim() === '' || !Number.isFinite(number)) return 'Enter a number';
+  if (integer && !Number.isInteger(number)) return 'Enter a whole number';
+  return null;
+};
+
+/**
+ * Validates a registration date: a real YYYY-MM-DD date not in the future
+ * @param {*} value
+ * @param {{ clock?: Object }} [context] - Clock deciding what "today" is
+ */
+export const validateRegisteredDate = (value, { clock = systemClock } = {}) => {
+  const dateError = validateISODate(value);
+  if (dateError) return dateError;
+
+  if (String(value).trim() > clock.today()) return 'Date cannot be in the future';
+  return null;
+};
+
+/**
+ * Validators keyed by field name
+ */
+export const fieldValidators = {
+  firstName: required('First name'),
+  lastName: required('Last name'),
+  email: validateEmail,
+  city: required('City'),
+  registeredDate: validateRegisteredDate,
+};
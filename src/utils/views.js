@@ -0,0 +1,131 @@
+import { sanitizeFormatRules } from './conditionalFormatting';
+import { isValidLocale } from './sorting';
+import { watchStorageKey } from './tabSync';
+
+/**
+ * Named saved views
+ * A view captures the table layout and query state (column order, pinning,
+ * widths, visibility, sorting and its text order locale, filters, row
+ * grouping and conditional formatting rules) under a user-chosen name.
+ * Views are stored under their own localStorage key, separate from the
+ * records (see recordStorage.js).
+ */
+
+const VIEWS_STORAGE_KEY = 'tableViews';
+
+const EMPTY_STORE = { views: [], defaultViewId: null };
+
+/**
+ * Loads saved views
+ * @returns {{ views: Array, defaultViewId: string|null }} View store
+ */
+export const loadViews = () => {
+  try {
+    const stored = localStorage.getItem(VIEWS_STORAGE_KEY);
+    if (!stored) return EMPTY_STORE;
+
+    const parsed = JSON.parse(stored);
+    const views = Array.isArray(parsed?.views)
+      ? parsed.views.filter(view => view && view.id && view.name && view.state)
+      : [];
+    const defaultViewId = views.some(view => view.id === parsed.defaultViewId)
+      ? parsed.defaultViewId
+      : null;
+
+    return { views, defaultViewId };
+  } catch (error) {
+    console.error('Error loading saved views:', error);
+    return EMPTY_STORE;
+  }
+};
+
+/**
+ * Persists saved views
+ * @param {{ views: Array, defaultViewId: string|null }} store - View store
+ */
+export const saveViews = (store) => {
+  try {
+    localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(store));
+  } catch (error) {
+    console.error('Error saving views:', error);
+  }
+};
+
+/**
+ * Calls back with the view store whenever another tab changes it
+ * @param {(store: { views: Array, defaultViewId: string|null }) => void} onChange
+ * @returns {Function} Stops watching
+ */
+export const watchViews = (onChange) => watchStorageKey(VIEWS_STORAGE_KEY, () => onChange(loadViews()));
+
+/**
+ * Creates a new view record
+ * @param {string} name - Display name
+ * @param {Object} state - Table view state
+ * @returns {Object} View record
+ */
+export const createView = (name, state) => ({
+  id: crypto.randomUUID(),
+  name,
+  state,
+  updatedAt: new Date().toISOString(),
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const pickKnownKeys = (object, columnIds) => Object.fromEntries(
+  Object.entries(isPlainObject(object) ? object : {}).filter(([id]) => columnIds.includes(id))
+);
+
+/**
+ * Drops references to columns that no longer exist from a view state
+ * Saved views outlive column definitions, so a view may mention removed
+ * columns or miss newly added ones. Unknown columns are ignored and missing
+ * ones are appended to the column order, so an outdated view still loads.
+ * @param {Object} state - Stored view state (may be partial or malformed)
+ * @param {string[]} columnIds - Columns currently defined by the table
+ * @returns {Object} View state that only references known columns
+ */
+export const sanitizeViewState = (state, columnIds) => {
+  const view = isPlainObject(state) ? state : {};
+  const isKnown = (id) => columnIds.includes(id);
+
+  const storedOrder = Array.isArray(view.columnOrder) ? view.columnOrder.filter(isKnown) : [];
+  const columnOrder = [
+    ...new Set(storedOrder),
+    ...columnIds.filter(id => !storedOrder.includes(id)),
+  ];
+
+  const pinning = isPlainObject(view.columnPinning) ? view.columnPinning : {};
+  const left = Array.isArray(pinning.left) ? pinning.left.filter(isKnown) : [];
+  const right = Array.isArray(pinning.right) ? pinning.right.filter(id => isKnown(id) && !left.includes(id)) : [];
+
+  const hasId = (entry) => isPlainObject(entry) && isKnown(entry.id);
+
+  const columnVisibility = Object.fromEntries(
+    Object.entries(pickKnownKeys(view.columnVisibility, columnIds))
+      .map(([id, visible]) => [id, Boolean(visible)])
+  );
+  // A view that hides every column would leave an empty table
+  const allHidden = columnIds.every(id => columnVisibility[id] === false);
+
+  return {
+    columnOrder,
+    columnPinning: { left, right },
+    columnSizing: Object.fromEntries(
+      Object.entries(pickKnownKeys(view.columnSizing, columnIds))
+        .filter(([, width]) => Number.isFinite(width) && width > 0)
+    ),
+    columnVisibility: allHidden ? {} : columnVisibility,
+    sorting: Array.isArray(view.sorting) ? view.sorting.filter(hasId) : [],
+    columnFilters: Array.isArray(view.columnFilters) ? view.columnFilters.filter(hasId) : [],
+    grouping: Array.isArray(view.grouping) ? [...new Set(view.grouping.filter(isKnown))] : [],
+    groupingModes: Object.fromEntries(
+      Object.entries(pickKnownKeys(view.groupingModes, columnIds))
+        .filter(([, mode]) => typeof mode === 'string')
+    ),
+    formatRules: sanitizeFormatRules(view.formatRules, columnIds),
+    // null sorts text in the table's default order
+    locale: isValidLocale(view.locale) ? view.locale : null,
+  };
+};
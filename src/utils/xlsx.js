@@ -0,0 +1,160 @@
+import { strToU8, zipSync } from 'fflate';
+
+/**
+ * Minimal XLSX (SpreadsheetML) writer
+ * Produces a single-sheet workbook with typed cells: strings, numbers and
+ * dates (stored as Excel serial numbers with a date format), so values
+ * stay sortable and computable in Excel instead of being plain text.
+ */
+
+// Excel's day zero for the 1900 date system (accounts for the 1900 leap bug)
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Style indices defined in styles.xml below
+const STYLE_DEFAULT = 0;
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+// Characters that are not allowed in XML 1.0 documents
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letter reference (0 -> A, 26 -> AA)
+ */
+const columnLetter = (index) => {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+/**
+ * Converts a YYYY-MM-DD string to an Excel date serial number
+ * @returns {number|null} Serial number, or null for invalid dates
+ */
+export const toExcelDate = (isoDate) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(isoDate ?? ''));
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+};
+
+/**
+ * Renders a single cell
+ * @param {string} ref - Cell reference, e.g. "B3"
+ * @param {*} value - Cell value
+ * @param {'string'|'number'|'date'} type - Cell type
+ * @param {number} style - Style index
+ */
+const renderCell = (ref, value, type, style = STYLE_DEFAULT) => {
+  if (value === undefined || value === null || value === '') return '';
+
+  if (type === 'number' && Number.isFinite(Number(value))) {
+    return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${Number(value)}</v></c>`;
+  }
+
+  if (type === 'date') {
+    const serial = toExcelDate(value);
+    if (serial !== null) {
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    }
+  }
+
+  return `<c r="${ref}" t="inlineStr"${style ? ` s="${style}"` : ''}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+</styleSheet>`;
+
+const buildWorkbook = (sheetName) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+/**
+ * Builds an XLSX file
+ * @param {Object} options
+ * @param {string} options.sheetName - Worksheet name (max 31 characters)
+ * @param {Array<{ header: string, type: string, width?: number }>} options.columns
+ * @param {Array<Array<*>>} options.rows - Row values, in column order
+ * @returns {Uint8Array} XLSX file contents
+ */
+export const buildXlsx = ({ sheetName = 'Sheet1', columns, rows }) => {
+  const cols = columns
+    .map((column, index) => {
+      const width = Math.max(10, Math.min(60, Math.round((column.width || 120) / 7)));
+      return `<col min="${index + 1}" max="${index + 1}" width="${width}" customWidth="1"/>`;
+    })
+    .join('');
+
+  const headerRow = `<row r="1">${columns
+    .map((column, index) => renderCell(`${columnLetter(index)}1`, column.header, 'string', STYLE_HEADER))
+    .join('')}</row>`;
+
+  const bodyRows = rows.map((values, rowIndex) => {
+    const rowNumber = rowIndex + 2;
+    const cells = columns
+      .map((column, index) => renderCell(`${columnLetter(index)}${rowNumber}`, values[index], column.type))
+      .join('');
+    return `<row r="${rowNumber}">${cells}</row>`;
+  });
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${cols}</cols>
+<sheetData>${headerRow}${bodyRows.join('')}</sheetData>
+</worksheet>`;
+
+  return zipSync({
+    '[Content_Types].xml': strToU8(CONTENT_TYPES),
+    '_rels/.rels': strToU8(ROOT_RELS),
+    'xl/workbook.xml': strToU8(buildWorkbook(sheetName)),
+    'xl/_rels/workbook.xml.rels': strToU8(WORKBOOK_RELS),
+    'xl/styles.xml': strToU8(STYLES),
+    'xl/worksheets/sheet1.xml': strToU8(sheet),
+  });
+};
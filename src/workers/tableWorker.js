@@ -0,0 +1,103 @@
+import { createClock } from '../utils/clock';
+import { enrichDataWithComputedFields } from '../utils/computed';
+import { createUserGenerator } from '../utils/dataGenerator';
+import { queryRecords } from '../utils/dataSource';
+import { getComputedFields } from '../utils/schema';
+import { schemas } from '../schemas';
+
+/**
+ * Table worker
+ * Holds a dataset off the main thread and does the heavy work on it:
+ * generating records, enriching them with computed fields, filtering and
+ * sorting. Queries answer with an index permutation, and the main thread
+ * then asks for the records of the rows it shows.
+ *
+ * Messages are `{ id, type, ...payload }`; the worker answers with
+ * `{ id, type: 'result', result }` or `{ id, type: 'error', message }`,
+ * and long tasks send `{ id, type: 'progress', done, total }` on the way.
+ * See tableWorker.js in utils for the client.
+ */
+
+// Records generated between two progress messages
+const PROGRESS_STEP = 10000;
+
+const dataset = {
+  // Bumped whenever the records change, so answers can be matched to them
+  version: 0,
+  computedFields: [],
+  records: [],
+  cache: new Map(),
+  // Last enrichment and the date it was computed for
+  enriched: [],
+  today: null,
+};
+
+const setRecords = (schemaId, records) => {
+  const schema = schemas[schemaId];
+  if (!schema) throw new Error(`Unknown schema "${schemaId}"`);
+
+  dataset.version += 1;
+  dataset.computedFields = getComputedFields(schema);
+  dataset.records = records;
+  dataset.enriched = [];
+  dataset.today = null;
+  return { version: dataset.version, count: records.length };
+};
+
+const handlers = {
+  // Replaces the dataset with records from the main thread
+  load: ({ schemaId, records }) => ({ result: setRecords(schemaId, records) }),
+
+  // Replaces the dataset with the users of a generator config
+  generate: ({ schemaId, config }, progress) => {
+    const startedAt = performance.now();
+    const { count } = config;
+    const nextUser = createUserGenerator(config);
+    const records = new Array(count);
+    for (let index = 0; index < count; index++) {
+      records[index] = nextUser();
+      if ((index + 1) % PROGRESS_STEP === 0) progress(index + 1, count);
+    }
+    const generate = performance.now() - startedAt;
+    return { result: { ...setRecords(schemaId, records), timings: { generate } } };
+  },
+
+  // Answers with the indices of the matching records, in display order.
+  // The clock is rebuilt from the main thread's time zone and instant.
+  query: ({ sorting, filters, search, searchColumns, locale, timeZone, now }) => {
+    const clock = createClock({ timeZone, now: () => now, isFrozen: true });
+    const startedAt = performance.now();
+    if (dataset.today !== clock.today()) {
+      dataset.enriched = enrichDataWithComputedFields(
+        dataset.records,
+        dataset.cache,
+        dataset.computedFields,
+        clock
+      );
+      dataset.today = clock.today();
+    }
+    const enrich = performance.now() - startedAt;
+
+    const { order, timings } = queryRecords(dataset.enriched, { sorting, filters, search, searchColumns, locale });
+    return {
+      result: { version: dataset.version, order, timings: { enrich, ...timings } },
+      transfer: [order.buffer],
+    };
+  },
+
+  // Answers with the enriched records at the given indices
+  rows: ({ indices, version }) => {
+    if (version !== dataset.version) throw new Error('The dataset changed; query it again');
+    return { result: { rows: Array.from(indices, index => dataset.enriched[index]) } };
+  },
+};
+
+self.onmessage = ({ data: { id, type, ...payload } }) => {
+  try {
+    const progress = (done, total) => self.postMessage({ id, type: 'progress', done, total });
+    const { result, transfer = [] } = handlers[type](payload, progress);
+    self.postMessage({ id, type: 'result', result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};